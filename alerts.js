@@ -0,0 +1,419 @@
+// Price alert rules, evaluated against quotes and dispatched through notifiers
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+const { marketStatus } = require('./market-hours');
+const { TradeJournal } = require('./journal');
+
+// mcp: the Most Connected Pivot; levels: any of the top support/resistance levels;
+// price: a fixed price set on the rule
+const LEVEL_SOURCES = ['mcp', 'levels', 'price'];
+
+// Side of the level the price must be on: above (testing it as support),
+// below (testing it as resistance) or either
+const DIRECTIONS = ['above', 'below', 'any'];
+
+const DELIVERY_STATUSES = ['sent', 'failed'];
+
+// How often enabled rules are checked while the market is open
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Computed MCP levels are reused for this long before being recalculated
+const LEVEL_REFRESH_MS = 60 * 60 * 1000;
+
+// Append-only log of every notification attempt (JSON Lines)
+class DeliveryLog extends TradeJournal {
+    // Deliveries matching the filters, newest first. ruleIds limits the result to those rules
+    query({ ruleId, ruleIds, channel, status, limit = 100 } = {}) {
+        if (status && !DELIVERY_STATUSES.includes(status)) {
+            throw new ValidationError(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`);
+        }
+
+        const maxEntries = Number(limit);
+        if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+            throw new ValidationError('limit must be a positive integer');
+        }
+
+        return this.readEntries()
+            .filter(entry =>
+                (!ruleId || entry.ruleId === ruleId) &&
+                (!ruleIds || ruleIds.includes(entry.ruleId)) &&
+                (!channel || entry.channel === channel) &&
+                (!status || entry.status === status)
+            )
+            .reverse()
+            .slice(0, maxEntries);
+    }
+}
+
+class AlertEngine {
+    // notifiersFor(owner) returns the notifiers for a rule owner's destinations, as
+    // channel name -> notifier with an async send(alert);
+    // loadLevels(rule) resolves to the rule's MCP levels ({ price, ... });
+    // getPrice(symbol, rule) resolves to the latest traded price;
+    // validateParams(params) throws a ValidationError for MCP parameters it cannot use
+    constructor({ statePath = null, log, notifiersFor = () => ({}), holidays = new Map(), loadLevels, getPrice, validateParams = () => {} }) {
+        this.statePath = statePath;
+        this.log = log;
+        this.notifiersFor = notifiersFor;
+        this.holidays = holidays;
+        this.loadLevels = loadLevels;
+        this.getPrice = getPrice;
+        this.validateParams = validateParams;
+        this.rules = [];
+        this.nextRuleId = 1;
+        this.levelCache = new Map();
+        this.checking = null; // The check in progress
+        this.timer = null;
+        this.load();
+    }
+
+    // Restore rules and their trigger times, so cooldowns survive restarts
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) {
+            return;
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.rules = state.rules || [];
+            this.nextRuleId = state.nextRuleId || 1;
+        } catch (error) {
+            console.error('Error loading alert rules:', error);
+        }
+    }
+
+    save() {
+        if (!this.statePath) {
+            return;
+        }
+
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                rules: this.rules,
+                nextRuleId: this.nextRuleId
+            }, null, 2));
+        } catch (error) {
+            console.error('Error saving alert rules:', error);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Alert engine error:', error.message));
+        }, CHECK_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // Check every enabled rule, unless the market is closed or the previous check is still running
+    async tick(now = new Date()) {
+        if (!marketStatus(now, this.holidays).open || this.checking) {
+            return;
+        }
+
+        await this.checkAll(now);
+    }
+
+    // Check the enabled rules among rules (every rule by default) once. Checks never
+    // overlap: one waits for the check in progress, so no alert is delivered twice.
+    // A failing rule records its error and does not stop the others
+    async checkAll(now = new Date(), rules = this.rules) {
+        while (this.checking) {
+            await this.checking;
+        }
+
+        const check = this.checkRules(rules.filter(rule => rule.enabled), now);
+        this.checking = check;
+        try {
+            return await check;
+        } finally {
+            if (this.checking === check) {
+                this.checking = null;
+            }
+        }
+    }
+
+    async checkRules(rules, now) {
+        const results = [];
+
+        try {
+            for (const rule of rules) {
+                try {
+                    results.push({ ruleId: rule.id, ...await this.checkRule(rule, { now }) });
+                    rule.lastError = null;
+                } catch (error) {
+                    rule.lastError = error.message;
+                    results.push({ ruleId: rule.id, triggered: false, error: error.message });
+                }
+            }
+        } finally {
+            this.save();
+        }
+
+        return results;
+    }
+
+    // Check one rule against the latest price (or the price given) and notify when it
+    // triggers outside its cooldown. A test check ignores the cooldown, leaves the rule's
+    // state alone and only notifies when notify is true
+    async checkRule(rule, { now = new Date(), price = null, test = false, notify = !test } = {}) {
+        const lastPrice = price ?? await this.getPrice(rule.symbol, rule);
+        const levels = await this.levelsFor(rule, now);
+        const matches = this.matchLevels(rule, lastPrice, levels);
+
+        if (!test) {
+            rule.lastCheckedAt = now.toISOString();
+            rule.lastPrice = lastPrice;
+        }
+
+        if (matches.length === 0) {
+            return { triggered: false, price: lastPrice };
+        }
+
+        const cooldownUntil = rule.lastTriggeredAt
+            ? new Date(new Date(rule.lastTriggeredAt).getTime() + rule.cooldownMinutes * 60 * 1000)
+            : null;
+        if (!test && cooldownUntil && now < cooldownUntil) {
+            return { triggered: false, price: lastPrice, cooldownUntil: cooldownUntil.toISOString() };
+        }
+
+        const { level, distancePct } = matches[0];
+        const alert = {
+            ruleId: rule.id,
+            name: rule.name,
+            symbol: rule.symbol,
+            price: lastPrice,
+            level,
+            distancePct,
+            direction: rule.direction,
+            timestamp: now.toISOString(),
+            ...(test && { test: true })
+        };
+
+        if (!test) {
+            rule.lastTriggeredAt = alert.timestamp;
+        }
+
+        const deliveries = notify ? await this.dispatch(rule, alert) : [];
+        return { triggered: true, alert, deliveries };
+    }
+
+    // Levels within the rule's threshold and on the rule's side, nearest first
+    matchLevels(rule, price, levels) {
+        return levels
+            .map(level => ({ level, distancePct: (price - level.price) / level.price * 100 }))
+            .filter(({ distancePct }) =>
+                Math.abs(distancePct) <= rule.thresholdPct &&
+                (rule.direction === 'any' ||
+                    (rule.direction === 'above' && distancePct >= 0) ||
+                    (rule.direction === 'below' && distancePct <= 0))
+            )
+            .sort((a, b) => Math.abs(a.distancePct) - Math.abs(b.distancePct));
+    }
+
+    async levelsFor(rule, now) {
+        if (rule.levelSource === 'price') {
+            return [{ source: 'price', price: rule.price }];
+        }
+
+        const cached = this.levelCache.get(rule.id);
+        if (cached && now - cached.computedAt < LEVEL_REFRESH_MS) {
+            return cached.levels;
+        }
+
+        const levels = (await this.loadLevels(rule)).map(level => ({ source: rule.levelSource, ...level }));
+        this.levelCache.set(rule.id, { levels, computedAt: now });
+        return levels;
+    }
+
+    // Send an alert to each of the rule's channels (all of its owner's configured channels
+    // when it names none), logging every attempt
+    async dispatch(rule, alert) {
+        const notifiers = this.notifiersFor(rule.owner);
+        const channels = rule.channels.length > 0 ? rule.channels : Object.keys(notifiers);
+        const deliveries = [];
+
+        for (const channel of channels) {
+            const notifier = notifiers[channel];
+            let status = 'sent';
+            let error = null;
+
+            try {
+                if (!notifier) {
+                    throw new Error(`Notifier ${channel} is not configured`);
+                }
+                await notifier.send(alert);
+            } catch (sendError) {
+                status = 'failed';
+                error = sendError.response?.data?.description || sendError.message;
+                console.error(`Alert delivery error (${channel}):`, error);
+            }
+
+            deliveries.push(this.log.record({ ruleId: rule.id, channel, status, error, alert }));
+        }
+
+        return deliveries;
+    }
+
+    // Channels configured for a rule owner
+    listNotifiers(owner) {
+        return Object.keys(this.notifiersFor(owner));
+    }
+
+    listRules() {
+        return this.rules;
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    // owner is the id of the server user the rule belongs to
+    createRule(definition, owner = null) {
+        const now = new Date().toISOString();
+        const rule = this.buildRule(definition, {
+            id: `alert-${this.nextRuleId}`,
+            owner,
+            enabled: true,
+            levelSource: 'mcp',
+            direction: 'any',
+            thresholdPct: 0.5,
+            cooldownMinutes: 60,
+            channels: [],
+            params: {},
+            createdAt: now,
+            lastCheckedAt: null,
+            lastPrice: null,
+            lastTriggeredAt: null,
+            lastError: null
+        });
+
+        this.nextRuleId++;
+        this.rules.push(rule);
+        this.save();
+        return rule;
+    }
+
+    updateRule(id, changes) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            return null;
+        }
+
+        this.rules[index] = this.buildRule(changes, this.rules[index]);
+        this.levelCache.delete(id);
+        this.save();
+        return this.rules[index];
+    }
+
+    deleteRule(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.rules.splice(index, 1);
+        this.levelCache.delete(id);
+        this.save();
+        return true;
+    }
+
+    // Validate a rule definition merged over an existing rule (or the defaults for a new one).
+    // Throws a ValidationError describing the first invalid field
+    buildRule(definition = {}, base) {
+        const rule = { ...base };
+
+        if (definition.symbol !== undefined) {
+            rule.symbol = String(definition.symbol).trim();
+        }
+        if (!rule.symbol) {
+            throw new ValidationError('symbol is required');
+        }
+
+        if (definition.levelSource !== undefined) {
+            if (!LEVEL_SOURCES.includes(definition.levelSource)) {
+                throw new ValidationError(`levelSource must be one of: ${LEVEL_SOURCES.join(', ')}`);
+            }
+            rule.levelSource = definition.levelSource;
+        }
+
+        if (definition.price !== undefined) {
+            rule.price = Number(definition.price);
+        }
+        if (rule.levelSource === 'price' && !(rule.price > 0)) {
+            throw new ValidationError('price must be a positive number for a price alert');
+        }
+
+        if (definition.thresholdPct !== undefined) {
+            rule.thresholdPct = Number(definition.thresholdPct);
+        }
+        if (!Number.isFinite(rule.thresholdPct) || rule.thresholdPct <= 0) {
+            throw new ValidationError('thresholdPct must be a positive number');
+        }
+
+        if (definition.direction !== undefined) {
+            if (!DIRECTIONS.includes(definition.direction)) {
+                throw new ValidationError(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+            }
+            rule.direction = definition.direction;
+        }
+
+        if (definition.cooldownMinutes !== undefined) {
+            rule.cooldownMinutes = Number(definition.cooldownMinutes);
+        }
+        if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+            throw new ValidationError('cooldownMinutes must be zero or a positive number');
+        }
+
+        if (definition.channels !== undefined) {
+            const channels = typeof definition.channels === 'string'
+                ? definition.channels.split(',')
+                : definition.channels;
+            if (!Array.isArray(channels)) {
+                throw new ValidationError('channels must be an array or a comma-separated string');
+            }
+            rule.channels = channels.map(channel => String(channel).trim()).filter(Boolean);
+        }
+        const notifiers = this.notifiersFor(rule.owner);
+        const unknown = rule.channels.filter(channel => !notifiers[channel]);
+        if (unknown.length > 0) {
+            throw new ValidationError(`Notifier not configured: ${unknown.join(', ')}`);
+        }
+
+        if (definition.enabled !== undefined) {
+            if (typeof definition.enabled !== 'boolean') {
+                throw new ValidationError('enabled must be true or false');
+            }
+            rule.enabled = definition.enabled;
+        }
+
+        if (definition.params !== undefined) {
+            if (typeof definition.params !== 'object' || definition.params === null || Array.isArray(definition.params)) {
+                throw new ValidationError('params must be an object');
+            }
+            rule.params = definition.params;
+        }
+        this.validateParams(rule.params);
+
+        rule.name = definition.name ?? rule.name ?? `${rule.symbol} near ${rule.levelSource === 'price' ? rule.price : rule.levelSource.toUpperCase()}`;
+        rule.updatedAt = new Date().toISOString();
+
+        return rule;
+    }
+}
+
+module.exports = {
+    LEVEL_SOURCES,
+    DIRECTIONS,
+    CHECK_INTERVAL_MS,
+    DeliveryLog,
+    AlertEngine
+};
@@ -0,0 +1,224 @@
+// Backtesting engine for registered strategies
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_MCP_OPTIONS } = require('./mcp-calculator');
+const { evaluateStrategy } = require('./strategy-registry');
+const { computeFilterSeries } = require('./indicator-filters');
+const { ValidationError } = require('./errors');
+
+// Directory that local candle files are read from
+const CANDLE_DATA_DIR = process.env.CANDLE_DATA_DIR || path.join(__dirname, 'data');
+
+// Load candles from a local file inside CANDLE_DATA_DIR.
+// Accepts the Upstox historical response ({ data: { candles } }), { candles },
+// a bare array of candle arrays, or a CSV of timestamp,open,high,low,close,volume
+function loadCandleFile(fileName) {
+    const filePath = path.resolve(CANDLE_DATA_DIR, fileName);
+
+    // Never read outside the candle data directory
+    if (!filePath.startsWith(path.resolve(CANDLE_DATA_DIR) + path.sep)) {
+        throw new Error(`Candle file must be inside ${CANDLE_DATA_DIR}`);
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        return content
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^[a-z]/i.test(line)) // Skip blank lines and the header
+            .map(line => line.split(','));
+    }
+
+    const json = JSON.parse(content);
+    if (Array.isArray(json)) {
+        return json;
+    }
+    return json.data?.candles || json.candles || [];
+}
+
+// Numeric backtest options from a request body: lookback (whole bars), initialCapital,
+// investmentAmount and periodsPerYear must be positive and commissionRate a fraction in
+// [0, 1). Options left out are not returned, so runBacktest's defaults apply.
+// Throws a ValidationError describing the first invalid option
+function parseBacktestOptions(body = {}) {
+    const options = {};
+
+    ['lookback', 'initialCapital', 'investmentAmount', 'periodsPerYear', 'commissionRate'].forEach(name => {
+        if (body[name] === undefined || body[name] === null || body[name] === '') {
+            return;
+        }
+
+        const value = Number(body[name]);
+        if (name === 'commissionRate') {
+            if (!Number.isFinite(value) || value < 0 || value >= 1) {
+                throw new ValidationError('commissionRate must be a fraction of the traded value from 0 up to 1 (0.001 = 0.1%)');
+            }
+        } else if (name === 'lookback' ? !Number.isInteger(value) || value <= 0 : !Number.isFinite(value) || value <= 0) {
+            throw new ValidationError(`${name} must be a positive ${name === 'lookback' ? 'integer' : 'number'}`);
+        }
+        options[name] = value;
+    });
+
+    return options;
+}
+
+// Replay data points bar by bar through a strategy's decision rule (see strategy-registry.js).
+// At bar i the strategy sees the preceding lookback bars only, with bar i's open as the
+// current price, and the order fills at that open, so no future price is ever visible to the rule.
+// options.params are the strategy's parameters as returned by parseStrategyParams and
+// options.filters its indicator filters, read at the bar before bar i from series calculated
+// once over all the data (each value only depends on earlier bars). Positions
+// are only closed by an opposite signal or at the end of the data
+function runBacktest(dataPoints, strategy, options = {}) {
+    const {
+        params,
+        filters = [],
+        lookback = 30,
+        initialCapital = 100000,
+        investmentAmount = initialCapital,
+        allowShort = false,
+        commissionRate = 0,
+        periodsPerYear = 252,
+        mcpOptions = DEFAULT_MCP_OPTIONS
+    } = options;
+
+    let cash = initialCapital;
+    let position = null; // { side, quantity, entryPrice, entryTime, commission }
+    const trades = [];
+    const equityCurve = [];
+    const series = filters.length > 0 ? computeFilterSeries(filters, dataPoints) : null;
+
+    const openPosition = (side, price, timestamp) => {
+        const quantity = Math.floor(investmentAmount / price);
+        if (quantity <= 0) {
+            return;
+        }
+
+        const commission = price * quantity * commissionRate;
+        cash -= commission;
+        cash += side === 'BUY' ? -price * quantity : price * quantity;
+        position = { side, quantity, entryPrice: price, entryTime: timestamp, commission };
+    };
+
+    const closePosition = (price, timestamp, reason) => {
+        const { side, quantity, entryPrice, entryTime } = position;
+        const commission = price * quantity * commissionRate;
+        cash -= commission;
+        cash += side === 'BUY' ? price * quantity : -price * quantity;
+
+        const grossPnl = side === 'BUY'
+            ? (price - entryPrice) * quantity
+            : (entryPrice - price) * quantity;
+        const pnl = grossPnl - position.commission - commission;
+
+        trades.push({
+            side,
+            quantity,
+            entryTime,
+            entryPrice,
+            exitTime: timestamp,
+            exitPrice: price,
+            exitReason: reason,
+            pnl,
+            returnPct: pnl / (entryPrice * quantity) * 100
+        });
+        position = null;
+    };
+
+    const markToMarket = price => {
+        if (!position) {
+            return cash;
+        }
+        return cash + (position.side === 'BUY' ? price * position.quantity : -price * position.quantity);
+    };
+
+    for (let i = lookback; i < dataPoints.length; i++) {
+        const window = dataPoints.slice(i - lookback, i);
+        const bar = dataPoints[i];
+        const currentPrice = bar.open;
+        const signal = evaluateStrategy(strategy, {
+            dataPoints: window,
+            filterSeries: series && { series, index: i - 1 },
+            price: currentPrice,
+            position: position ? (position.side === 'BUY' ? position.quantity : -position.quantity) : 0,
+            mcpOptions,
+            params,
+            filters
+        });
+
+        const action = signal?.action;
+
+        if (action && (!position || position.side !== action)) {
+            if (position) {
+                closePosition(currentPrice, bar.timestamp, 'signal');
+            }
+            if (action === 'BUY' || allowShort) {
+                openPosition(action, currentPrice, bar.timestamp);
+            }
+        }
+
+        equityCurve.push({ timestamp: bar.timestamp, equity: markToMarket(bar.close) });
+    }
+
+    // Close anything still open at the final close
+    if (position) {
+        const lastBar = dataPoints[dataPoints.length - 1];
+        closePosition(lastBar.close, lastBar.timestamp, 'end');
+        equityCurve[equityCurve.length - 1].equity = cash;
+    }
+
+    return {
+        summary: summarizeBacktest(trades, equityCurve, initialCapital, periodsPerYear),
+        trades,
+        equityCurve
+    };
+}
+
+// Compute performance statistics for a finished backtest
+function summarizeBacktest(trades, equityCurve, initialCapital, periodsPerYear) {
+    const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : initialCapital;
+    const winningTrades = trades.filter(trade => trade.pnl > 0).length;
+
+    // Maximum peak-to-trough decline of the equity curve
+    let peak = initialCapital;
+    let maxDrawdown = 0;
+    equityCurve.forEach(({ equity }) => {
+        peak = Math.max(peak, equity);
+        maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak);
+    });
+
+    // Annualised Sharpe ratio of per-bar returns (risk-free rate of zero)
+    const returns = [];
+    let previousEquity = initialCapital;
+    equityCurve.forEach(({ equity }) => {
+        returns.push((equity - previousEquity) / previousEquity);
+        previousEquity = equity;
+    });
+
+    let sharpeRatio = null;
+    if (returns.length > 1) {
+        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+        const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+        const stdDev = Math.sqrt(variance);
+        sharpeRatio = stdDev > 0 ? mean / stdDev * Math.sqrt(periodsPerYear) : null;
+    }
+
+    return {
+        initialCapital,
+        finalEquity,
+        totalReturnPct: (finalEquity - initialCapital) / initialCapital * 100,
+        totalTrades: trades.length,
+        winningTrades,
+        winRatePct: trades.length > 0 ? winningTrades / trades.length * 100 : 0,
+        maxDrawdownPct: maxDrawdown * 100,
+        sharpeRatio
+    };
+}
+
+module.exports = {
+    CANDLE_DATA_DIR,
+    loadCandleFile,
+    parseBacktestOptions,
+    runBacktest
+};
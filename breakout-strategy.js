@@ -0,0 +1,69 @@
+// Breakout through an MCP level: trade in the direction price moves through a strong
+// support/resistance level
+const { calculateMCP, calculateMCPLevels } = require('./mcp-calculator');
+
+// How far (as a fraction) price must clear the level to count as a breakout
+const BREAKOUT_BUFFER = 0.002;
+
+// Weakest level (strength 0-100) whose break is traded
+const MIN_STRENGTH = 50;
+
+// Levels considered for a breakout
+const BREAKOUT_LEVELS = 5;
+
+function evaluate({ dataPoints, price, position, mcpOptions, params }) {
+    const mcp = calculateMCP(dataPoints, mcpOptions);
+    if (!mcp) {
+        return null;
+    }
+
+    // The last data point closed on one side of the level and price is now clear of the other
+    const previousPrice = dataPoints[dataPoints.length - 1].price;
+    const broken = calculateMCPLevels(dataPoints, params.breakoutLevels, mcpOptions)
+        .filter(level => level.strength >= params.minStrength)
+        .find(level =>
+            (previousPrice <= level.price && price >= level.price * (1 + params.breakoutBuffer)) ||
+            (previousPrice >= level.price && price <= level.price * (1 - params.breakoutBuffer))
+        );
+
+    const analysis = {
+        previousPrice,
+        connectionStrength: mcp.connections
+    };
+
+    if (!broken) {
+        return { action: null, reason: 'No strong MCP level broken', mcp, analysis };
+    }
+
+    const action = price > broken.price ? 'BUY' : 'SELL';
+    analysis.brokenLevel = { price: broken.price, strength: broken.strength, connections: broken.connections };
+
+    if ((action === 'BUY' && position > 0) || (action === 'SELL' && position < 0)) {
+        return { action: null, reason: `Already ${action === 'BUY' ? 'long' : 'short'}`, mcp, analysis };
+    }
+
+    return {
+        action,
+        price,
+        // A breakout that falls back through the level has failed
+        level: broken.price,
+        reason: `Price broke ${action === 'BUY' ? 'above resistance' : 'below support'} at ${broken.price.toFixed(2)}`,
+        mcp,
+        analysis
+    };
+}
+
+module.exports = {
+    BREAKOUT_BUFFER,
+    MIN_STRENGTH,
+    name: 'mcp-breakout',
+    label: 'MCP Breakout',
+    description: 'BUY when price breaks above, or SELL when it breaks below, a strong MCP level it was on the other side of at the last close',
+    params: {
+        breakoutBuffer: { default: BREAKOUT_BUFFER, max: 1, description: 'How far past the level price must be, as a fraction of the level' },
+        minStrength: { default: MIN_STRENGTH, max: 100, description: 'Weakest level strength (0-100) whose break is traded' },
+        breakoutLevels: { default: BREAKOUT_LEVELS, integer: true, description: 'Number of MCP levels considered' }
+    },
+    usesPosition: true,
+    evaluate
+};
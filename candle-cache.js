@@ -0,0 +1,182 @@
+// On-disk cache of historical candles, one file per instrument and interval
+const fs = require('fs');
+const path = require('path');
+const { toIST } = require('./market-hours');
+
+// Shift a YYYY-MM-DD date by a number of days
+function addDays(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().split('T')[0];
+}
+
+// Sort inclusive [from, to] date ranges and join the ones that overlap or touch
+function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0].localeCompare(b[0]));
+    const merged = [];
+
+    sorted.forEach(([from, to]) => {
+        const last = merged[merged.length - 1];
+        if (last && from <= addDays(last[1], 1)) {
+            last[1] = to > last[1] ? to : last[1];
+        } else {
+            merged.push([from, to]);
+        }
+    });
+
+    return merged;
+}
+
+// Parts of [from, to] not covered by the (merged) ranges
+function missingRanges(ranges, from, to) {
+    const missing = [];
+    let cursor = from;
+
+    for (const [rangeFrom, rangeTo] of ranges) {
+        if (rangeTo < cursor) {
+            continue;
+        }
+        if (rangeFrom > to) {
+            break;
+        }
+        if (rangeFrom > cursor) {
+            missing.push([cursor, addDays(rangeFrom, -1)]);
+        }
+        cursor = addDays(rangeTo, 1);
+    }
+
+    if (cursor <= to) {
+        missing.push([cursor, to]);
+    }
+
+    return missing;
+}
+
+// IST trading date of an Upstox candle ([timestamp, open, high, low, close, volume, oi])
+function candleDate(candle) {
+    return String(candle[0]).slice(0, 10);
+}
+
+class CandleCache {
+    // fetchCandles(symbol, interval, from, to, client) downloads raw Upstox candles for a
+    // date range, using the SDK client given to getCandles
+    constructor({ dir, fetchCandles }) {
+        this.dir = dir;
+        this.fetchCandles = fetchCandles;
+    }
+
+    filePath(symbol, interval) {
+        return path.join(this.dir, `${encodeURIComponent(symbol)}__${encodeURIComponent(interval)}.json`);
+    }
+
+    read(symbol, interval) {
+        const filePath = this.filePath(symbol, interval);
+
+        if (fs.existsSync(filePath)) {
+            try {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                console.error(`Error reading candle cache for ${symbol} ${interval}:`, error.message);
+            }
+        }
+
+        return { symbol, interval, ranges: [], candles: [], updatedAt: null };
+    }
+
+    write(entry) {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(this.filePath(entry.symbol, entry.interval), JSON.stringify(entry));
+        } catch (error) {
+            console.error(`Error writing candle cache for ${entry.symbol} ${entry.interval}:`, error.message);
+        }
+    }
+
+    // Candles for [from, to], downloading only the date ranges not already cached.
+    // The current session is always refetched and never marked as cached, because
+    // its candles are still forming. Resolves to { candles, status } where status is
+    // HIT (served locally), PARTIAL (some ranges fetched), MISS (all fetched) or
+    // BYPASS (no date range given, so nothing can be cached). client is passed on to
+    // fetchCandles for any download
+    async getCandles(symbol, interval, from, to, client = null) {
+        if (!from || !to) {
+            return { candles: await this.fetchCandles(symbol, interval, from, to, client), status: 'BYPASS' };
+        }
+
+        const lastCachedDay = addDays(toIST(new Date()).date, -1);
+        const cached = this.read(symbol, interval);
+
+        const missing = missingRanges(cached.ranges, from, to > lastCachedDay ? lastCachedDay : to);
+        if (to > lastCachedDay) {
+            missing.push([from > lastCachedDay ? from : addDays(lastCachedDay, 1), to]);
+        }
+        const toFetch = mergeRanges(missing);
+
+        const fetched = [];
+        for (const [start, end] of toFetch) {
+            fetched.push({ start, end, candles: await this.fetchCandles(symbol, interval, start, end, client) });
+        }
+
+        // Re-read so candles cached by a concurrent request in the meantime are kept
+        const entry = toFetch.length > 0 ? this.read(symbol, interval) : cached;
+        if (fetched.length > 0) {
+            const byTimestamp = new Map(entry.candles.map(candle => [String(candle[0]), candle]));
+            fetched.forEach(({ start, end, candles }) => {
+                candles.forEach(candle => byTimestamp.set(String(candle[0]), candle));
+                if (start <= lastCachedDay) {
+                    entry.ranges.push([start, end > lastCachedDay ? lastCachedDay : end]);
+                }
+            });
+
+            entry.candles = [...byTimestamp.values()].sort((a, b) => new Date(a[0]) - new Date(b[0]));
+            entry.ranges = mergeRanges(entry.ranges);
+            entry.updatedAt = new Date().toISOString();
+            this.write(entry);
+        }
+
+        const uncached = missingRanges(cached.ranges, from, to);
+        const nothingCached = uncached.length === 1 && uncached[0][0] === from && uncached[0][1] === to;
+
+        return {
+            candles: entry.candles.filter(candle => candleDate(candle) >= from && candleDate(candle) <= to),
+            status: toFetch.length === 0 ? 'HIT' : nothingCached ? 'MISS' : 'PARTIAL'
+        };
+    }
+
+    // Summary of every cached instrument and interval
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                const [symbol, interval] = file.slice(0, -'.json'.length).split('__').map(decodeURIComponent);
+                const entry = this.read(symbol, interval);
+                return {
+                    symbol: entry.symbol,
+                    interval: entry.interval,
+                    ranges: entry.ranges,
+                    candles: entry.candles.length,
+                    updatedAt: entry.updatedAt
+                };
+            });
+    }
+
+    // Delete cached candles, optionally only for one symbol and/or interval.
+    // Returns the number of cache files removed
+    purge({ symbol, interval } = {}) {
+        const entries = this.list().filter(entry =>
+            (!symbol || entry.symbol === symbol) &&
+            (!interval || entry.interval === interval)
+        );
+
+        entries.forEach(entry => fs.unlinkSync(this.filePath(entry.symbol, entry.interval)));
+        return entries.length;
+    }
+}
+
+module.exports = {
+    CandleCache
+};
@@ -0,0 +1,80 @@
+// Multi-timeframe MCP confluence zones
+
+// Levels whose prices are within this fraction of a zone's lowest level join the zone
+const ZONE_TOLERANCE = 0.005;
+
+// Group support/resistance levels from several timeframes into price zones and
+// score the zones where levels from at least minTimeframes timeframes coincide.
+// levelsByInterval: { [interval]: levels[] } as returned by calculateMCPLevels.
+// requestedTimeframes is the number of timeframes asked for, including any that failed
+// to load, so missing timeframes count against the score
+function findConfluenceZones(levelsByInterval, lastPrice, options = {}) {
+    const intervals = Object.keys(levelsByInterval);
+    const { zoneTolerance = ZONE_TOLERANCE, minTimeframes = 2, requestedTimeframes = intervals.length } = options;
+
+    const allLevels = intervals
+        .flatMap(interval => levelsByInterval[interval].map(level => ({ interval, ...level })))
+        .sort((a, b) => a.price - b.price);
+
+    // Sweep up through the sorted levels, starting a new zone when a level is too far above the current zone's low
+    const zones = [];
+    allLevels.forEach(level => {
+        const zone = zones[zones.length - 1];
+
+        if (zone && (level.price - zone.low) / zone.low <= zoneTolerance) {
+            zone.high = level.price;
+            zone.levels.push(level);
+        } else {
+            zones.push({ low: level.price, high: level.price, levels: [level] });
+        }
+    });
+
+    return zones
+        .map(zone => {
+            // Strongest level from each timeframe present in the zone
+            const strongestByInterval = {};
+            zone.levels.forEach(level => {
+                const current = strongestByInterval[level.interval];
+                if (!current || level.strength > current.strength) {
+                    strongestByInterval[level.interval] = level;
+                }
+            });
+
+            const timeframes = Object.keys(strongestByInterval);
+            const strongest = Object.values(strongestByInterval);
+
+            // Score (0-100): strength of each timeframe's best level, averaged over every
+            // requested timeframe, so a zone needs agreement across timeframes to score highly
+            const totalStrength = strongest.reduce((sum, level) => sum + level.strength, 0);
+            const score = Math.round(totalStrength / Math.max(requestedTimeframes, intervals.length));
+
+            // Strength-weighted centre of the zone
+            const price = totalStrength > 0
+                ? strongest.reduce((sum, level) => sum + level.price * level.strength, 0) / totalStrength
+                : (zone.low + zone.high) / 2;
+
+            return {
+                price,
+                low: zone.low,
+                high: zone.high,
+                score,
+                timeframes,
+                side: price <= lastPrice ? 'support' : 'resistance',
+                // Positive when the zone is above the last price, as in options-analysis.js
+                distancePct: (price - lastPrice) / lastPrice * 100,
+                levels: zone.levels.map(level => ({
+                    interval: level.interval,
+                    price: level.price,
+                    connections: level.connections,
+                    strength: level.strength
+                }))
+            };
+        })
+        .filter(zone => zone.timeframes.length >= minTimeframes)
+        .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+    ZONE_TOLERANCE,
+    findConfluenceZones
+};
@@ -0,0 +1,40 @@
+// Error types shared across the server
+
+// Invalid request input; routes respond with 400 and the error message, plus the
+// per-field issues when the input was checked against a schema
+class ValidationError extends Error {
+    constructor(message, issues = null) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 400;
+        this.issues = issues;
+    }
+}
+
+// Order blocked by the pre-trade risk checks or the kill switch; routes respond
+// with 403 and the list of failed checks
+class RiskCheckError extends Error {
+    constructor(violations) {
+        super(`Order blocked by risk checks: ${violations.map(v => v.message).join('; ')}`);
+        this.name = 'RiskCheckError';
+        this.status = 403;
+        this.violations = violations;
+    }
+}
+
+// Strategy run that cannot produce a signal or an order; routes respond with the
+// error's status and merge its details into the body
+class StrategyError extends Error {
+    constructor(message, status, details = {}) {
+        super(message);
+        this.name = 'StrategyError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    ValidationError,
+    RiskCheckError,
+    StrategyError
+};
@@ -0,0 +1,151 @@
+// Indicator filters: conditions on technical indicators that a strategy's BUY or SELL
+// must meet before it is traded, e.g. only BUY while RSI is below 60
+const { INDICATORS, parseIndicatorSpec, computeIndicators } = require('./indicators');
+const { ValidationError } = require('./errors');
+
+const FILTER_ACTIONS = ['BUY', 'SELL'];
+
+// Parse one side of a comparison: "price", an indicator spec with an optional output
+// field ("rsi:14", "macd.histogram", "bollinger:20:2.upper") or, for thresholds, a number
+function parseOperand(value, name, allowNumber) {
+    if (allowNumber && typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            throw new ValidationError(`${name} must be a finite number`);
+        }
+        return { number: value };
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new ValidationError(`${name} must be ${allowNumber ? 'a number, ' : ''}"price" or an indicator such as "rsi:14"`);
+    }
+    if (value.trim().toLowerCase() === 'price') {
+        return { price: true };
+    }
+
+    // The field follows the last dot; parameters such as a 2.5 stdDev contain dots too
+    const [, text, field] = value.trim().match(/^(.*?)(?:\.([a-z]+))?$/i);
+    let spec;
+    try {
+        spec = parseIndicatorSpec(text);
+    } catch (error) {
+        throw new ValidationError(`${name}: ${error.message}`);
+    }
+    const fields = INDICATORS[spec.name].fields;
+
+    if (field !== undefined && !fields?.includes(field)) {
+        throw new ValidationError(fields
+            ? `${name}: ${spec.name} field must be one of: ${fields.join(', ')}`
+            : `${name}: ${spec.name} has no fields`);
+    }
+
+    return { spec, field: field ?? fields?.[0] ?? null };
+}
+
+function describeOperand(operand) {
+    if (operand.number !== undefined) {
+        return String(operand.number);
+    }
+    if (operand.price) {
+        return 'price';
+    }
+    return operand.field && INDICATORS[operand.spec.name].fields[0] !== operand.field
+        ? `${operand.spec.key}.${operand.field}`
+        : operand.spec.key;
+}
+
+// Validate the filters of a strategy request or job:
+// [{ indicator, above, below, action }] where indicator is "price" or an indicator spec,
+// above/below are numbers, "price" or indicator specs (at least one of them), and action
+// limits the filter to BUY or SELL signals (both when omitted).
+// Throws a ValidationError describing the first invalid filter
+function parseIndicatorFilters(filters) {
+    if (filters === undefined || filters === null) {
+        return [];
+    }
+    if (!Array.isArray(filters)) {
+        throw new ValidationError('filters must be an array');
+    }
+
+    return filters.map((filter, i) => {
+        const name = `filters[${i}]`;
+        if (!filter || typeof filter !== 'object') {
+            throw new ValidationError(`${name} must be an object`);
+        }
+        if (filter.above === undefined && filter.below === undefined) {
+            throw new ValidationError(`${name} needs above or below`);
+        }
+
+        const action = filter.action === undefined ? null : String(filter.action).toUpperCase();
+        if (action !== null && !FILTER_ACTIONS.includes(action)) {
+            throw new ValidationError(`${name}.action must be BUY or SELL`);
+        }
+
+        const parsed = {
+            action,
+            indicator: parseOperand(filter.indicator, `${name}.indicator`, false),
+            above: filter.above === undefined ? null : parseOperand(filter.above, `${name}.above`, true),
+            below: filter.below === undefined ? null : parseOperand(filter.below, `${name}.below`, true)
+        };
+
+        parsed.description = [
+            action && `${action} only when`,
+            describeOperand(parsed.indicator),
+            parsed.above && `above ${describeOperand(parsed.above)}`,
+            parsed.above && parsed.below && 'and',
+            parsed.below && `below ${describeOperand(parsed.below)}`
+        ].filter(Boolean).join(' ');
+
+        return parsed;
+    });
+}
+
+// The indicator series that filters compare, keyed by spec, over dataPoints (oldest
+// first). Each value depends only on the data points up to it, so a backtest can
+// calculate the series once and read every bar's value from them
+function computeFilterSeries(filters, dataPoints) {
+    const specs = filters
+        .flatMap(filter => [filter.indicator, filter.above, filter.below])
+        .filter(operand => operand?.spec)
+        .map(operand => operand.spec);
+    return computeIndicators(dataPoints, [...new Map(specs.map(spec => [spec.key, spec])).values()]);
+}
+
+// Check the filters that apply to action against the latest indicator values over
+// dataPoints (oldest first) and the current price. precomputed ({ series, index }, see
+// computeFilterSeries) supplies the series instead, read at index. A filter whose
+// indicator has too few data points to be calculated fails. Returns { passed, results }
+// with one { filter, value, passed } result per checked filter
+function checkIndicatorFilters(filters, action, dataPoints, price, precomputed = null) {
+    const applicable = filters.filter(filter => filter.action === null || filter.action === action);
+    const series = precomputed ? precomputed.series : computeFilterSeries(applicable, dataPoints);
+    const index = precomputed ? precomputed.index : dataPoints.length - 1;
+
+    const valueOf = operand => {
+        if (operand.number !== undefined) {
+            return operand.number;
+        }
+        if (operand.price) {
+            return price;
+        }
+        const latest = series[operand.spec.key][index] ?? null;
+        return latest !== null && operand.field ? latest[operand.field] ?? null : latest;
+    };
+
+    const results = applicable.map(filter => {
+        const value = valueOf(filter.indicator);
+        const above = filter.above && valueOf(filter.above);
+        const below = filter.below && valueOf(filter.below);
+        const passed = value !== null &&
+            (!filter.above || (above !== null && value > above)) &&
+            (!filter.below || (below !== null && value < below));
+
+        return { filter: filter.description, value, passed };
+    });
+
+    return { passed: results.every(result => result.passed), results };
+}
+
+module.exports = {
+    parseIndicatorFilters,
+    computeFilterSeries,
+    checkIndicatorFilters
+};
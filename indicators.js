@@ -0,0 +1,317 @@
+// Technical indicators computed over data points (oldest first).
+// Series functions return one value per data point, null until enough data exists.
+const { ValidationError } = require('./errors');
+
+// Simple moving average of values over period
+function sma(values, period) {
+    const result = [];
+    let sum = 0;
+
+    values.forEach((value, i) => {
+        sum += value;
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        result.push(i >= period - 1 ? sum / period : null);
+    });
+
+    return result;
+}
+
+// Exponential moving average of values, seeded with the SMA of the first period values
+function ema(values, period) {
+    const result = [];
+    const k = 2 / (period + 1);
+    let previous = null;
+
+    values.forEach((value, i) => {
+        if (i < period - 1) {
+            result.push(null);
+            return;
+        }
+        if (previous === null) {
+            previous = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+        } else {
+            previous = value * k + previous * (1 - k);
+        }
+        result.push(previous);
+    });
+
+    return result;
+}
+
+// True range of each bar
+function trueRange(dataPoints) {
+    return dataPoints.map((point, i) => {
+        if (i === 0) {
+            return point.high - point.low;
+        }
+        const previousClose = dataPoints[i - 1].close;
+        return Math.max(
+            point.high - point.low,
+            Math.abs(point.high - previousClose),
+            Math.abs(point.low - previousClose)
+        );
+    });
+}
+
+// Average true range using Wilder's smoothing
+function atr(dataPoints, period = 14) {
+    const ranges = trueRange(dataPoints);
+    const result = [];
+    let previous = null;
+
+    ranges.forEach((range, i) => {
+        if (i < period - 1) {
+            result.push(null);
+            return;
+        }
+        if (previous === null) {
+            previous = ranges.slice(0, period).reduce((sum, r) => sum + r, 0) / period;
+        } else {
+            previous = (previous * (period - 1) + range) / period;
+        }
+        result.push(previous);
+    });
+
+    return result;
+}
+
+// Latest ATR value, or the mean true range when there are fewer bars than the period
+function latestATR(dataPoints, period = 14) {
+    const atrValues = atr(dataPoints, period);
+    const ranges = trueRange(dataPoints);
+    return atrValues[atrValues.length - 1]
+        ?? ranges.reduce((sum, range) => sum + range, 0) / ranges.length;
+}
+
+// Relative strength index (0-100) of values using Wilder's smoothing
+function rsi(values, period = 14) {
+    const result = values.map(() => null);
+    let averageGain = 0;
+    let averageLoss = 0;
+
+    for (let i = 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        const gain = Math.max(change, 0);
+        const loss = Math.max(-change, 0);
+
+        if (i <= period) {
+            averageGain += gain / period;
+            averageLoss += loss / period;
+            if (i < period) {
+                continue;
+            }
+        } else {
+            averageGain = (averageGain * (period - 1) + gain) / period;
+            averageLoss = (averageLoss * (period - 1) + loss) / period;
+        }
+
+        // A flat window is neutral; one without losses is fully overbought
+        if (averageLoss === 0) {
+            result[i] = averageGain === 0 ? 50 : 100;
+        } else {
+            result[i] = 100 - 100 / (1 + averageGain / averageLoss);
+        }
+    }
+
+    return result;
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them
+function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fast = ema(values, fastPeriod);
+    const slow = ema(values, slowPeriod);
+    const line = values.map((value, i) => fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null);
+
+    // The signal EMA starts where the MACD line does
+    const start = line.findIndex(value => value !== null);
+    const signalLine = start === -1 ? [] : ema(line.slice(start), signalPeriod);
+
+    return line.map((value, i) => {
+        if (value === null) {
+            return null;
+        }
+        const signal = signalLine[i - start];
+        return { macd: value, signal, histogram: signal === null ? null : value - signal };
+    });
+}
+
+// Bollinger bands: the SMA of values with bands stdDev standard deviations either side
+function bollinger(values, period = 20, stdDev = 2) {
+    return sma(values, period).map((middle, i) => {
+        if (middle === null) {
+            return null;
+        }
+        const window = values.slice(i - period + 1, i + 1);
+        const deviation = Math.sqrt(window.reduce((sum, v) => sum + (v - middle) ** 2, 0) / period);
+        return { upper: middle + stdDev * deviation, middle, lower: middle - stdDev * deviation };
+    });
+}
+
+// SuperTrend: an ATR band that trails below price in an uptrend (direction 1) and above
+// it in a downtrend (direction -1), flipping when price closes through it
+function supertrend(dataPoints, period = 10, multiplier = 3) {
+    const atrValues = atr(dataPoints, period);
+    let previous = null; // { upper, lower, direction }
+
+    return dataPoints.map((point, i) => {
+        if (atrValues[i] === null) {
+            return null;
+        }
+
+        const middle = (point.high + point.low) / 2;
+        let upper = middle + multiplier * atrValues[i];
+        let lower = middle - multiplier * atrValues[i];
+        let direction = point.close >= middle ? 1 : -1;
+
+        if (previous) {
+            // The bands only tighten while price stays inside them
+            const previousClose = dataPoints[i - 1].close;
+            if (upper > previous.upper && previousClose <= previous.upper) {
+                upper = previous.upper;
+            }
+            if (lower < previous.lower && previousClose >= previous.lower) {
+                lower = previous.lower;
+            }
+
+            direction = previous.direction;
+            if (direction === -1 && point.close > upper) {
+                direction = 1;
+            } else if (direction === 1 && point.close < lower) {
+                direction = -1;
+            }
+        }
+
+        previous = { upper, lower, direction };
+        return { value: direction === 1 ? lower : upper, direction };
+    });
+}
+
+// Volume-weighted average price anchored at the first data point
+function vwap(dataPoints) {
+    let cumulativeValue = 0;
+    let cumulativeVolume = 0;
+
+    return dataPoints.map(point => {
+        const typicalPrice = (point.high + point.low + point.close) / 3;
+        cumulativeValue += typicalPrice * point.volume;
+        cumulativeVolume += point.volume;
+        return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : typicalPrice;
+    });
+}
+
+// Median of a list of values
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+const closes = dataPoints => dataPoints.map(point => point.close);
+
+// Indicators selectable by name, e.g. in /indicators and strategy filters. params are
+// positional (rsi:14, macd:12:26:9) and field is the value used when an indicator with
+// several outputs is compared as a single number
+const INDICATORS = {
+    sma: {
+        params: [{ name: 'period', default: 20, integer: true }],
+        compute: (dataPoints, [period]) => sma(closes(dataPoints), period)
+    },
+    ema: {
+        params: [{ name: 'period', default: 20, integer: true }],
+        compute: (dataPoints, [period]) => ema(closes(dataPoints), period)
+    },
+    rsi: {
+        params: [{ name: 'period', default: 14, integer: true }],
+        compute: (dataPoints, [period]) => rsi(closes(dataPoints), period)
+    },
+    macd: {
+        params: [
+            { name: 'fastPeriod', default: 12, integer: true },
+            { name: 'slowPeriod', default: 26, integer: true },
+            { name: 'signalPeriod', default: 9, integer: true }
+        ],
+        fields: ['macd', 'signal', 'histogram'],
+        compute: (dataPoints, [fast, slow, signal]) => macd(closes(dataPoints), fast, slow, signal)
+    },
+    atr: {
+        params: [{ name: 'period', default: 14, integer: true }],
+        compute: (dataPoints, [period]) => atr(dataPoints, period)
+    },
+    bollinger: {
+        params: [
+            { name: 'period', default: 20, integer: true },
+            { name: 'stdDev', default: 2 }
+        ],
+        fields: ['middle', 'upper', 'lower'],
+        compute: (dataPoints, [period, stdDev]) => bollinger(closes(dataPoints), period, stdDev)
+    },
+    vwap: {
+        params: [],
+        compute: dataPoints => vwap(dataPoints)
+    },
+    supertrend: {
+        params: [
+            { name: 'period', default: 10, integer: true },
+            { name: 'multiplier', default: 3 }
+        ],
+        fields: ['value', 'direction'],
+        compute: (dataPoints, [period, multiplier]) => supertrend(dataPoints, period, multiplier)
+    }
+};
+
+// Parse an indicator spec such as "rsi", "rsi:21" or "macd:12:26:9", filling in
+// default parameters. key is the spec with every parameter, e.g. "rsi:14".
+// Throws a ValidationError for an unknown indicator or invalid parameter
+function parseIndicatorSpec(text) {
+    const [name, ...values] = String(text).trim().toLowerCase().split(':');
+    const indicator = INDICATORS[name];
+
+    if (!indicator) {
+        throw new ValidationError(`Unknown indicator: ${name}. Use one of: ${Object.keys(INDICATORS).join(', ')}`);
+    }
+    if (values.length > indicator.params.length) {
+        throw new ValidationError(`${name} takes at most ${indicator.params.length} parameter(s)`);
+    }
+
+    const params = indicator.params.map((param, i) => {
+        if (values[i] === undefined || values[i] === '') {
+            return param.default;
+        }
+
+        const value = Number(values[i]);
+        if (!Number.isFinite(value) || value <= 0 || (param.integer && !Number.isInteger(value))) {
+            throw new ValidationError(`${name} ${param.name} must be a positive ${param.integer ? 'integer' : 'number'}`);
+        }
+        return value;
+    });
+
+    if (name === 'macd' && params[0] >= params[1]) {
+        throw new ValidationError('macd fastPeriod must be less than slowPeriod');
+    }
+
+    return { key: [name, ...params].join(':'), name, params };
+}
+
+// Compute parsed indicator specs over data points: { key: series }
+function computeIndicators(dataPoints, specs) {
+    return Object.fromEntries(specs.map(spec => [spec.key, INDICATORS[spec.name].compute(dataPoints, spec.params)]));
+}
+
+module.exports = {
+    INDICATORS,
+    sma,
+    ema,
+    trueRange,
+    atr,
+    latestATR,
+    rsi,
+    macd,
+    bollinger,
+    supertrend,
+    vwap,
+    median,
+    parseIndicatorSpec,
+    computeIndicators
+};
@@ -0,0 +1,244 @@
+// Upstox instrument master: search and friendly symbol resolution
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+const { toIST } = require('./market-hours');
+
+// Preferred segment when a trading symbol is listed on several exchanges
+const SEGMENT_PRIORITY = ['NSE_EQ', 'BSE_EQ', 'NSE_INDEX', 'BSE_INDEX', 'NSE_FO', 'BSE_FO', 'MCX_FO'];
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Friendly derivative symbols: UNDERLYING YYMMM [STRIKE CE|PE | FUT], e.g.
+// "NIFTY 25JAN 22000 CE" or "BANKNIFTY 25FEB FUT"
+const DERIVATIVE_PATTERN = /^(\S+?)\s*(\d{2})(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s*(?:(\d+(?:\.\d+)?)\s*(CE|PE)|(FUT))$/;
+
+// Upper case with single spaces, for comparing symbols
+function normalize(value) {
+    return String(value || '').toUpperCase().trim().replace(/\s+/g, ' ');
+}
+
+// Expiry as an IST YYYY-MM-DD date from an epoch (JSON master) or a date string (CSV master)
+function expiryDate(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+    return isNaN(date) ? null : toIST(date).date;
+}
+
+// Parse the CSV master into objects keyed by its header row
+function parseCSV(content) {
+    const [header, ...lines] = content.split(/\r?\n/).filter(line => line.trim());
+    const columns = header.split(',').map(column => column.replace(/"/g, '').trim());
+
+    return lines.map(line => {
+        const values = line.split(',').map(value => value.replace(/"/g, '').trim());
+        return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+}
+
+// Common record shape for rows of the JSON and CSV masters
+function toInstrument(row) {
+    const instrumentKey = row.instrument_key;
+    const instrumentType = row.instrument_type === 'OPTIDX' || row.instrument_type === 'OPTSTK'
+        ? row.option_type
+        : row.instrument_type;
+
+    return {
+        instrument_key: instrumentKey,
+        trading_symbol: row.trading_symbol || row.tradingsymbol,
+        name: row.name || null,
+        // The CSV master's exchange column holds the segment, e.g. NSE_EQ
+        exchange: (row.exchange || instrumentKey).split('_')[0],
+        segment: row.segment || instrumentKey.split('|')[0],
+        instrument_type: instrumentType || null,
+        isin: row.isin || null,
+        underlying_symbol: row.underlying_symbol || row.asset_symbol || null,
+        expiry: expiryDate(row.expiry),
+        strike_price: row.strike_price !== undefined || row.strike !== undefined
+            ? Number(row.strike_price ?? row.strike)
+            : null,
+        lot_size: row.lot_size !== undefined ? Number(row.lot_size) : null,
+        tick_size: row.tick_size !== undefined ? Number(row.tick_size) : null
+    };
+}
+
+class InstrumentMaster {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+        this.instruments = [];
+        this.byKey = new Map();
+        this.bySymbol = new Map();
+        this.byIsin = new Map();
+        this.loadedAt = null;
+    }
+
+    // Load the master file downloaded from Upstox (complete.json, NSE.json, ... or
+    // the CSV equivalents, optionally gzipped). A missing file leaves the master empty,
+    // in which case symbols are passed through unchecked
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            console.error(`Instrument master not found at ${this.filePath}; symbols will not be validated`);
+            return false;
+        }
+
+        try {
+            let content = fs.readFileSync(this.filePath);
+            let fileName = this.filePath;
+            if (path.extname(fileName) === '.gz') {
+                content = zlib.gunzipSync(content);
+                fileName = fileName.slice(0, -'.gz'.length);
+            }
+
+            const rows = path.extname(fileName).toLowerCase() === '.csv'
+                ? parseCSV(content.toString('utf8'))
+                : JSON.parse(content.toString('utf8'));
+
+            this.index(rows.filter(row => row.instrument_key).map(toInstrument));
+            this.loadedAt = new Date().toISOString();
+            return true;
+        } catch (error) {
+            console.error('Error loading instrument master:', error.message);
+            return false;
+        }
+    }
+
+    index(instruments) {
+        this.instruments = instruments;
+        this.byKey = new Map();
+        this.bySymbol = new Map();
+        this.byIsin = new Map();
+
+        const add = (map, key, instrument) => {
+            if (!map.has(key)) {
+                map.set(key, []);
+            }
+            map.get(key).push(instrument);
+        };
+
+        instruments.forEach(instrument => {
+            this.byKey.set(instrument.instrument_key, instrument);
+            // Spaces are ignored so "NIFTY 22000 CE" and "NIFTY22000CE" match
+            add(this.bySymbol, normalize(instrument.trading_symbol).replace(/ /g, ''), instrument);
+            if (instrument.isin) {
+                add(this.byIsin, normalize(instrument.isin), instrument);
+            }
+        });
+    }
+
+    isLoaded() {
+        return this.instruments.length > 0;
+    }
+
+    get(instrumentKey) {
+        return this.byKey.get(instrumentKey) || null;
+    }
+
+    // Resolve an instrument key, trading symbol, ISIN or friendly derivative symbol
+    // to an instrument. An "NSE:" / "BSE:" / "MCX:" prefix restricts the exchange.
+    // Returns null when nothing matches
+    resolve(symbol) {
+        if (String(symbol).includes('|')) {
+            return this.get(symbol);
+        }
+
+        let query = normalize(symbol);
+        let exchange = null;
+        const prefixed = query.match(/^(NSE|BSE|MCX):(.+)$/);
+        if (prefixed) {
+            [, exchange, query] = prefixed;
+        }
+
+        const inExchange = instrument => !exchange || instrument.exchange === exchange;
+        const candidates = [
+            ...(this.bySymbol.get(query.replace(/ /g, '')) || []),
+            ...(this.byIsin.get(query) || [])
+        ].filter(inExchange);
+
+        if (candidates.length > 0) {
+            return candidates.sort((a, b) => this.segmentRank(a) - this.segmentRank(b))[0];
+        }
+
+        return this.resolveDerivative(query, inExchange);
+    }
+
+    // Resolve UNDERLYING YYMMM [STRIKE CE|PE | FUT] to the monthly contract:
+    // the last expiry in that month
+    resolveDerivative(query, inExchange) {
+        const match = query.match(DERIVATIVE_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const [, underlying, year, month, strike, optionType, future] = match;
+        const expiryMonth = `20${year}-${String(MONTHS.indexOf(month) + 1).padStart(2, '0')}`;
+        const instrumentType = future ? 'FUT' : optionType;
+
+        const contracts = this.instruments.filter(instrument =>
+            inExchange(instrument) &&
+            instrument.instrument_type === instrumentType &&
+            normalize(instrument.underlying_symbol || instrument.name) === underlying &&
+            instrument.expiry && instrument.expiry.startsWith(expiryMonth) &&
+            (future || instrument.strike_price === Number(strike))
+        );
+
+        return contracts.sort((a, b) => b.expiry.localeCompare(a.expiry))[0] || null;
+    }
+
+    segmentRank(instrument) {
+        const rank = SEGMENT_PRIORITY.indexOf(instrument.segment);
+        return rank === -1 ? SEGMENT_PRIORITY.length : rank;
+    }
+
+    // Instruments whose trading symbol, name or ISIN contains the query. Exact
+    // trading symbol matches rank first, then prefix matches, then the rest
+    search(q, { exchange, segment, instrumentType, limit = 20 } = {}) {
+        const query = normalize(q);
+        if (!query) {
+            return [];
+        }
+
+        const score = instrument => {
+            const symbol = normalize(instrument.trading_symbol);
+            if (symbol === query || instrument.isin === query) {
+                return 0;
+            }
+            if (symbol.startsWith(query)) {
+                return 1;
+            }
+            if (symbol.includes(query)) {
+                return 2;
+            }
+            return normalize(instrument.name).includes(query) ? 3 : null;
+        };
+
+        return this.instruments
+            .filter(instrument =>
+                (!exchange || instrument.exchange === normalize(exchange)) &&
+                (!segment || instrument.segment === normalize(segment)) &&
+                (!instrumentType || instrument.instrument_type === normalize(instrumentType))
+            )
+            .map(instrument => ({ instrument, score: score(instrument) }))
+            .filter(match => match.score !== null)
+            .sort((a, b) =>
+                a.score - b.score ||
+                this.segmentRank(a.instrument) - this.segmentRank(b.instrument) ||
+                a.instrument.trading_symbol.localeCompare(b.instrument.trading_symbol)
+            )
+            .slice(0, limit)
+            .map(match => match.instrument);
+    }
+
+    getStatus() {
+        return {
+            filePath: this.filePath,
+            loaded: this.isLoaded(),
+            instruments: this.instruments.length,
+            loadedAt: this.loadedAt
+        };
+    }
+}
+
+module.exports = {
+    InstrumentMaster
+};
@@ -0,0 +1,96 @@
+// Append-only trade journal of orders and strategy decisions (JSON Lines)
+const fs = require('fs');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { DEFAULT_USER_ID } = require('./users');
+
+// placed: sent to the broker; hold: the strategy decided not to trade;
+// blocked: stopped by the risk checks; rejected: invalid request or no tradeable signal;
+// error: the broker or market data call failed
+const OUTCOMES = ['placed', 'hold', 'blocked', 'rejected', 'error'];
+
+class TradeJournal {
+    constructor({ filePath }) {
+        this.filePath = filePath;
+    }
+
+    // Append an entry. Journal failures are logged and never fail the trade itself
+    record(entry) {
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        } catch (error) {
+            console.error('Error writing trade journal:', error);
+        }
+
+        return record;
+    }
+
+    // Entries matching the filters, newest first.
+    // from/to are dates or timestamps; a plain "YYYY-MM-DD" to includes that whole day.
+    // user matches the server user an entry was recorded for; entries from before
+    // per-user logins belong to the default user
+    query({ user, symbol, type, outcome, from, to, limit = 100 } = {}) {
+        const parseDate = (name, value, endOfDay) => {
+            const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+            if (isNaN(date)) {
+                throw new ValidationError(`${name} must be a date or timestamp`);
+            }
+            return date;
+        };
+
+        const outcomes = outcome ? String(outcome).split(',') : null;
+        const invalidOutcome = outcomes && outcomes.find(value => !OUTCOMES.includes(value));
+        if (invalidOutcome) {
+            throw new ValidationError(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+        }
+
+        const maxEntries = Number(limit);
+        if (!Number.isInteger(maxEntries) || maxEntries <= 0) {
+            throw new ValidationError('limit must be a positive integer');
+        }
+
+        const fromDate = from ? parseDate('from', from, false) : null;
+        const toDate = to ? parseDate('to', to, true) : null;
+
+        return this.readEntries()
+            .filter(entry =>
+                (!user || (entry.user ?? DEFAULT_USER_ID) === user) &&
+                (!symbol || entry.symbol === symbol) &&
+                (!type || entry.type === type) &&
+                (!outcomes || outcomes.includes(entry.outcome)) &&
+                (!fromDate || new Date(entry.timestamp) >= fromDate) &&
+                (!toDate || new Date(entry.timestamp) <= toDate)
+            )
+            .reverse()
+            .slice(0, maxEntries);
+    }
+
+    readEntries() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    // Skip a line left incomplete by a crash mid-write
+                    return [];
+                }
+            });
+    }
+}
+
+module.exports = {
+    OUTCOMES,
+    TradeJournal
+};
@@ -0,0 +1,74 @@
+// NSE/BSE market hours and the exchange holiday calendar
+const fs = require('fs');
+
+// Normal equity session in IST (UTC+5:30)
+const MARKET_OPEN = '09:15';
+const MARKET_CLOSE = '15:30';
+const IST_OFFSET_MINUTES = 330;
+
+// Load holidays from a JSON calendar file: an array of "YYYY-MM-DD" strings or
+// { date, description } objects. A missing file means no holidays
+function loadHolidays(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+        return new Map();
+    }
+
+    try {
+        const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return new Map(entries.map(entry => typeof entry === 'string'
+            ? [entry, 'Exchange holiday']
+            : [entry.date, entry.description || 'Exchange holiday']));
+    } catch (error) {
+        console.error('Error loading market holidays:', error);
+        return new Map();
+    }
+}
+
+// NSE trading holidays from the Upstox market holidays API (HolidayData models with
+// _date, description, holidayType and closedExchanges), as a date -> description map
+function holidaysFromUpstox(entries) {
+    return new Map(entries
+        .filter(entry => entry.holidayType === 'TRADING_HOLIDAY' && entry.closedExchanges?.includes('NSE'))
+        .map(entry => [new Date(entry._date).toISOString().slice(0, 10), entry.description || 'Exchange holiday']));
+}
+
+// Date ("YYYY-MM-DD"), time ("HH:MM") and weekday (0 = Sunday) in IST
+function toIST(date) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+    const [day, time] = ist.toISOString().split('T');
+
+    return {
+        date: day,
+        time: time.slice(0, 5),
+        weekday: ist.getUTCDay()
+    };
+}
+
+// Whether the market is open at the given moment, and why not when it is closed
+function marketStatus(date = new Date(), holidays = new Map()) {
+    const ist = toIST(date);
+    const status = { open: false, reason: null, date: ist.date, time: ist.time, timezone: 'Asia/Kolkata' };
+
+    if (ist.weekday === 0 || ist.weekday === 6) {
+        status.reason = 'Weekend';
+    } else if (holidays.has(ist.date)) {
+        status.reason = holidays.get(ist.date);
+    } else if (ist.time < MARKET_OPEN) {
+        status.reason = 'Before market open';
+    } else if (ist.time >= MARKET_CLOSE) {
+        status.reason = 'After market close';
+    } else {
+        status.open = true;
+    }
+
+    return status;
+}
+
+module.exports = {
+    MARKET_OPEN,
+    MARKET_CLOSE,
+    loadHolidays,
+    holidaysFromUpstox,
+    toIST,
+    marketStatus
+};
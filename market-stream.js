@@ -0,0 +1,296 @@
+// Live market data streaming with MCP level proximity events
+const { EventEmitter } = require('events');
+const UpstoxClient = require('upstox-js-sdk');
+
+// Price within this fraction of a level counts as being at the level
+const PROXIMITY_BAND = 0.002;
+
+// Last traded price from one instrument's entry in a decoded Upstox v3 feed message
+function feedLtpc(feed) {
+    return feed.ltpc || feed.fullFeed?.marketFF?.ltpc || feed.fullFeed?.indexFF?.ltpc || feed.firstLevelWithGreeks?.ltpc || null;
+}
+
+// Feed backed by the Upstox v3 market data WebSocket (LTPC mode).
+// Emits tick { symbol, lastPrice, closePrice, timestamp }, status and error events
+class UpstoxFeed extends EventEmitter {
+    // getAccessToken() returns the current OAuth access token
+    constructor({ getAccessToken }) {
+        super();
+        this.getAccessToken = getAccessToken;
+        this.streamer = null;
+        this.connected = false;
+        this.symbols = new Set();
+    }
+
+    async connect() {
+        if (this.streamer) {
+            return;
+        }
+
+        this.authorize();
+
+        this.streamer = new UpstoxClient.MarketDataStreamerV3([...this.symbols], 'ltpc');
+        this.streamer.autoReconnect(true, 10, 5);
+        this.streamer.on('open', () => {
+            this.connected = true;
+            this.emit('status', 'connected');
+        });
+        this.streamer.on('close', () => {
+            this.connected = false;
+            this.emit('status', 'disconnected');
+        });
+        this.streamer.on('reconnecting', message => {
+            // Reconnect with the current token, which may have been refreshed since the last connect
+            this.authorize();
+            this.emit('status', 'reconnecting', message);
+        });
+        this.streamer.on('error', error => this.emit('error', error));
+        this.streamer.on('message', data => this.handleMessage(data));
+
+        await this.streamer.connect();
+    }
+
+    // The SDK streamer authenticates with its default client's token whenever it connects
+    authorize() {
+        UpstoxClient.ApiClient.instance.authentications['OAUTH2'].accessToken = this.getAccessToken();
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data.toString('utf8'));
+
+            Object.entries(message.feeds || {}).forEach(([symbol, feed]) => {
+                const ltpc = feedLtpc(feed);
+                if (ltpc && ltpc.ltp !== undefined) {
+                    this.emit('tick', {
+                        symbol,
+                        lastPrice: Number(ltpc.ltp),
+                        closePrice: ltpc.cp !== undefined ? Number(ltpc.cp) : null,
+                        timestamp: ltpc.ltt ? new Date(Number(ltpc.ltt)).toISOString() : new Date().toISOString()
+                    });
+                }
+            });
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    subscribe(symbols) {
+        symbols.forEach(symbol => this.symbols.add(symbol));
+
+        if (this.connected) {
+            this.streamer.subscribe(symbols, 'ltpc');
+        } else if (this.streamer) {
+            // The SDK streamer throws when subscribing on a closed socket, but
+            // resubscribes everything in its subscription sets when it (re)opens
+            symbols.forEach(symbol => this.streamer.subscriptions.ltpc.add(symbol));
+        }
+    }
+
+    unsubscribe(symbols) {
+        symbols.forEach(symbol => this.symbols.delete(symbol));
+
+        if (this.connected) {
+            this.streamer.unsubscribe(symbols);
+        } else if (this.streamer) {
+            symbols.forEach(symbol => this.streamer.subscriptions.ltpc.delete(symbol));
+        }
+    }
+
+    disconnect() {
+        if (this.streamer) {
+            this.streamer.disconnect();
+            this.streamer = null;
+            this.connected = false;
+        }
+    }
+}
+
+// Local fake feed for development and tests: a random walk per subscribed symbol,
+// plus push() to inject exact prices
+class FakeFeed extends EventEmitter {
+    // seedPrice(symbol) resolves to the walk's starting price
+    constructor({ intervalMs = 1000, volatility = 0.001, seedPrice = async () => 100 } = {}) {
+        super();
+        this.intervalMs = intervalMs;
+        this.volatility = volatility;
+        this.seedPrice = seedPrice;
+        this.prices = new Map();
+        this.timer = null;
+    }
+
+    async connect() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.step(), this.intervalMs);
+        this.timer.unref();
+        this.emit('status', 'connected');
+    }
+
+    step() {
+        this.prices.forEach((price, symbol) => {
+            if (price !== null) {
+                this.push(symbol, price * (1 + (Math.random() * 2 - 1) * this.volatility));
+            }
+        });
+    }
+
+    push(symbol, price) {
+        this.prices.set(symbol, price);
+        this.emit('tick', { symbol, lastPrice: price, closePrice: null, timestamp: new Date().toISOString() });
+    }
+
+    subscribe(symbols) {
+        symbols.forEach(symbol => {
+            if (this.prices.has(symbol)) {
+                return;
+            }
+            // Placeholder until the seed price arrives, so step() skips the symbol
+            this.prices.set(symbol, null);
+            this.seedPrice(symbol)
+                .catch(() => 100)
+                .then(price => {
+                    if (this.prices.has(symbol)) {
+                        this.push(symbol, price);
+                    }
+                });
+        });
+    }
+
+    unsubscribe(symbols) {
+        symbols.forEach(symbol => this.prices.delete(symbol));
+    }
+
+    disconnect() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.emit('status', 'disconnected');
+    }
+}
+
+// Watchlist over a feed: keeps the latest tick per symbol and emits proximity
+// events when price moves into (enter) or out of (exit) the band around one of
+// the symbol's MCP levels. Emits tick, proximity and status events
+class MarketStream extends EventEmitter {
+    // loadLevels(symbol, options) resolves to the support/resistance levels to watch
+    constructor({ feed, loadLevels, proximity = PROXIMITY_BAND }) {
+        super();
+        this.feed = feed;
+        this.loadLevels = loadLevels;
+        this.proximity = proximity;
+        this.watchlist = new Map(); // symbol -> { options, levels, levelsAt }
+        this.ticks = new Map();
+        this.nearLevels = new Map(); // symbol -> Set of level prices price is currently at
+        this.status = 'idle';
+
+        this.feed.on('tick', tick => this.handleTick(tick));
+        this.feed.on('status', status => {
+            this.status = status;
+            this.emit('status', { status });
+        });
+        this.feed.on('error', error => console.error('Market stream error:', error.message || error));
+    }
+
+    // Add symbols to the watchlist (or refresh their levels) and subscribe to them.
+    // Connects the feed on first use
+    async watch(symbols, options = {}) {
+        for (const symbol of symbols) {
+            const levels = await this.loadLevels(symbol, options);
+            this.watchlist.set(symbol, { options, levels, levelsAt: new Date().toISOString() });
+            this.nearLevels.set(symbol, new Set());
+        }
+
+        this.feed.subscribe(symbols);
+        await this.feed.connect();
+        return symbols.map(symbol => this.getSymbol(symbol));
+    }
+
+    unwatch(symbols) {
+        const watched = symbols.filter(symbol => this.watchlist.has(symbol));
+        this.feed.unsubscribe(watched);
+        watched.forEach(symbol => {
+            this.watchlist.delete(symbol);
+            this.ticks.delete(symbol);
+            this.nearLevels.delete(symbol);
+        });
+
+        if (this.watchlist.size === 0) {
+            this.feed.disconnect();
+        }
+        return watched;
+    }
+
+    handleTick(tick) {
+        const entry = this.watchlist.get(tick.symbol);
+        if (!entry) {
+            return;
+        }
+
+        this.ticks.set(tick.symbol, tick);
+        this.emit('tick', tick);
+
+        const near = this.nearLevels.get(tick.symbol);
+        entry.levels.forEach(level => {
+            const distance = (tick.lastPrice - level.price) / level.price;
+            const inBand = Math.abs(distance) <= this.proximity;
+
+            if (inBand === near.has(level.price)) {
+                return;
+            }
+
+            if (inBand) {
+                near.add(level.price);
+            } else {
+                near.delete(level.price);
+            }
+
+            this.emit('proximity', {
+                event: inBand ? 'enter' : 'exit',
+                symbol: tick.symbol,
+                lastPrice: tick.lastPrice,
+                level: {
+                    price: level.price,
+                    connections: level.connections,
+                    strength: level.strength,
+                    side: level.side
+                },
+                distancePct: distance * 100,
+                // Approaching from above tests the level as support, from below as resistance
+                testing: tick.lastPrice >= level.price ? 'support' : 'resistance',
+                timestamp: tick.timestamp
+            });
+        });
+    }
+
+    getSymbol(symbol) {
+        const entry = this.watchlist.get(symbol);
+        if (!entry) {
+            return null;
+        }
+
+        return {
+            symbol,
+            lastTick: this.ticks.get(symbol) || null,
+            levels: entry.levels,
+            levelsAt: entry.levelsAt,
+            nearLevels: [...this.nearLevels.get(symbol)]
+        };
+    }
+
+    getStatus() {
+        return {
+            status: this.status,
+            proximity: this.proximity,
+            symbols: [...this.watchlist.keys()].map(symbol => this.getSymbol(symbol))
+        };
+    }
+}
+
+module.exports = {
+    PROXIMITY_BAND,
+    UpstoxFeed,
+    FakeFeed,
+    MarketStream
+};
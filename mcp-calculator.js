@@ -0,0 +1,372 @@
+// MCP (Most Connected Pivot) calculation
+const indicators = require('./indicators');
+const { ValidationError } = require('./errors');
+
+// Points within this fraction of a pivot's price count as connections
+const CONNECTION_TOLERANCE = 0.001;
+
+const TOLERANCE_TYPES = ['relative', 'absolute', 'atr'];
+const PRICE_SOURCES = ['close', 'hl2', 'hlc3', 'wick'];
+const REFERENCE_LINES = ['sma', 'ema', 'vwap', 'median'];
+const SCORING_MODES = ['count', 'volume', 'recency', 'volume-recency'];
+
+// Defaults reproduce the original calculation: 0.1% tolerance, close prices, simple mean
+const DEFAULT_MCP_OPTIONS = {
+    toleranceType: 'relative',
+    tolerance: CONNECTION_TOLERANCE,
+    priceSource: 'close',
+    reference: 'sma',
+    referencePeriod: null,
+    atrPeriod: 14,
+    scoring: 'count',
+    halfLife: 20,
+    levels: null
+};
+
+// Convert raw Upstox candles ([timestamp, open, high, low, close, volume, oi])
+// into data points sorted oldest first
+function toDataPoints(candles) {
+    return candles
+        .map(candle => ({
+            timestamp: new Date(candle[0]),
+            open: parseFloat(candle[1]),
+            high: parseFloat(candle[2]),
+            low: parseFloat(candle[3]),
+            close: parseFloat(candle[4]),
+            volume: parseFloat(candle[5]),
+            price: parseFloat(candle[4]) // Using close price
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Validate MCP parameters from a query string or request body, filling in defaults.
+// Throws a ValidationError describing the first invalid parameter
+function parseMCPOptions(params = {}) {
+    const options = { ...DEFAULT_MCP_OPTIONS };
+
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    const positiveNumber = (name) => {
+        const value = Number(params[name]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new ValidationError(`${name} must be a positive number`);
+        }
+        return value;
+    };
+
+    const positiveInteger = (name) => {
+        const value = Number(params[name]);
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new ValidationError(`${name} must be a positive integer`);
+        }
+        return value;
+    };
+
+    const oneOf = (name, allowed) => {
+        const value = String(params[name]).toLowerCase();
+        if (!allowed.includes(value)) {
+            throw new ValidationError(`${name} must be one of: ${allowed.join(', ')}`);
+        }
+        return value;
+    };
+
+    if (isSet(params.toleranceType)) {
+        options.toleranceType = oneOf('toleranceType', TOLERANCE_TYPES);
+    }
+
+    if (isSet(params.tolerance)) {
+        options.tolerance = positiveNumber('tolerance');
+    } else if (options.toleranceType !== 'relative') {
+        throw new ValidationError(`tolerance is required when toleranceType is ${options.toleranceType}`);
+    }
+
+    if (options.toleranceType === 'relative' && options.tolerance >= 1) {
+        throw new ValidationError('relative tolerance is a fraction of price and must be less than 1 (0.001 = 0.1%)');
+    }
+
+    if (isSet(params.priceSource)) {
+        options.priceSource = oneOf('priceSource', PRICE_SOURCES);
+    }
+
+    if (isSet(params.reference)) {
+        options.reference = oneOf('reference', REFERENCE_LINES);
+    }
+
+    if (isSet(params.referencePeriod)) {
+        if (options.reference === 'vwap' || options.reference === 'median') {
+            throw new ValidationError(`referencePeriod does not apply to the ${options.reference} reference line`);
+        }
+        options.referencePeriod = positiveInteger('referencePeriod');
+    } else if (options.reference === 'ema') {
+        options.referencePeriod = 20;
+    }
+
+    if (isSet(params.atrPeriod)) {
+        options.atrPeriod = positiveInteger('atrPeriod');
+    }
+
+    if (isSet(params.scoring)) {
+        options.scoring = oneOf('scoring', SCORING_MODES);
+    }
+
+    if (isSet(params.halfLife)) {
+        if (!options.scoring.includes('recency')) {
+            throw new ValidationError('halfLife only applies to the recency and volume-recency scoring modes');
+        }
+        options.halfLife = positiveNumber('halfLife');
+    }
+
+    if (isSet(params.levels)) {
+        options.levels = positiveInteger('levels');
+    }
+
+    return options;
+}
+
+// Price of a data point according to the configured price source
+function sourcePrice(point, priceSource) {
+    switch (priceSource) {
+        case 'hl2':
+            return (point.high + point.low) / 2;
+        case 'hlc3':
+            return (point.high + point.low + point.close) / 3;
+        default:
+            return point.close ?? point.price;
+    }
+}
+
+// Reference line value for each data point that pivots are measured against
+function referenceLine(prices, dataPoints, options) {
+    const { reference, referencePeriod } = options;
+
+    if (reference === 'ema') {
+        return indicators.ema(prices, Math.min(referencePeriod, prices.length));
+    }
+
+    if (reference === 'vwap') {
+        return indicators.vwap(dataPoints);
+    }
+
+    if (reference === 'median') {
+        return prices.map(() => indicators.median(prices));
+    }
+
+    if (referencePeriod) {
+        return indicators.sma(prices, Math.min(referencePeriod, prices.length));
+    }
+
+    // Simple mean of the whole window
+    const avgPrice = prices.reduce((acc, price) => acc + price, 0) / prices.length;
+    return prices.map(() => avgPrice);
+}
+
+// Build the tolerance band (in price units) for a level
+function toleranceBand(dataPoints, options) {
+    if (options.toleranceType === 'absolute') {
+        return () => options.tolerance;
+    }
+
+    if (options.toleranceType === 'atr') {
+        const atr = indicators.latestATR(dataPoints, options.atrPeriod);
+        return () => options.tolerance * atr;
+    }
+
+    return price => price * options.tolerance;
+}
+
+// Weight each data point contributes as a connection under the scoring mode.
+// Volume weights are relative to the average volume so scores stay comparable
+// to raw counts; recency weights halve every halfLife bars back from the latest
+function connectionWeights(dataPoints, options) {
+    const { scoring, halfLife } = options;
+    const avgVolume = dataPoints.reduce((sum, point) => sum + (point.volume || 0), 0) / dataPoints.length;
+    const lastIndex = dataPoints.length - 1;
+
+    return dataPoints.map((point, i) => {
+        let weight = 1;
+
+        if (scoring === 'volume' || scoring === 'volume-recency') {
+            weight *= avgVolume > 0 ? (point.volume || 0) / avgVolume : 1;
+        }
+
+        if (scoring === 'recency' || scoring === 'volume-recency') {
+            weight *= Math.pow(0.5, (lastIndex - i) / halfLife);
+        }
+
+        return weight;
+    });
+}
+
+// Prepare the price series, reference line, tolerance band and connection weights
+function prepareSeries(dataPoints, options) {
+    const prices = dataPoints.map(point => sourcePrice(point, options.priceSource));
+
+    return {
+        prices,
+        reference: referenceLine(prices, dataPoints, options),
+        band: toleranceBand(dataPoints, options),
+        weights: connectionWeights(dataPoints, options)
+    };
+}
+
+// Raw connection count plus the weighted score when a weighted scoring mode is used
+function scoreConnections(connected, series, options) {
+    if (options.scoring === 'count') {
+        return { connections: connected.length };
+    }
+
+    return {
+        connections: connected.length,
+        score: connected.reduce((sum, index) => sum + series.weights[index], 0),
+        scoring: options.scoring
+    };
+}
+
+// Ranking value of a pivot or level: its weighted score, or the raw count
+function rankValue(item) {
+    return item.score ?? item.connections;
+}
+
+// Find pivot points (points where price crosses the reference line)
+function findPivotPoints(dataPoints, series) {
+    const { prices, reference } = series;
+    const pivotPoints = [];
+    let aboveRef = null;
+
+    for (let i = 0; i < dataPoints.length; i++) {
+        if (reference[i] === null) {
+            continue;
+        }
+
+        const currentAboveRef = prices[i] > reference[i];
+
+        if (aboveRef !== null && currentAboveRef !== aboveRef) {
+            // Crossover detected
+            pivotPoints.push({
+                timestamp: dataPoints[i].timestamp,
+                price: prices[i]
+            });
+        }
+        aboveRef = currentAboveRef;
+    }
+
+    return pivotPoints;
+}
+
+// Indexes of the data points connected to a price level
+function findConnectedPoints(price, dataPoints, series, options) {
+    const band = series.band(price);
+    const connected = [];
+
+    dataPoints.forEach((point, index) => {
+        const isConnected = options.priceSource === 'wick'
+            // The candle's high-low range reaches the level
+            ? point.low - band <= price && price <= point.high + band
+            // The source price is within the tolerance band of the level
+            : Math.abs(price - series.prices[index]) <= band;
+
+        if (isConnected) {
+            connected.push(index);
+        }
+    });
+
+    return connected;
+}
+
+// Score connections for each pivot point, most connected first
+function rankPivots(dataPoints, series, options) {
+    const connections = findPivotPoints(dataPoints, series).map(pivot => ({
+        ...pivot,
+        ...scoreConnections(findConnectedPoints(pivot.price, dataPoints, series, options), series, options)
+    }));
+
+    return connections.sort((a, b) => rankValue(b) - rankValue(a));
+}
+
+// MCP calculation function
+function calculateMCP(dataPoints, options = DEFAULT_MCP_OPTIONS) {
+    if (!dataPoints || dataPoints.length === 0) {
+        return null;
+    }
+
+    const series = prepareSeries(dataPoints, options);
+    const connections = rankPivots(dataPoints, series, options);
+
+    // Return the most connected pivot
+    return connections.length > 0 ? connections[0] : null;
+}
+
+// Ladder of the top N distinct support/resistance levels, strongest first.
+// Pivots within the connection tolerance of a more connected pivot are merged
+// into that pivot's cluster rather than reported as separate levels.
+function calculateMCPLevels(dataPoints, count = 5, options = DEFAULT_MCP_OPTIONS) {
+    if (!dataPoints || dataPoints.length === 0) {
+        return [];
+    }
+
+    const series = prepareSeries(dataPoints, options);
+
+    const clusters = [];
+    rankPivots(dataPoints, series, options).forEach(pivot => {
+        const cluster = clusters.find(c => Math.abs(c.price - pivot.price) <= series.band(c.price));
+
+        if (cluster) {
+            cluster.pivots++;
+        } else {
+            clusters.push({ price: pivot.price, timestamp: pivot.timestamp, pivots: 1 });
+        }
+    });
+
+    const { prices } = series;
+    const lastPrice = prices[prices.length - 1];
+
+    const levels = clusters.map(cluster => {
+        const connected = findConnectedPoints(cluster.price, dataPoints, series, options);
+
+        // A touch arriving from above tests the level as support, from below as resistance
+        const touches = { support: 0, resistance: 0 };
+        connected.forEach(index => {
+            if (index === 0) {
+                return;
+            }
+            if (prices[index - 1] > cluster.price) {
+                touches.support++;
+            } else if (prices[index - 1] < cluster.price) {
+                touches.resistance++;
+            }
+        });
+
+        return {
+            price: cluster.price,
+            timestamp: cluster.timestamp,
+            ...scoreConnections(connected, series, options),
+            pivots: cluster.pivots,
+            side: cluster.price <= lastPrice ? 'support' : 'resistance',
+            touches,
+            firstTouch: dataPoints[connected[0]].timestamp,
+            lastTouch: dataPoints[connected[connected.length - 1]].timestamp
+        };
+    });
+
+    // Strength (0-100) blends connections (or their weighted score) and merged
+    // pivots relative to the strongest level
+    const maxRank = Math.max(...levels.map(rankValue));
+    const maxPivots = Math.max(...levels.map(level => level.pivots));
+    levels.forEach(level => {
+        const rankShare = maxRank > 0 ? rankValue(level) / maxRank : 0;
+        level.strength = Math.round(100 * (0.7 * rankShare + 0.3 * level.pivots / maxPivots));
+    });
+
+    return levels
+        .sort((a, b) => b.strength - a.strength || rankValue(b) - rankValue(a))
+        .slice(0, count);
+}
+
+module.exports = {
+    CONNECTION_TOLERANCE,
+    DEFAULT_MCP_OPTIONS,
+    toDataPoints,
+    parseMCPOptions,
+    calculateMCP,
+    calculateMCPLevels
+};
@@ -8,6 +8,10 @@ const path = require('path');
 // Configure server URL
 const MCP_SERVER_URL = 'http://localhost:3000'; // Change if your server runs elsewhere
 
+// Your API key, when the server has users configured (node users.js add <id>).
+// Without it you are asked for the key when the server needs one
+const MCP_API_KEY = process.env.MCP_API_KEY || null;
+
 // File path for saving analysis results (for Claude to access)
 const ANALYSIS_DIR = path.join(__dirname, 'mcp_analysis');
 if (!fs.existsSync(ANALYSIS_DIR)) {
@@ -23,13 +27,45 @@ const rl = readline.createInterface({
 // Store auth status
 let isAuthenticated = false;
 
-// Check authentication status
-async function checkAuthStatus() {
+// Server session token from POST /login
+let sessionToken = null;
+
+function serverHeaders() {
+    return sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {};
+}
+
+// Whether a failed request was refused by the server itself (it wants credentials)
+// rather than for lack of an Upstox login
+function needsServerLogin(error) {
+    return error.response?.status === 401 && !!error.response.headers['www-authenticate'];
+}
+
+// Log in to the server with your API key for a session token
+async function login() {
+    const apiKey = MCP_API_KEY || (await promptUser('Enter your server API key: ')).trim();
+
     try {
-        const response = await axios.get(`${MCP_SERVER_URL}/historical-data/NSE_FO|NIFTY-I/1D?from=2023-01-01&to=2023-01-02`);
-        isAuthenticated = true;
+        const response = await axios.post(`${MCP_SERVER_URL}/login`, { apiKey });
+        sessionToken = response.data.token;
+        console.log(`Logged in to the server as ${response.data.user.id} (${response.data.user.role})`);
         return true;
     } catch (error) {
+        console.error('Server login failed:', error.response?.data?.error || error.message);
+        return false;
+    }
+}
+
+// Check authentication status
+async function checkAuthStatus(retried = false) {
+    try {
+        // The server reports the Upstox login's state without returning the token
+        const response = await axios.get(`${MCP_SERVER_URL}/auth/status`, { headers: serverHeaders() });
+        isAuthenticated = response.data.authenticated;
+        return isAuthenticated;
+    } catch (error) {
+        if (needsServerLogin(error) && !retried && await login()) {
+            return checkAuthStatus(true);
+        }
         if (error.response && error.response.status === 401) {
             isAuthenticated = false;
             return false;
@@ -43,7 +79,17 @@ async function checkAuthStatus() {
 // Function to authenticate with MCP server
 async function authenticate() {
     console.log('\nYou need to authenticate with Upstox first.');
-    console.log(`Please open this URL in your browser: ${MCP_SERVER_URL}/auth`);
+
+    // The login URL is tied to your server user, so it is fetched with your session
+    let loginUrl;
+    try {
+        const response = await axios.get(`${MCP_SERVER_URL}/auth/url`, { headers: serverHeaders() });
+        loginUrl = response.data.url;
+    } catch (error) {
+        console.error('Error getting login URL:', error.response?.data || error.message);
+        return false;
+    }
+    console.log(`Please open this URL in your browser: ${loginUrl}`);
 
     await promptUser('\nPress Enter once you have completed authentication in the browser...');
 
@@ -80,14 +126,20 @@ async function callMCPServer(endpoint, method = 'GET', data = null) {
             method,
             url: `${MCP_SERVER_URL}${endpoint}`,
             ...(data && { data }),
-            // We don't need to explicitly set Authorization headers
-            // The server will use cookies/token.json for auth
+            // The session token identifies you to the server; the server holds your Upstox login
+            headers: serverHeaders(),
             withCredentials: true
         };
 
         const response = await axios(config);
         return response.data;
     } catch (error) {
+        // The server session expired: log in again and retry
+        if (needsServerLogin(error)) {
+            sessionToken = null;
+            return await login() ? callMCPServer(endpoint, method, data) : null;
+        }
+
         console.error('Error calling MCP server:', error.response?.data || error.message);
 
         // If unauthorized, prompt for authentication
@@ -146,36 +198,37 @@ async function generateMarketAnalysis() {
 
     // 5. Analyze each symbol across timeframes
     for (const symbol of symbols) {
-        console.log(`\nAnalyzing ${symbol}...`);
+        console.log(`\nAnalyzing ${symbol} on ${timeframes.join(', ')} timeframes...`);
         analysisData.symbols[symbol] = { timeframes: {} };
 
-        for (const interval of timeframes) {
-            console.log(`  - Calculating MCPs for ${interval} timeframe`);
+        // Get MCP levels for every timeframe and the zones where they coincide
+        const result = await callMCPServer(
+            `/mcp/confluence/${encodeURIComponent(symbol)}?intervals=${timeframes.join(',')}&from=${fromStr}&to=${toStr}&levels=5`
+        );
 
-            // Get historical data and MCP
-            const result = await callMCPServer(
-                `/historical-data/${encodeURIComponent(symbol)}/${interval}?from=${fromStr}&to=${toStr}`
-            );
+        for (const interval of timeframes) {
+            const timeframe = result && result.timeframes[interval];
 
-            if (result && result.mcp) {
+            if (timeframe && timeframe.mcp) {
                 // Store the results
                 analysisData.symbols[symbol].timeframes[interval] = {
-                    mcp: result.mcp,
-                    dataPoints: result.dataPoints.length,
-                    lastPrice: result.dataPoints[result.dataPoints.length - 1].price,
+                    mcp: timeframe.mcp,
+                    levels: timeframe.levels,
+                    dataPoints: timeframe.dataPoints,
+                    lastPrice: timeframe.lastPrice,
                     distanceFromMCP: (
-                        (result.dataPoints[result.dataPoints.length - 1].price - result.mcp.price) /
-                        result.mcp.price * 100
+                        (timeframe.lastPrice - timeframe.mcp.price) /
+                        timeframe.mcp.price * 100
                     ).toFixed(2) + '%'
                 };
 
                 // Add to strongest MCPs if connection strength is high
-                if (result.mcp.connections > 5) {
+                if (timeframe.mcp.connections > 5) {
                     analysisData.marketOverview.strongestMCPs.push({
                         symbol,
                         timeframe: interval,
-                        price: result.mcp.price,
-                        connections: result.mcp.connections
+                        price: timeframe.mcp.price,
+                        connections: timeframe.mcp.connections
                     });
                 }
             } else {
@@ -183,6 +236,9 @@ async function generateMarketAnalysis() {
             }
         }
 
+        // Price zones where MCP levels from several timeframes coincide
+        analysisData.symbols[symbol].confluenceZones = result ? result.zones : [];
+
         // Calculate overall strength score for this symbol
         const scores = Object.values(analysisData.symbols[symbol].timeframes)
             .filter(tf => tf.mcp)
@@ -256,7 +312,7 @@ async function generateVisualizationData() {
 
     // Get historical data and MCP
     const result = await callMCPServer(
-        `/historical-data/${encodeURIComponent(symbol)}/${interval}?from=${fromStr}&to=${toStr}`
+        `/historical-data/${encodeURIComponent(symbol)}/${interval}?from=${fromStr}&to=${toStr}&levels=5`
     );
 
     if (result && result.dataPoints) {
@@ -269,7 +325,8 @@ async function generateVisualizationData() {
                 date: point.timestamp,
                 price: point.price
             })),
-            mcp: result.mcp
+            mcp: result.mcp,
+            levels: result.levels
         };
 
         // Save to file
@@ -288,8 +345,10 @@ async function generateVisualizationData() {
 async function generatePortfolioAnalysis() {
     console.log('\nGenerating portfolio analysis...');
 
-    // Get positions
+    // Get positions, long-term holdings and available funds
     const positions = await callMCPServer('/positions');
+    const holdings = await callMCPServer('/holdings');
+    const funds = await callMCPServer('/funds');
 
     if (!positions) {
         console.log('Failed to retrieve portfolio positions');
@@ -300,23 +359,33 @@ async function generatePortfolioAnalysis() {
     const analysisData = {
         generatedAt: new Date().toISOString(),
         portfolio: positions,
+        holdings: holdings || [],
+        funds,
         mcpAnalysis: {}
     };
 
-    // Get symbols from positions
-    const symbols = positions.data.map(position => position.symbol);
+    // Live accounts return the SDK's arrays, paper trading wraps positions in { status, data }
+    const positionList = Array.isArray(positions) ? positions : positions.data || [];
+    const holdingList = Array.isArray(holdings) ? holdings : holdings?.data || [];
+
+    // Both lists identify instruments by instrument_token
+    const tokens = [...new Set([
+        ...positionList.map(position => position.instrument_token),
+        ...holdingList.map(holding => holding.instrument_token)
+    ].filter(Boolean))];
 
     // Analyze each position against MCPs
-    for (const symbol of symbols) {
-        console.log(`Analyzing ${symbol} against MCPs...`);
+    for (const token of tokens) {
+        console.log(`Analyzing ${token} against MCPs...`);
 
-        // Get daily MCPs for this symbol
-        const result = await callMCPServer(`/historical-data/${encodeURIComponent(symbol)}/1D?from=2023-01-01&to=2023-04-01`);
+        // Get daily MCPs for this instrument
+        const result = await callMCPServer(`/historical-data/${encodeURIComponent(token)}/1D?from=2023-01-01&to=2023-04-01`);
 
         if (result && result.mcp) {
-            analysisData.mcpAnalysis[symbol] = {
+            analysisData.mcpAnalysis[token] = {
                 mcp: result.mcp,
-                currentPosition: positions.data.find(p => p.symbol === symbol)
+                currentPosition: positionList.find(position => position.instrument_token === token),
+                holding: holdingList.find(holding => holding.instrument_token === token)
             };
         }
     }
@@ -5,6 +5,10 @@ const readline = require('readline');
 // Configure server URL
 const MCP_SERVER_URL = 'http://localhost:3000'; // Change if your server runs elsewhere
 
+// Your API key, when the server has users configured (node users.js add <id>).
+// Without it you are asked for the key when the server needs one
+const MCP_API_KEY = process.env.MCP_API_KEY || null;
+
 // Create readline interface for command-line interaction
 const rl = readline.createInterface({
     input: process.stdin,
@@ -14,12 +18,31 @@ const rl = readline.createInterface({
 // Store auth status
 let isAuthenticated = false;
 
+// Server session token from POST /login
+let sessionToken = null;
+
+// Log in to the server with your API key for a session token
+async function login() {
+    const apiKey = MCP_API_KEY || (await promptUser('Enter your server API key: ')).trim();
+
+    try {
+        const response = await axios.post(`${MCP_SERVER_URL}/login`, { apiKey });
+        sessionToken = response.data.token;
+        console.log(`Logged in to the server as ${response.data.user.id} (${response.data.user.role})`);
+        return true;
+    } catch (error) {
+        console.error('Server login failed:', error.response?.data?.error || error.message);
+        return false;
+    }
+}
+
 // Helper function to make API calls to MCP server
-async function callMCPServer(endpoint, method = 'GET', data = null) {
+async function callMCPServer(endpoint, method = 'GET', data = null, retried = false) {
     try {
         const config = {
             method,
             url: `${MCP_SERVER_URL}${endpoint}`,
+            ...(sessionToken && { headers: { Authorization: `Bearer ${sessionToken}` } }),
             ...(data && { data }),
             withCredentials: true // Important for auth cookie handling
         };
@@ -27,6 +50,15 @@ async function callMCPServer(endpoint, method = 'GET', data = null) {
         const response = await axios(config);
         return response.data;
     } catch (error) {
+        // The server wants credentials (WWW-Authenticate): log in and try once more
+        if (error.response?.status === 401 && error.response.headers['www-authenticate'] && !retried) {
+            sessionToken = null;
+            if (await login()) {
+                return callMCPServer(endpoint, method, data, true);
+            }
+            return null;
+        }
+
         console.error('Error calling MCP server:', error.response?.data || error.message);
 
         // If authentication error, set status to false
@@ -42,10 +74,10 @@ async function callMCPServer(endpoint, method = 'GET', data = null) {
 // Check authentication status
 async function checkAuthStatus() {
     try {
-        // Try to make a simple API call that requires authentication
-        await callMCPServer('/positions');
-        isAuthenticated = true;
-        return true;
+        // The server reports the Upstox login's state without returning the token
+        const status = await callMCPServer('/auth/status');
+        isAuthenticated = !!status?.authenticated;
+        return isAuthenticated;
     } catch (error) {
         if (error.response && error.response.status === 401) {
             isAuthenticated = false;
@@ -58,18 +90,23 @@ async function checkAuthStatus() {
 
 // Function to authenticate with Upstox
 async function authenticate() {
+    // The login URL is tied to your server user, so it is fetched with your session
+    const login = await callMCPServer('/auth/url');
+    if (!login) {
+        return false;
+    }
+
     console.log(`\nPlease open the following URL in your browser to authenticate with Upstox:`);
-    console.log(`${MCP_SERVER_URL}/auth\n`);
+    console.log(`${login.url}\n`);
 
     await promptUser('Press Enter once you have completed authentication...');
 
     // Verify authentication was successful
     console.log('Verifying authentication...');
     try {
-        // Make a test API call to verify authentication
-        const result = await callMCPServer('/positions');
+        const status = await callMCPServer('/auth/status');
 
-        if (result) {
+        if (status?.authenticated) {
             console.log('Authentication successful!');
             isAuthenticated = true;
             return true;
@@ -91,7 +128,7 @@ async function calculateSingleMCP() {
         return;
     }
 
-    const symbol = await promptUser('Enter symbol (e.g., NSE_FO|NIFTY-I): ');
+    const symbol = await promptUser('Enter symbol (e.g., RELIANCE, NIFTY 25JAN FUT or NSE_FO|NIFTY-I): ');
     const interval = await promptUser('Enter interval (e.g., 1D, 1H, 15m): ');
     const from = await promptUser('Enter start date (YYYY-MM-DD): ');
     const to = await promptUser('Enter end date (YYYY-MM-DD): ');
@@ -116,7 +153,7 @@ async function calculateMultipleMCPs() {
         return;
     }
 
-    const symbolsInput = await promptUser('Enter symbols separated by commas: ');
+    const symbolsInput = await promptUser('Enter symbols separated by commas (e.g., RELIANCE, SBIN): ');
     const symbols = symbolsInput.split(',').map(s => s.trim());
 
     const interval = await promptUser('Enter interval (e.g., 1D, 1H, 15m): ');
@@ -136,6 +173,10 @@ async function calculateMultipleMCPs() {
         console.log('\nMCP Results:');
         Object.entries(result).forEach(([symbol, mcp]) => {
             console.log(`\n${symbol}:`);
+            if (!mcp || mcp.error) {
+                console.log(`  ${mcp ? mcp.error : 'No MCP found'}`);
+                return;
+            }
             console.log(`  Price: ${mcp.price}`);
             console.log(`  Timestamp: ${mcp.timestamp}`);
             console.log(`  Connection Strength: ${mcp.connections}`);
@@ -143,6 +184,141 @@ async function calculateMultipleMCPs() {
     }
 }
 
+// Function to find zones where MCP levels from several timeframes coincide
+async function findConfluenceZones() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const symbol = await promptUser('Enter symbol (e.g., RELIANCE, NIFTY 25JAN FUT or NSE_FO|NIFTY-I): ');
+    const intervals = await promptUser('Enter intervals separated by commas (default 1D,1H,15m): ');
+    const lookbackDays = await promptUser('Enter lookback days (default 30): ');
+
+    console.log(`\nFinding confluence zones for ${symbol}...`);
+
+    const query = [
+        intervals && `intervals=${encodeURIComponent(intervals)}`,
+        lookbackDays && `lookbackDays=${lookbackDays}`
+    ].filter(Boolean).join('&');
+
+    const result = await callMCPServer(`/mcp/confluence/${encodeURIComponent(symbol)}?${query}`);
+
+    if (result) {
+        console.log(`\nLast Price: ${result.lastPrice}`);
+        if (result.failedIntervals.length > 0) {
+            console.log(`Failed intervals: ${result.failedIntervals.join(', ')}`);
+        }
+
+        if (result.zones.length === 0) {
+            console.log('No confluence zones found.');
+        }
+
+        result.zones.forEach(zone => {
+            console.log(`\n${zone.side.toUpperCase()} zone ${zone.low.toFixed(2)} - ${zone.high.toFixed(2)}`);
+            console.log(`  Confluence Score: ${zone.score}`);
+            console.log(`  Timeframes: ${zone.timeframes.join(', ')}`);
+            console.log(`  Distance: ${zone.distancePct.toFixed(2)}%`);
+        });
+    }
+}
+
+// Function to show the latest technical indicator values for a symbol
+async function viewIndicators() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const symbol = await promptUser('Enter symbol (e.g., RELIANCE, NIFTY 25JAN FUT or NSE_FO|NIFTY-I): ');
+    const interval = await promptUser('Enter interval (e.g., 1D, 1H, 15m): ');
+    const indicators = await promptUser('Enter indicators separated by commas, e.g. rsi:14,ema:50 (default all): ');
+
+    console.log(`\nCalculating indicators for ${symbol}...`);
+
+    const query = [
+        indicators && `indicators=${encodeURIComponent(indicators)}`,
+        'limit=1'
+    ].filter(Boolean).join('&');
+
+    const result = await callMCPServer(`/indicators/${encodeURIComponent(symbol)}/${encodeURIComponent(interval)}?${query}`);
+
+    if (result) {
+        if (!result.latest) {
+            console.log('No candles found.');
+            return;
+        }
+
+        console.log(`\nAs of ${result.latest.timestamp} (close ${result.latest.close}):`);
+        Object.entries(result.latest.indicators).forEach(([key, value]) => {
+            const text = value === null
+                ? 'not enough data'
+                : typeof value === 'object'
+                    ? Object.entries(value).map(([field, fieldValue]) => `${field} ${fieldValue?.toFixed(2)}`).join(', ')
+                    : value.toFixed(2);
+            console.log(`  ${key}: ${text}`);
+        });
+    }
+}
+
+// Function to match MCP levels on an underlying with its option chain
+async function analyzeOptions() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const symbol = await promptUser('Enter underlying (e.g., NSE_INDEX|Nifty 50): ');
+    const expiry = await promptUser('Enter expiry YYYY-MM-DD (default nearest): ');
+
+    console.log(`\nAnalyzing options for ${symbol}...`);
+
+    const result = await callMCPServer(`/options/analysis/${encodeURIComponent(symbol)}${expiry ? `?expiry=${expiry}` : ''}`);
+
+    if (result) {
+        console.log(`\nSpot: ${result.spot}  Expiry: ${result.expiry}  PCR: ${result.pcr?.toFixed(2)}  Max Pain: ${result.maxPain}`);
+
+        result.levels.forEach(level => {
+            console.log(`\n${level.side.toUpperCase()} ${level.price.toFixed(2)} (score ${level.score}${level.oi.confirmed ? ', OI confirmed' : ''})`);
+            if (level.strike) {
+                console.log(`  Strike ${level.strike.strike}: CE ${level.strike.call?.lastPrice} (IV ${level.strike.call?.iv}), PE ${level.strike.put?.lastPrice} (IV ${level.strike.put?.iv})`);
+            }
+            level.suggestions.forEach(suggestion => {
+                console.log(`  ${suggestion.action} ${suggestion.strike} ${suggestion.optionType} @ ${suggestion.lastPrice} (delta ${suggestion.delta})`);
+            });
+        });
+
+        result.oiOnlyLevels.forEach(wall => {
+            console.log(`\nOI ${wall.side} at ${wall.strike} (${(wall.share * 100).toFixed(1)}% of OI)`);
+        });
+    }
+}
+
+// Function to search the instrument master for symbols and instrument keys
+async function searchInstruments() {
+    const query = await promptUser('Enter trading symbol, company name or ISIN: ');
+
+    const result = await callMCPServer(`/instruments/search?q=${encodeURIComponent(query)}&limit=10`);
+
+    if (result) {
+        if (result.results.length === 0) {
+            console.log('No instruments found.');
+        }
+
+        result.results.forEach(instrument => {
+            console.log(`\n${instrument.trading_symbol} (${instrument.segment})`);
+            console.log(`  Instrument Key: ${instrument.instrument_key}`);
+            console.log(`  Name: ${instrument.name}`);
+            if (instrument.expiry) {
+                console.log(`  Expiry: ${instrument.expiry}`);
+            }
+        });
+    }
+}
+
 // Function to execute a trade
 async function executeTrade() {
     // Check authentication first
@@ -151,24 +327,32 @@ async function executeTrade() {
         return;
     }
 
-    const symbol = await promptUser('Enter symbol (e.g., NSE_FO|NIFTY-I): ');
+    const symbol = await promptUser('Enter symbol (e.g., RELIANCE, NIFTY 25JAN FUT or NSE_FO|NIFTY-I): ');
     const quantity = parseInt(await promptUser('Enter quantity: '));
     const side = await promptUser('Enter side (BUY/SELL): ');
-    const orderType = await promptUser('Enter order type (MARKET/LIMIT): ');
+    const orderType = (await promptUser('Enter order type (MARKET/LIMIT/SL/SL-M): ')).toUpperCase();
+    const product = (await promptUser('Enter product (I/D/CO/MTF, default D): ')).toUpperCase() || 'D';
 
     let price = null;
-    if (orderType.toUpperCase() === 'LIMIT') {
+    if (orderType === 'LIMIT' || orderType === 'SL') {
         price = parseFloat(await promptUser('Enter price: '));
     }
 
+    let triggerPrice = null;
+    if (orderType === 'SL' || orderType === 'SL-M' || product === 'CO') {
+        triggerPrice = parseFloat(await promptUser('Enter trigger price: '));
+    }
+
     console.log(`\nExecuting ${side} order for ${quantity} of ${symbol}...`);
 
     const result = await callMCPServer('/trade', 'POST', {
         symbol,
         quantity,
         side: side.toUpperCase(),
-        orderType: orderType.toUpperCase(),
-        price
+        orderType,
+        product,
+        price,
+        triggerPrice
     });
 
     if (result) {
@@ -177,7 +361,7 @@ async function executeTrade() {
     }
 }
 
-// Function to run MCP strategy
+// Function to run a registered strategy (the MCP strategy by default)
 async function runStrategy() {
     // Check authentication first
     if (!isAuthenticated) {
@@ -185,14 +369,15 @@ async function runStrategy() {
         return;
     }
 
-    const symbol = await promptUser('Enter symbol (e.g., NSE_FO|NIFTY-I): ');
+    const symbol = await promptUser('Enter symbol (e.g., RELIANCE, NIFTY 25JAN FUT or NSE_FO|NIFTY-I): ');
     const interval = await promptUser('Enter interval (e.g., 1D, 1H, 15m): ');
     const lookbackDays = parseInt(await promptUser('Enter lookback days: '));
     const investmentAmount = parseFloat(await promptUser('Enter investment amount: '));
+    const strategy = await promptUser('Enter strategy (mcp, mcp-mean-reversion, mcp-breakout; default mcp): ') || 'mcp';
 
-    console.log(`\nRunning MCP strategy for ${symbol}...`);
+    console.log(`\nRunning ${strategy} strategy for ${symbol}...`);
 
-    const result = await callMCPServer('/strategy/mcp', 'POST', {
+    const result = await callMCPServer(`/strategy/${encodeURIComponent(strategy)}`, 'POST', {
         symbol,
         interval,
         lookbackDays,
@@ -201,12 +386,25 @@ async function runStrategy() {
 
     if (result) {
         console.log('\nStrategy Result:');
+        console.log(`Strategy: ${result.strategy}`);
         console.log(`Action: ${result.action}`);
+        console.log(`Reason: ${result.reason}`);
         console.log(`MCP Price: ${result.mcp.price}`);
         console.log(`Current Price: ${result.currentPrice}`);
-        console.log(`Deviation: ${result.analysis.mcpDeviation}`);
+        if (result.analysis.mcpDeviation) {
+            console.log(`Deviation: ${result.analysis.mcpDeviation}`);
+        }
         console.log(`Connection Strength: ${result.analysis.connectionStrength}`);
 
+        if (result.bracket) {
+            console.log('\nBracket:');
+            console.log(`  Quantity: ${result.bracket.quantity}`);
+            console.log(`  Entry: ${result.bracket.entryPrice}`);
+            console.log(`  Stop-Loss: ${result.bracket.stopLoss}`);
+            console.log(`  Target: ${result.bracket.target} (${result.bracket.targetSource})`);
+            console.log(`  Risk/Reward: ${result.bracket.riskRewardRatio?.toFixed(2)}`);
+        }
+
         if (result.order) {
             console.log('\nOrder Details:');
             console.log(result.order);
@@ -232,6 +430,132 @@ async function viewPositions() {
     }
 }
 
+// Function to view the day's order book
+async function viewOrderBook() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    console.log('\nFetching order book...');
+
+    const result = await callMCPServer('/orders');
+
+    if (result) {
+        if (result.length === 0) {
+            console.log('No orders today.');
+        }
+
+        result.forEach(order => {
+            console.log(`\n${order.order_id}: ${order.transaction_type} ${order.quantity} ${order.trading_symbol || order.instrument_token} ${order.order_type}`);
+            console.log(`  Status: ${order.status}${order.status_message ? ` (${order.status_message})` : ''}`);
+            console.log(`  Price: ${order.price}  Trigger: ${order.trigger_price}  Filled: ${order.filled_quantity} @ ${order.average_price}`);
+        });
+    }
+}
+
+// Function to view one order with its history and trades
+async function viewOrder() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const orderId = await promptUser('Enter order ID: ');
+
+    const result = await callMCPServer(`/orders/${encodeURIComponent(orderId)}`);
+
+    if (result) {
+        console.log('\nOrder:');
+        console.log(result.order);
+        console.log('\nStatus History:');
+        result.history.forEach(entry => console.log(`  ${entry.order_timestamp || ''} ${entry.status}`));
+        console.log('\nTrades:');
+        console.log(result.trades);
+    }
+}
+
+// Function to modify a pending order
+async function modifyOrder() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const orderId = await promptUser('Enter order ID: ');
+    console.log('Leave a field empty to keep its current value.');
+    const quantity = await promptUser('New quantity: ');
+    const price = await promptUser('New price: ');
+    const triggerPrice = await promptUser('New trigger price: ');
+    const orderType = await promptUser('New order type (MARKET/LIMIT/SL/SL-M): ');
+
+    const changes = {
+        ...(quantity && { quantity: parseInt(quantity) }),
+        ...(price && { price: parseFloat(price) }),
+        ...(triggerPrice && { triggerPrice: parseFloat(triggerPrice) }),
+        ...(orderType && { orderType: orderType.toUpperCase() })
+    };
+
+    console.log(`\nModifying order ${orderId}...`);
+
+    const result = await callMCPServer(`/orders/${encodeURIComponent(orderId)}`, 'PUT', changes);
+
+    if (result) {
+        console.log('\nModification Result:');
+        console.log(result);
+    }
+}
+
+// Function to cancel a pending order
+async function cancelOrder() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    const orderId = await promptUser('Enter order ID: ');
+    const confirm = await promptUser(`Cancel order ${orderId}? (y/N): `);
+
+    if (confirm.toLowerCase() !== 'y') {
+        console.log('Cancellation aborted.');
+        return;
+    }
+
+    const result = await callMCPServer(`/orders/${encodeURIComponent(orderId)}`, 'DELETE');
+
+    if (result) {
+        console.log('\nCancellation Result:');
+        console.log(result);
+    }
+}
+
+// Function to view the day's executed trades
+async function viewTrades() {
+    // Check authentication first
+    if (!isAuthenticated) {
+        console.log('Please authenticate first (option 1)');
+        return;
+    }
+
+    console.log('\nFetching trade book...');
+
+    const result = await callMCPServer('/trades');
+
+    if (result) {
+        if (result.length === 0) {
+            console.log('No trades today.');
+        }
+
+        result.forEach(trade => {
+            console.log(`${trade.exchange_timestamp} ${trade.transaction_type} ${trade.quantity} ${trade.trading_symbol || trade.instrument_token} @ ${trade.average_price} (order ${trade.order_id})`);
+        });
+    }
+}
+
 // Function to logout
 async function logout() {
     console.log('\nLogging out from Upstox...');
@@ -269,9 +593,18 @@ async function showMenu() {
     console.log('2. Calculate MCP for a symbol');
     console.log('3. Calculate MCPs for multiple symbols');
     console.log('4. Execute a trade');
-    console.log('5. Run MCP strategy');
+    console.log('5. Run a strategy');
     console.log('6. View current positions');
     console.log('7. Logout');
+    console.log('8. Find multi-timeframe confluence zones');
+    console.log('9. Search instruments');
+    console.log('10. View order book');
+    console.log('11. View order details');
+    console.log('12. Modify an order');
+    console.log('13. Cancel an order');
+    console.log('14. View trades');
+    console.log('15. Analyze options for an underlying');
+    console.log('16. View technical indicators');
     console.log('0. Exit');
 
     const choice = await promptUser('\nEnter your choice: ');
@@ -298,6 +631,33 @@ async function showMenu() {
         case '7':
             await logout();
             break;
+        case '8':
+            await findConfluenceZones();
+            break;
+        case '9':
+            await searchInstruments();
+            break;
+        case '10':
+            await viewOrderBook();
+            break;
+        case '11':
+            await viewOrder();
+            break;
+        case '12':
+            await modifyOrder();
+            break;
+        case '13':
+            await cancelOrder();
+            break;
+        case '14':
+            await viewTrades();
+            break;
+        case '15':
+            await analyzeOptions();
+            break;
+        case '16':
+            await viewIndicators();
+            break;
         case '0':
             console.log('Exiting...');
             rl.close();
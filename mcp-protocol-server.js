@@ -0,0 +1,440 @@
+// Model Context Protocol server exposing the MCP Upstox REST API as tools
+//
+// Run over stdio for Claude Desktop / Cursor:   node mcp-protocol-server.js
+// The REST server also serves the same tools over HTTP/SSE at /sse and /messages
+const axios = require('axios');
+const { z } = require('zod');
+const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+
+// REST server the stdio transport forwards tool calls to, and the API key it calls with
+// when the server has users configured
+const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'http://localhost:3000';
+const MCP_API_KEY = process.env.MCP_API_KEY || null;
+
+// Build a function that calls the REST API at baseUrl, as the user a credential (API key
+// or session token) belongs to, and returns the response body
+function createServerCaller(baseUrl, credential = null) {
+    return async (endpoint, method = 'GET', data = null) => {
+        const response = await axios({
+            method,
+            url: `${baseUrl}${endpoint}`,
+            ...(credential && { headers: { Authorization: `Bearer ${credential}` } }),
+            ...(data && { data })
+        });
+        return response.data;
+    };
+}
+
+// Wrap a REST call as a tool result, reporting server errors back to the model
+async function toolResult(call) {
+    try {
+        const data = await call();
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+    } catch (error) {
+        const message = error.response?.data?.error || error.message;
+        return { content: [{ type: 'text', text: `Error: ${message}` }], isError: true };
+    }
+}
+
+const symbolSchema = z.string().describe('Instrument key (NSE_EQ|INE002A01018), trading symbol (RELIANCE, NSE:SBIN) or derivative (NIFTY 25JAN 22000 CE)');
+const intervalSchema = z.string().describe('Candle interval, e.g. 1D, 1H, 15m');
+const dateSchema = z.string().describe('Date in YYYY-MM-DD format');
+const paperSchema = z.boolean().optional().describe('Route the order to the paper trading broker');
+const levelsSchema = z.number().int().positive().optional().describe('Also return the top N support/resistance levels');
+
+// Optional MCP calculation parameters accepted by every MCP tool
+const mcpOptionSchemas = {
+    toleranceType: z.enum(['relative', 'absolute', 'atr']).optional()
+        .describe('How tolerance is measured: fraction of price, price units, or multiple of ATR'),
+    tolerance: z.number().positive().optional().describe('Connection tolerance, 0.001 (0.1%) by default'),
+    priceSource: z.enum(['close', 'hl2', 'hlc3', 'wick']).optional()
+        .describe('Price used for pivots; wick counts candles whose high-low range touches the level'),
+    reference: z.enum(['sma', 'ema', 'vwap', 'median']).optional().describe('Reference line pivots cross'),
+    referencePeriod: z.number().int().positive().optional().describe('Period for a rolling SMA or EMA reference line'),
+    scoring: z.enum(['count', 'volume', 'recency', 'volume-recency']).optional()
+        .describe('Weight connections by traded volume and/or decay them by age'),
+    halfLife: z.number().positive().optional().describe('Bars after which a connection counts half, for recency scoring'),
+    levels: levelsSchema
+};
+
+// Indicator conditions a strategy's BUY or SELL must meet before it is traded
+const indicatorOperandSchema = z.string().describe('"price" or an indicator spec such as rsi:14, ema:50, macd.histogram, bollinger:20:2.upper');
+const filtersSchema = z.array(z.object({
+    indicator: indicatorOperandSchema,
+    above: z.union([z.number(), indicatorOperandSchema]).optional(),
+    below: z.union([z.number(), indicatorOperandSchema]).optional(),
+    action: z.enum(['BUY', 'SELL']).optional().describe('Only filter BUY or SELL signals; both by default')
+})).optional().describe('Indicator filters, e.g. [{"indicator": "rsi:14", "below": 60, "action": "BUY"}]');
+
+// Build the query string for MCP parameters that were provided
+function mcpQueryString(options) {
+    return Object.keys(mcpOptionSchemas)
+        .filter(name => options[name] !== undefined)
+        .map(name => `&${name}=${encodeURIComponent(options[name])}`)
+        .join('');
+}
+
+// Create a protocol server whose tools call the REST API through callServer
+function createProtocolServer(callServer) {
+    const server = new McpServer({
+        name: 'mcp-upstox-server',
+        version: '1.0.0'
+    });
+
+    server.registerTool('get_historical_data', {
+        description: 'Fetch historical candles for a symbol and calculate its Most Connected Pivot',
+        inputSchema: { symbol: symbolSchema, interval: intervalSchema, from: dateSchema, to: dateSchema, ...mcpOptionSchemas }
+    }, ({ symbol, interval, from, to, ...options }) => toolResult(() => callServer(
+        `/historical-data/${encodeURIComponent(symbol)}/${encodeURIComponent(interval)}?from=${from}&to=${to}${mcpQueryString(options)}`
+    )));
+
+    server.registerTool('calculate_mcp', {
+        description: 'Calculate the Most Connected Pivot for several symbols over the same period',
+        inputSchema: {
+            symbols: z.array(symbolSchema).min(1),
+            interval: intervalSchema,
+            from: dateSchema,
+            to: dateSchema,
+            ...mcpOptionSchemas
+        }
+    }, args => toolResult(() => callServer('/mcp/calculate', 'POST', args)));
+
+    server.registerTool('get_mcp_confluence', {
+        description: 'Find price zones where MCP levels from several timeframes coincide, with a confluence score per zone',
+        inputSchema: {
+            symbol: symbolSchema,
+            intervals: z.array(intervalSchema).optional().describe('Timeframes to combine, 1D, 1H and 15m by default'),
+            lookbackDays: z.number().int().positive().optional(),
+            zoneTolerance: z.number().positive().optional().describe('Fraction of price within which levels form one zone'),
+            minTimeframes: z.number().int().positive().optional().describe('Minimum number of timeframes in a zone'),
+            ...mcpOptionSchemas
+        }
+    }, ({ symbol, intervals, lookbackDays, zoneTolerance, minTimeframes, ...options }) => {
+        const query = [
+            intervals && `intervals=${encodeURIComponent(intervals.join(','))}`,
+            lookbackDays && `lookbackDays=${lookbackDays}`,
+            zoneTolerance && `zoneTolerance=${zoneTolerance}`,
+            minTimeframes && `minTimeframes=${minTimeframes}`
+        ].filter(Boolean).join('&');
+
+        return toolResult(() => callServer(
+            `/mcp/confluence/${encodeURIComponent(symbol)}?${query}${mcpQueryString(options)}`
+        ));
+    });
+
+    server.registerTool('get_indicators', {
+        description: 'Calculate technical indicators (sma, ema, rsi, macd, atr, bollinger, vwap, supertrend) over historical candles',
+        inputSchema: {
+            symbol: symbolSchema,
+            interval: intervalSchema,
+            indicators: z.array(z.string()).optional()
+                .describe('Indicator specs with optional parameters, e.g. rsi:14, ema:50, macd:12:26:9; all indicators with default parameters by default'),
+            from: dateSchema.optional(),
+            to: dateSchema.optional(),
+            lookbackDays: z.number().int().positive().optional().describe('Days of candles when from is omitted (default 90)'),
+            limit: z.number().int().positive().optional().describe('Return only the latest N bars')
+        }
+    }, ({ symbol, interval, indicators, from, to, lookbackDays, limit }) => {
+        const query = [
+            indicators && `indicators=${encodeURIComponent(indicators.join(','))}`,
+            from && `from=${from}`,
+            to && `to=${to}`,
+            lookbackDays && `lookbackDays=${lookbackDays}`,
+            limit && `limit=${limit}`
+        ].filter(Boolean).join('&');
+
+        return toolResult(() => callServer(
+            `/indicators/${encodeURIComponent(symbol)}/${encodeURIComponent(interval)}?${query}`
+        ));
+    });
+
+    server.registerTool('get_option_chain', {
+        description: 'Get the option chain of an underlying with greeks, IV and open interest per strike',
+        inputSchema: {
+            symbol: symbolSchema.describe('Underlying index or stock, e.g. NSE_INDEX|Nifty 50'),
+            expiry: dateSchema.optional().describe('Option expiry, the nearest by default')
+        }
+    }, ({ symbol, expiry }) => toolResult(() =>
+        callServer(`/options/chain/${encodeURIComponent(symbol)}${expiry ? `?expiry=${expiry}` : ''}`)));
+
+    server.registerTool('analyze_options', {
+        description: 'Match MCP levels on an underlying with its option chain: nearest strikes with greeks and IV, open-interest walls as extra support/resistance evidence, and suggested contracts',
+        inputSchema: {
+            symbol: symbolSchema.describe('Underlying index or stock, e.g. NSE_INDEX|Nifty 50'),
+            expiry: dateSchema.optional().describe('Option expiry, the nearest by default'),
+            interval: intervalSchema.optional(),
+            lookbackDays: z.number().int().positive().optional(),
+            walls: z.number().int().positive().optional().describe('OI walls reported per side'),
+            oiTolerance: z.number().positive().optional().describe('Fraction of price within which an OI wall confirms a level'),
+            ...mcpOptionSchemas
+        }
+    }, ({ symbol, expiry, interval, lookbackDays, walls, oiTolerance, ...options }) => {
+        const query = [
+            expiry && `expiry=${expiry}`,
+            interval && `interval=${encodeURIComponent(interval)}`,
+            lookbackDays && `lookbackDays=${lookbackDays}`,
+            walls && `walls=${walls}`,
+            oiTolerance && `oiTolerance=${oiTolerance}`
+        ].filter(Boolean).join('&');
+
+        return toolResult(() => callServer(
+            `/options/analysis/${encodeURIComponent(symbol)}?${query}${mcpQueryString(options)}`
+        ));
+    });
+
+    server.registerTool('get_positions', {
+        description: 'Get current portfolio positions',
+        inputSchema: { paper: z.boolean().optional().describe('Return paper trading positions') }
+    }, ({ paper }) => toolResult(() => callServer(`/positions${paper ? '?paper=true' : ''}`)));
+
+    server.registerTool('get_holdings', {
+        description: 'Get long-term holdings in the demat account',
+        inputSchema: {}
+    }, () => toolResult(() => callServer('/holdings')));
+
+    server.registerTool('get_funds', {
+        description: 'Get available and used margin for the equity and commodity segments',
+        inputSchema: { paper: z.boolean().optional().describe('Return the paper trading account cash') }
+    }, ({ paper }) => toolResult(() => callServer(`/funds${paper ? '?paper=true' : ''}`)));
+
+    server.registerTool('estimate_margin', {
+        description: 'Estimate the margin an order would block and whether available funds cover it',
+        inputSchema: {
+            symbol: symbolSchema,
+            quantity: z.number().int().positive(),
+            side: z.enum(['BUY', 'SELL']),
+            product: z.enum(['D', 'I', 'MTF']).optional().describe('D (delivery, the default), I (intraday) or MTF'),
+            price: z.number().positive().optional(),
+            paper: paperSchema
+        }
+    }, args => toolResult(() => callServer('/margin', 'POST', args)));
+
+    server.registerTool('place_order', {
+        description: 'Place a buy or sell order. Orders are live unless paper is set or the server runs in paper mode',
+        inputSchema: {
+            symbol: symbolSchema,
+            quantity: z.number().int().positive(),
+            side: z.enum(['BUY', 'SELL']),
+            orderType: z.enum(['MARKET', 'LIMIT', 'SL', 'SL-M']),
+            product: z.enum(['I', 'D', 'CO', 'MTF']).optional().describe('I intraday, D delivery (default), CO cover order, MTF margin trading'),
+            validity: z.enum(['DAY', 'IOC']).optional(),
+            price: z.number().positive().optional().describe('Limit price, required for LIMIT and SL orders'),
+            triggerPrice: z.number().positive().optional().describe('Trigger price, required for SL and SL-M orders and as the stop-loss of CO orders'),
+            disclosedQuantity: z.number().int().nonnegative().optional(),
+            isAmo: z.boolean().optional().describe('Place as an after-market order'),
+            tag: z.string().max(40).optional(),
+            paper: paperSchema
+        }
+    }, args => toolResult(() => callServer('/trade', 'POST', args)));
+
+    server.registerTool('get_orders', {
+        description: 'Get the day\'s order book, or one order with its status history and trades when orderId is given',
+        inputSchema: {
+            orderId: z.string().optional(),
+            paper: z.boolean().optional().describe('Use the paper trading order book')
+        }
+    }, ({ orderId, paper }) => toolResult(() =>
+        callServer(`/orders${orderId ? `/${encodeURIComponent(orderId)}` : ''}${paper ? '?paper=true' : ''}`)));
+
+    server.registerTool('modify_order', {
+        description: 'Modify a pending order. Only the fields given change; quantity and price changes go through the risk checks',
+        inputSchema: {
+            orderId: z.string(),
+            quantity: z.number().int().positive().optional(),
+            price: z.number().nonnegative().optional(),
+            triggerPrice: z.number().nonnegative().optional(),
+            orderType: z.enum(['MARKET', 'LIMIT', 'SL', 'SL-M']).optional(),
+            validity: z.enum(['DAY', 'IOC']).optional(),
+            disclosedQuantity: z.number().int().nonnegative().optional(),
+            paper: paperSchema
+        }
+    }, ({ orderId, ...changes }) => toolResult(() => callServer(`/orders/${encodeURIComponent(orderId)}`, 'PUT', changes)));
+
+    server.registerTool('cancel_order', {
+        description: 'Cancel a pending order',
+        inputSchema: {
+            orderId: z.string(),
+            paper: paperSchema
+        }
+    }, ({ orderId, paper }) => toolResult(() =>
+        callServer(`/orders/${encodeURIComponent(orderId)}${paper ? '?paper=true' : ''}`, 'DELETE')));
+
+    server.registerTool('get_trades', {
+        description: 'Get the trades executed today',
+        inputSchema: { paper: z.boolean().optional().describe('Return paper trading fills') }
+    }, ({ paper }) => toolResult(() => callServer(`/trades${paper ? '?paper=true' : ''}`)));
+
+    server.registerTool('run_mcp_strategy', {
+        description: 'Run the MCP strategy for a symbol: BUY/SELL when price is within 0.5% of the MCP, otherwise HOLD. Orders carry an ATR-based stop-loss and a target at the next support/resistance level',
+        inputSchema: {
+            symbol: symbolSchema,
+            interval: intervalSchema,
+            lookbackDays: z.number().int().positive().default(30),
+            investmentAmount: z.number().positive(),
+            riskPerTrade: z.number().positive().lt(1).optional().describe('Fraction of the investment amount lost if the stop-loss is hit (default 0.01)'),
+            stopAtrMultiple: z.number().positive().optional().describe('Stop-loss distance beyond the MCP in ATRs (default 1)'),
+            rewardRiskRatio: z.number().positive().optional().describe('Target as a multiple of the risk when no level lies beyond the entry (default 2)'),
+            filters: filtersSchema,
+            ...mcpOptionSchemas,
+            paper: paperSchema
+        }
+    }, args => toolResult(() => callServer('/strategy/mcp', 'POST', args)));
+
+    server.registerTool('list_strategies', {
+        description: 'List the registered trading strategies with their parameters and defaults',
+        inputSchema: {}
+    }, () => toolResult(() => callServer('/strategies')));
+
+    server.registerTool('run_strategy', {
+        description: 'Run a registered strategy (see list_strategies) for a symbol and place a bracket order sized to the risk when it signals BUY or SELL',
+        inputSchema: {
+            strategy: z.string().describe('Strategy name, e.g. mcp, mcp-mean-reversion, mcp-breakout'),
+            symbol: symbolSchema,
+            interval: intervalSchema,
+            lookbackDays: z.number().int().positive().default(30),
+            investmentAmount: z.number().positive(),
+            params: z.record(z.string(), z.number()).optional().describe('Strategy parameters by name'),
+            riskPerTrade: z.number().positive().lt(1).optional().describe('Fraction of the investment amount lost if the stop-loss is hit (default 0.01)'),
+            stopAtrMultiple: z.number().positive().optional().describe('Stop-loss distance beyond the signal level in ATRs (default 1)'),
+            rewardRiskRatio: z.number().positive().optional().describe('Target as a multiple of the risk when neither the strategy nor a level sets one (default 2)'),
+            filters: filtersSchema,
+            ...mcpOptionSchemas,
+            paper: paperSchema
+        }
+    }, ({ strategy, params, ...args }) => toolResult(() =>
+        callServer(`/strategy/${encodeURIComponent(strategy)}`, 'POST', { ...params, ...args })));
+
+    server.registerTool('search_instruments', {
+        description: 'Search the Upstox instrument master by trading symbol, company name or ISIN to find instrument keys',
+        inputSchema: {
+            q: z.string().describe('Search text'),
+            exchange: z.enum(['NSE', 'BSE', 'MCX']).optional(),
+            type: z.string().optional().describe('Instrument type, e.g. EQ, FUT, CE, PE'),
+            limit: z.number().int().positive().optional()
+        }
+    }, args => toolResult(() => {
+        const query = new URLSearchParams(Object.entries(args).filter(([, value]) => value !== undefined));
+        return callServer(`/instruments/search?${query}`);
+    }));
+
+    server.registerTool('get_journal', {
+        description: 'Read the trade journal: every order and strategy decision with its MCP, analysis, order request and broker response, newest first',
+        inputSchema: {
+            symbol: symbolSchema.optional(),
+            type: z.enum(['trade', 'modify', 'cancel', 'strategy']).optional(),
+            outcome: z.enum(['placed', 'hold', 'blocked', 'rejected', 'error']).optional(),
+            from: dateSchema.optional(),
+            to: dateSchema.optional(),
+            limit: z.number().int().positive().optional()
+        }
+    }, args => toolResult(() => {
+        const query = new URLSearchParams(Object.entries(args).filter(([, value]) => value !== undefined));
+        return callServer(`/journal?${query}`);
+    }));
+
+    server.registerTool('watch_market', {
+        description: 'Add symbols to the live market data watchlist. The server streams their prices and raises proximity events when price comes near one of their MCP levels',
+        inputSchema: {
+            symbols: z.array(symbolSchema).min(1),
+            interval: intervalSchema.optional().describe('Candle interval the MCP levels are computed from, 1D by default'),
+            lookbackDays: z.number().int().positive().optional(),
+            ...mcpOptionSchemas
+        }
+    }, args => toolResult(() => callServer('/stream/watch', 'POST', args)));
+
+    server.registerTool('get_market_stream', {
+        description: 'Live market data watchlist: latest tick per symbol, its MCP levels and the levels price is currently near',
+        inputSchema: {}
+    }, () => toolResult(() => callServer('/stream')));
+
+    server.registerTool('create_alert_rule', {
+        description: 'Create a server-side alert that notifies by webhook, email or Telegram when price comes within thresholdPct of the MCP, one of the top MCP levels, or a fixed price',
+        inputSchema: {
+            symbol: symbolSchema,
+            name: z.string().optional(),
+            levelSource: z.enum(['mcp', 'levels', 'price']).optional().describe('Level to watch, mcp by default'),
+            price: z.number().positive().optional().describe('Level price for a price alert'),
+            thresholdPct: z.number().positive().optional().describe('Distance from the level in percent that triggers the alert, 0.5 by default'),
+            direction: z.enum(['above', 'below', 'any']).optional().describe('Side of the level price must be on'),
+            cooldownMinutes: z.number().nonnegative().optional().describe('Minimum minutes between notifications, 60 by default'),
+            channels: z.array(z.enum(['webhook', 'email', 'telegram'])).optional().describe('Notifiers to use, all configured ones by default'),
+            params: z.object({
+                interval: intervalSchema.optional(),
+                lookbackDays: z.number().int().positive().optional(),
+                ...mcpOptionSchemas
+            }).optional().describe('Candles and MCP parameters the levels are computed from')
+        }
+    }, args => toolResult(() => callServer('/alerts/rules', 'POST', args)));
+
+    server.registerTool('list_alert_rules', {
+        description: 'List alert rules with when they were last checked and triggered, and the configured notifier channels',
+        inputSchema: {}
+    }, () => toolResult(() => callServer('/alerts/rules')));
+
+    server.registerTool('backtest_mcp', {
+        description: 'Backtest a strategy (the MCP strategy by default) against a local candle file in the server data directory',
+        inputSchema: {
+            candleFile: z.string().describe('File name inside the server candle data directory'),
+            strategy: z.string().optional().describe('Strategy name, e.g. mcp, mcp-mean-reversion, mcp-breakout'),
+            params: z.record(z.string(), z.number()).optional().describe('Strategy parameters by name'),
+            filters: filtersSchema,
+            lookback: z.number().int().positive().optional(),
+            initialCapital: z.number().positive().optional(),
+            allowShort: z.boolean().optional()
+        }
+    }, ({ strategy = 'mcp', params, ...args }) => toolResult(() =>
+        callServer(`/backtest/${encodeURIComponent(strategy)}`, 'POST', { ...params, ...args })));
+
+    return server;
+}
+
+// Serve the protocol over HTTP/SSE from an Express app.
+// Each GET /sse connection gets its own protocol server, whose tools call the REST API
+// through createCaller(req) so they run as the user who connected; clients post
+// JSON-RPC messages to /messages?sessionId=..., as the same user
+function mountSSETransport(app, createCaller) {
+    const sessions = {};
+
+    app.get('/sse', async (req, res) => {
+        const transport = new SSEServerTransport('/messages', res);
+        sessions[transport.sessionId] = { transport, userId: req.user?.id };
+        res.on('close', () => {
+            delete sessions[transport.sessionId];
+        });
+
+        await createProtocolServer(createCaller(req)).connect(transport);
+    });
+
+    app.post('/messages', async (req, res) => {
+        const session = sessions[req.query.sessionId];
+
+        if (!session || session.userId !== req.user?.id) {
+            return res.status(404).json({ error: 'Unknown or expired MCP session' });
+        }
+        const { transport } = session;
+
+        await transport.handlePostMessage(req, res, req.body);
+    });
+}
+
+// Serve the protocol over stdio, forwarding tool calls to the REST server
+async function startStdioServer() {
+    const server = createProtocolServer(createServerCaller(MCP_SERVER_URL, MCP_API_KEY));
+    await server.connect(new StdioServerTransport());
+    console.error(`MCP protocol server on stdio, forwarding to ${MCP_SERVER_URL}`);
+}
+
+if (require.main === module) {
+    startStdioServer().catch(error => {
+        console.error('MCP protocol server error:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createServerCaller,
+    createProtocolServer,
+    mountSSETransport
+};
@@ -0,0 +1,53 @@
+// MCP strategy: trade in the direction of the recent trend when price is at the MCP
+const { calculateMCP } = require('./mcp-calculator');
+
+// Maximum distance from the MCP (as a fraction) at which the strategy trades
+const MCP_DEVIATION_THRESHOLD = 0.005;
+
+// Number of recent data points used to judge trend direction
+const TREND_LOOKBACK = 10;
+
+// Decide BUY/SELL/HOLD for the current price given the MCP of the preceding data points
+function evaluate({ dataPoints, price, mcpOptions, params }) {
+    const mcp = calculateMCP(dataPoints, mcpOptions);
+    if (!mcp) {
+        return null;
+    }
+
+    const mcpDeviation = Math.abs(price - mcp.price) / mcp.price;
+    const analysis = {
+        mcpDeviation: mcpDeviation * 100 + '%',
+        connectionStrength: mcp.connections
+    };
+
+    if (mcpDeviation > params.deviationThreshold) {
+        return { action: null, reason: 'Price not sufficiently close to MCP', mcp, analysis };
+    }
+
+    // We're at or near an MCP, evaluate trend direction
+    const recentPoints = dataPoints.slice(-params.trendLookback);
+    const avgRecentPrice = recentPoints.reduce((sum, p) => sum + p.price, 0) / recentPoints.length;
+    const uptrend = price > avgRecentPrice;
+
+    return {
+        action: uptrend ? 'BUY' : 'SELL',
+        price,
+        level: mcp.price,
+        reason: `Price at the MCP in a${uptrend ? 'n up' : ' down'}trend`,
+        mcp,
+        analysis
+    };
+}
+
+module.exports = {
+    MCP_DEVIATION_THRESHOLD,
+    TREND_LOOKBACK,
+    name: 'mcp',
+    label: 'MCP',
+    description: 'BUY/SELL when price is within the deviation threshold of the MCP, in the direction of the recent trend; otherwise HOLD',
+    params: {
+        deviationThreshold: { default: MCP_DEVIATION_THRESHOLD, max: 1, description: 'Maximum distance from the MCP, as a fraction of its price' },
+        trendLookback: { default: TREND_LOOKBACK, integer: true, description: 'Recent data points averaged to judge the trend' }
+    },
+    evaluate
+};
@@ -0,0 +1,60 @@
+// Mean reversion to the MCP: fade moves that have stretched away from the most
+// connected pivot, targeting a return to it
+const { calculateMCP } = require('./mcp-calculator');
+
+// Distance from the MCP (as a fraction) beyond which a move is faded
+const ENTRY_DEVIATION = 0.02;
+
+// Beyond this distance the move is treated as a breakout and left alone
+const MAX_DEVIATION = 0.08;
+
+function evaluate({ dataPoints, price, position, mcpOptions, params }) {
+    const mcp = calculateMCP(dataPoints, mcpOptions);
+    if (!mcp) {
+        return null;
+    }
+
+    const deviation = (price - mcp.price) / mcp.price;
+    const analysis = {
+        mcpDeviation: deviation * 100 + '%',
+        connectionStrength: mcp.connections
+    };
+
+    if (Math.abs(deviation) < params.entryDeviation) {
+        return { action: null, reason: 'Price has not stretched far enough from the MCP', mcp, analysis };
+    }
+    if (Math.abs(deviation) > params.maxDeviation) {
+        return { action: null, reason: 'Price too far from the MCP to fade', mcp, analysis };
+    }
+
+    // Below the MCP buy the dip, above it sell the rally
+    const action = deviation < 0 ? 'BUY' : 'SELL';
+    if ((action === 'BUY' && position > 0) || (action === 'SELL' && position < 0)) {
+        return { action: null, reason: `Already ${action === 'BUY' ? 'long' : 'short'}`, mcp, analysis };
+    }
+
+    return {
+        action,
+        price,
+        // The stop sits beyond the entry; the MCP is where the move should revert to
+        level: price,
+        target: mcp.price,
+        reason: `Price ${(Math.abs(deviation) * 100).toFixed(2)}% ${deviation < 0 ? 'below' : 'above'} the MCP`,
+        mcp,
+        analysis
+    };
+}
+
+module.exports = {
+    ENTRY_DEVIATION,
+    MAX_DEVIATION,
+    name: 'mcp-mean-reversion',
+    label: 'MCP Mean Reversion',
+    description: 'BUY below or SELL above the MCP once price has stretched between entryDeviation and maxDeviation away from it, targeting the MCP',
+    params: {
+        entryDeviation: { default: ENTRY_DEVIATION, max: 1, description: 'Minimum distance from the MCP to fade, as a fraction of its price' },
+        maxDeviation: { default: MAX_DEVIATION, max: 1, description: 'Maximum distance from the MCP to fade, as a fraction of its price' }
+    },
+    usesPosition: true,
+    evaluate
+};
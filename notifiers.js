@@ -0,0 +1,180 @@
+// Alert notification channels: generic webhook, SMTP email and Telegram bot
+//
+// Every notifier has an async send(alert) that throws when delivery fails, so
+// tests can swap any channel for a MockNotifier
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { ValidationError } = require('./errors');
+
+const NOTIFIER_TIMEOUT_MS = 10000;
+
+// One-line summary of an alert for chat and email
+function formatAlert(alert) {
+    const side = alert.price >= alert.level.price ? 'above' : 'below';
+    return `${alert.test ? '[TEST] ' : ''}${alert.name}: ${alert.symbol} at ${alert.price} is ` +
+        `${Math.abs(alert.distancePct).toFixed(2)}% ${side} the ${alert.level.source} level ${alert.level.price.toFixed(2)}`;
+}
+
+// POSTs the alert as JSON to a URL
+class WebhookNotifier {
+    constructor({ url, headers = {}, http = axios }) {
+        this.url = url;
+        this.headers = headers;
+        this.http = http;
+    }
+
+    async send(alert) {
+        await this.http.post(this.url, { ...alert, text: formatAlert(alert) }, {
+            headers: this.headers,
+            timeout: NOTIFIER_TIMEOUT_MS
+        });
+    }
+}
+
+// Emails the alert. transport is a nodemailer transport or its SMTP options
+class SmtpNotifier {
+    constructor({ transport, from, to }) {
+        this.transport = typeof transport.sendMail === 'function' ? transport : nodemailer.createTransport(transport);
+        this.from = from;
+        this.to = to;
+    }
+
+    async send(alert) {
+        await this.transport.sendMail({
+            from: this.from,
+            to: this.to,
+            subject: `Alert: ${alert.name} (${alert.symbol})`,
+            text: `${formatAlert(alert)}\n\n${JSON.stringify(alert, null, 2)}`
+        });
+    }
+}
+
+// Sends the alert to a Telegram chat through a bot
+class TelegramNotifier {
+    constructor({ botToken, chatId, http = axios }) {
+        this.botToken = botToken;
+        this.chatId = chatId;
+        this.http = http;
+    }
+
+    async send(alert) {
+        await this.http.post(`https://api.telegram.org/bot${this.botToken}/sendMessage`, {
+            chat_id: this.chatId,
+            text: formatAlert(alert)
+        }, { timeout: NOTIFIER_TIMEOUT_MS });
+    }
+}
+
+// Keeps alerts in memory instead of sending them, for testing rules offline.
+// With failWith set, every send fails with that message
+class MockNotifier {
+    constructor({ failWith = null } = {}) {
+        this.failWith = failWith;
+        this.sent = [];
+    }
+
+    async send(alert) {
+        if (this.failWith) {
+            throw new Error(this.failWith);
+        }
+        this.sent.push(alert);
+    }
+}
+
+// Alert destinations: where each channel delivers to. The SMTP server and the Telegram bot
+// belong to the server and come from the environment; the addresses are per user
+const DESTINATION_CHANNELS = ['webhook', 'email', 'telegram'];
+
+// Destinations given in the environment, used when the server runs for a single user
+function destinationsFromEnv(env = process.env) {
+    return {
+        ...(env.ALERT_WEBHOOK_URL && { webhook: env.ALERT_WEBHOOK_URL }),
+        ...(env.ALERT_EMAIL_TO && { email: env.ALERT_EMAIL_TO }),
+        ...(env.TELEGRAM_CHAT_ID && { telegram: env.TELEGRAM_CHAT_ID })
+    };
+}
+
+// Validate changes to a set of destinations ({ webhook: url, email: address, telegram: chat id })
+// and return the merged set. null or '' removes a destination
+function parseDestinations(changes, current = {}) {
+    if (typeof changes !== 'object' || changes === null || Array.isArray(changes)) {
+        throw new ValidationError('Destinations must be an object');
+    }
+
+    const unknown = Object.keys(changes).filter(channel => !DESTINATION_CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown alert channel: ${unknown.join(', ')}`);
+    }
+
+    const destinations = { ...current };
+    for (const [channel, value] of Object.entries(changes)) {
+        if (value === null || value === '') {
+            delete destinations[channel];
+            continue;
+        }
+
+        const destination = String(value).trim();
+        if (channel === 'webhook' && !/^https?:\/\/[^\s]+$/.test(destination)) {
+            throw new ValidationError('webhook must be an http or https URL');
+        }
+        if (channel === 'email' && !/^[^\s@]+@[^\s@]+$/.test(destination)) {
+            throw new ValidationError('email must be an email address');
+        }
+        if (channel === 'telegram' && !/^(-?\d+|@\w+)$/.test(destination)) {
+            throw new ValidationError('telegram must be a chat id or @channel name');
+        }
+        destinations[channel] = destination;
+    }
+
+    return destinations;
+}
+
+// Notifiers delivering to a set of destinations, keyed by channel name. A channel is
+// left out when its destination is missing or the server lacks its SMTP server or bot.
+// ALERT_NOTIFIERS=mock replaces all three channels with MockNotifiers
+function notifiersFor(destinations, env = process.env) {
+    if (env.ALERT_NOTIFIERS === 'mock') {
+        return {
+            webhook: new MockNotifier(),
+            email: new MockNotifier(),
+            telegram: new MockNotifier()
+        };
+    }
+
+    const notifiers = {};
+
+    if (destinations.webhook) {
+        notifiers.webhook = new WebhookNotifier({ url: destinations.webhook });
+    }
+
+    if (env.SMTP_HOST && destinations.email) {
+        notifiers.email = new SmtpNotifier({
+            transport: {
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                ...(env.SMTP_USER && { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } })
+            },
+            from: env.ALERT_EMAIL_FROM || env.SMTP_USER,
+            to: destinations.email
+        });
+    }
+
+    if (env.TELEGRAM_BOT_TOKEN && destinations.telegram) {
+        notifiers.telegram = new TelegramNotifier({ botToken: env.TELEGRAM_BOT_TOKEN, chatId: destinations.telegram });
+    }
+
+    return notifiers;
+}
+
+module.exports = {
+    formatAlert,
+    WebhookNotifier,
+    SmtpNotifier,
+    TelegramNotifier,
+    MockNotifier,
+    DESTINATION_CHANNELS,
+    destinationsFromEnv,
+    parseDestinations,
+    notifiersFor
+};
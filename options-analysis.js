@@ -0,0 +1,195 @@
+// Option chain analysis: MCP levels on the underlying, overlaid with greeks, IV and
+// open-interest concentration from the option chain
+
+// An OI wall within this fraction of an MCP level counts as confirming the level
+const OI_TOLERANCE = 0.005;
+
+// How many of the largest call and put open-interest strikes are reported as OI walls
+const OI_WALLS = 3;
+
+// Market data and greeks of one side (call or put) of an Upstox option chain row
+function toOptionQuote(option) {
+    if (!option) {
+        return null;
+    }
+
+    const market = option.market_data || {};
+    const greeks = option.option_greeks || {};
+
+    return {
+        instrumentKey: option.instrument_key,
+        lastPrice: market.ltp ?? null,
+        closePrice: market.close_price ?? null,
+        bidPrice: market.bid_price ?? null,
+        askPrice: market.ask_price ?? null,
+        volume: market.volume ?? 0,
+        oi: market.oi ?? 0,
+        oiChange: market.oi !== undefined && market.prev_oi !== undefined ? market.oi - market.prev_oi : null,
+        iv: greeks.iv ?? null,
+        delta: greeks.delta ?? null,
+        gamma: greeks.gamma ?? null,
+        theta: greeks.theta ?? null,
+        vega: greeks.vega ?? null,
+        pop: greeks.pop ?? null
+    };
+}
+
+// Normalize the rows of an Upstox put/call option chain into strikes sorted by price,
+// with the spot price and the put/call ratio of the whole expiry
+function parseOptionChain(rows) {
+    const strikes = rows
+        .map(row => ({
+            strike: row.strike_price,
+            pcr: row.pcr ?? null,
+            call: toOptionQuote(row.call_options),
+            put: toOptionQuote(row.put_options)
+        }))
+        .sort((a, b) => a.strike - b.strike);
+
+    const callOI = strikes.reduce((sum, row) => sum + (row.call?.oi || 0), 0);
+    const putOI = strikes.reduce((sum, row) => sum + (row.put?.oi || 0), 0);
+
+    return {
+        underlying: rows[0]?.underlying_key ?? null,
+        expiry: rows[0]?.expiry ?? null,
+        spot: rows[0]?.underlying_spot_price ?? null,
+        callOI,
+        putOI,
+        pcr: callOI > 0 ? putOI / callOI : null,
+        strikes
+    };
+}
+
+// Strike where option buyers lose the most at expiry: the one minimizing the total
+// intrinsic value of all open calls and puts
+function maxPainStrike(chain) {
+    let best = null;
+
+    chain.strikes.forEach(({ strike: settlement }) => {
+        const payout = chain.strikes.reduce((sum, row) =>
+            sum +
+            Math.max(0, settlement - row.strike) * (row.call?.oi || 0) +
+            Math.max(0, row.strike - settlement) * (row.put?.oi || 0), 0);
+
+        if (!best || payout < best.payout) {
+            best = { strike: settlement, payout };
+        }
+    });
+
+    return best ? best.strike : null;
+}
+
+// Strikes with the largest open interest: call writers defend resistance above the
+// market, put writers defend support below it. Only strikes on their side of the spot
+// holding more than the average open interest count. share is the strike's fraction
+// of the open interest on its side of the chain
+function findOIWalls(chain, count = OI_WALLS) {
+    const onSide = (row, levelSide) => chain.spot === null ||
+        (levelSide === 'support' ? row.strike <= chain.spot : row.strike >= chain.spot);
+
+    const walls = (side, totalOI, levelSide) => chain.strikes
+        .filter(row => onSide(row, levelSide) && row[side]?.oi > totalOI / chain.strikes.length)
+        .sort((a, b) => b[side].oi - a[side].oi)
+        .slice(0, count)
+        .map(row => ({
+            strike: row.strike,
+            side: levelSide,
+            oi: row[side].oi,
+            oiChange: row[side].oiChange,
+            share: row[side].oi / totalOI
+        }));
+
+    return {
+        support: walls('put', chain.putOI, 'support'),
+        resistance: walls('call', chain.callOI, 'resistance')
+    };
+}
+
+function nearestStrike(chain, price) {
+    return chain.strikes.reduce((nearest, row) =>
+        !nearest || Math.abs(row.strike - price) < Math.abs(nearest.strike - price) ? row : nearest, null);
+}
+
+// Option trades that express a view on a level: a bounce off support is bought with
+// calls or sold with puts, a rejection at resistance bought with puts or sold with calls
+function strikeSuggestions(row, side) {
+    const contract = (action, optionType, option) => option && {
+        action,
+        optionType,
+        strike: row.strike,
+        instrumentKey: option.instrumentKey,
+        lastPrice: option.lastPrice,
+        iv: option.iv,
+        delta: option.delta,
+        theta: option.theta
+    };
+
+    return (side === 'support'
+        ? [contract('BUY', 'CE', row.call), contract('SELL', 'PE', row.put)]
+        : [contract('BUY', 'PE', row.put), contract('SELL', 'CE', row.call)]
+    ).filter(Boolean);
+}
+
+// Match MCP levels on the underlying with the option chain. Each level gets its nearest
+// strike with the greeks on both sides, the open interest there as evidence for the
+// level, and suggested contracts. Score (0-100) blends the level's MCP strength with
+// the strike's share of the open interest that defends its side
+function analyzeOptions(levels, chain, options = {}) {
+    const { oiTolerance = OI_TOLERANCE, walls: wallCount = OI_WALLS } = options;
+    const spot = chain.spot;
+    const walls = findOIWalls(chain, wallCount);
+    const maxShare = {
+        support: Math.max(0, ...chain.strikes.map(row => (row.put?.oi || 0) / (chain.putOI || 1))),
+        resistance: Math.max(0, ...chain.strikes.map(row => (row.call?.oi || 0) / (chain.callOI || 1)))
+    };
+
+    const analyzedLevels = levels.map(level => {
+        // The side is relative to the current spot, which may have moved since the last candle
+        const side = spot === null || level.price <= spot ? 'support' : 'resistance';
+        const row = nearestStrike(chain, level.price);
+        const defending = side === 'support' ? row?.put : row?.call;
+        const totalOI = side === 'support' ? chain.putOI : chain.callOI;
+        const oiShare = defending && totalOI > 0 ? defending.oi / totalOI : 0;
+        const oiScore = maxShare[side] > 0 ? oiShare / maxShare[side] : 0;
+        const wall = walls[side].find(candidate => Math.abs(candidate.strike - level.price) / level.price <= oiTolerance);
+
+        return {
+            price: level.price,
+            side,
+            strength: level.strength,
+            connections: level.connections,
+            distancePct: spot ? (level.price - spot) / spot * 100 : null,
+            strike: row && {
+                strike: row.strike,
+                pcr: row.pcr,
+                call: row.call,
+                put: row.put
+            },
+            oi: { share: oiShare, confirmed: !!wall, wall: wall || null },
+            score: Math.round(0.7 * level.strength + 30 * oiScore),
+            suggestions: row ? strikeSuggestions(row, side) : []
+        };
+    });
+
+    // OI walls with no MCP level nearby are reported as extra support/resistance
+    const unmatched = wall => !levels.some(level => Math.abs(wall.strike - level.price) / level.price <= oiTolerance);
+
+    return {
+        spot,
+        expiry: chain.expiry,
+        pcr: chain.pcr,
+        maxPain: maxPainStrike(chain),
+        levels: analyzedLevels.sort((a, b) => b.score - a.score),
+        oiWalls: walls,
+        oiOnlyLevels: [...walls.support, ...walls.resistance].filter(unmatched)
+    };
+}
+
+module.exports = {
+    OI_TOLERANCE,
+    OI_WALLS,
+    parseOptionChain,
+    maxPainStrike,
+    findOIWalls,
+    analyzeOptions
+};
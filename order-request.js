@@ -0,0 +1,153 @@
+// Order request schema for /trade and its mapping to the Upstox SDK's PlaceOrderRequest
+const { z } = require('zod');
+const { ValidationError } = require('./errors');
+
+const SIDES = ['BUY', 'SELL'];
+const ORDER_TYPES = ['MARKET', 'LIMIT', 'SL', 'SL-M'];
+
+// I: intraday, D: delivery, CO: cover order, MTF: margin trading facility
+const PRODUCTS = ['I', 'D', 'CO', 'MTF'];
+const VALIDITIES = ['DAY', 'IOC'];
+
+// Longest tag Upstox accepts on an order
+const MAX_TAG_LENGTH = 40;
+
+const orderSchema = z.object({
+    symbol: z.string().trim().min(1, 'symbol is required'),
+    quantity: z.number().int().positive(),
+    side: z.enum(SIDES),
+    orderType: z.enum(ORDER_TYPES),
+    product: z.enum(PRODUCTS).default('D'),
+    validity: z.enum(VALIDITIES).default('DAY'),
+    price: z.number().nonnegative().nullish(),
+    triggerPrice: z.number().nonnegative().nullish(),
+    disclosedQuantity: z.number().int().nonnegative().default(0),
+    isAmo: z.boolean().default(false),
+    tag: z.string().max(MAX_TAG_LENGTH).nullish()
+}).superRefine((order, ctx) => {
+    const issue = (path, message) => ctx.addIssue({ code: 'custom', path: [path], message });
+    const hasPrice = order.price > 0;
+    const hasTrigger = order.triggerPrice > 0;
+
+    if ((order.orderType === 'LIMIT' || order.orderType === 'SL') && !hasPrice) {
+        issue('price', `${order.orderType} orders require a price`);
+    }
+    if ((order.orderType === 'MARKET' || order.orderType === 'SL-M') && hasPrice) {
+        issue('price', `${order.orderType} orders execute at market and take no price`);
+    }
+
+    // A cover order's trigger price is its compulsory stop-loss, whatever the order type
+    if (order.product === 'CO') {
+        if (!hasTrigger) {
+            issue('triggerPrice', 'CO orders require a trigger price for the stop-loss');
+        }
+        if (order.orderType === 'SL' || order.orderType === 'SL-M') {
+            issue('orderType', 'CO orders must be MARKET or LIMIT');
+        }
+        if (order.isAmo) {
+            issue('isAmo', 'CO orders cannot be placed after market hours');
+        }
+    } else if (order.orderType === 'SL' || order.orderType === 'SL-M') {
+        if (!hasTrigger) {
+            issue('triggerPrice', `${order.orderType} orders require a trigger price`);
+        }
+    } else if (hasTrigger) {
+        issue('triggerPrice', `${order.orderType} orders take no trigger price`);
+    }
+
+    // A stop-limit buy triggers on the way up to its limit, a sell on the way down
+    if (order.orderType === 'SL' && hasPrice && hasTrigger) {
+        if (order.side === 'BUY' && order.triggerPrice > order.price) {
+            issue('triggerPrice', 'SL buy orders need a trigger price at or below the price');
+        }
+        if (order.side === 'SELL' && order.triggerPrice < order.price) {
+            issue('triggerPrice', 'SL sell orders need a trigger price at or above the price');
+        }
+    }
+
+    if (order.disclosedQuantity > order.quantity) {
+        issue('disclosedQuantity', 'disclosedQuantity cannot exceed quantity');
+    }
+    if (order.disclosedQuantity > 0 && order.validity === 'IOC') {
+        issue('disclosedQuantity', 'IOC orders cannot disclose a partial quantity');
+    }
+});
+
+// Fields a pending order can change; cross-field rules are left to the broker,
+// which knows the order's current values
+const orderChangesSchema = z.object({
+    quantity: z.number().int().positive().optional(),
+    price: z.number().nonnegative().optional(),
+    triggerPrice: z.number().nonnegative().optional(),
+    orderType: z.enum(ORDER_TYPES).optional(),
+    validity: z.enum(VALIDITIES).optional(),
+    disclosedQuantity: z.number().int().nonnegative().optional()
+});
+
+// Parse with a schema, throwing a ValidationError that lists every invalid field
+function parseWith(schema, body, label) {
+    const result = schema.safeParse(body ?? {});
+    if (result.success) {
+        return result.data;
+    }
+
+    const issues = result.error.issues.map(issue => ({ field: issue.path.join('.'), message: issue.message }));
+    throw new ValidationError(
+        `${label}: ${issues.map(issue => issue.field ? `${issue.field}: ${issue.message}` : issue.message).join('; ')}`,
+        issues
+    );
+}
+
+// Validate a /trade body into the order request used by the risk checks, the paper
+// broker and the journal. Prices that do not apply to the order type come back null
+function parseOrderRequest(body) {
+    const order = parseWith(orderSchema, body, 'Invalid order');
+
+    return {
+        symbol: order.symbol,
+        quantity: order.quantity,
+        side: order.side,
+        orderType: order.orderType,
+        product: order.product,
+        validity: order.validity,
+        price: order.price || null,
+        triggerPrice: order.triggerPrice || null,
+        disclosedQuantity: order.disclosedQuantity,
+        isAmo: order.isAmo,
+        tag: order.tag || null
+    };
+}
+
+// Validate the changes to a pending order, keeping only the fields given
+function parseOrderChanges(body) {
+    return parseWith(orderChangesSchema, body, 'Invalid order change');
+}
+
+// SDK PlaceOrderRequest fields for an order request. Upstox expects 0 rather than
+// null for prices that do not apply
+function toPlaceOrderRequest(orderRequest) {
+    return {
+        instrumentToken: orderRequest.symbol,
+        transactionType: orderRequest.side,
+        orderType: orderRequest.orderType,
+        quantity: orderRequest.quantity,
+        product: orderRequest.product,
+        validity: orderRequest.validity,
+        price: orderRequest.price || 0,
+        triggerPrice: orderRequest.triggerPrice || 0,
+        disclosedQuantity: orderRequest.disclosedQuantity || 0,
+        isAmo: orderRequest.isAmo || false,
+        ...(orderRequest.tag && { tag: orderRequest.tag })
+    };
+}
+
+module.exports = {
+    SIDES,
+    ORDER_TYPES,
+    PRODUCTS,
+    VALIDITIES,
+    MAX_TAG_LENGTH,
+    parseOrderRequest,
+    parseOrderChanges,
+    toPlaceOrderRequest
+};
@@ -0,0 +1,523 @@
+// Simulated broker for paper trading
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+// Upstox order statuses used by the simulated order book
+const ORDER_STATUS = {
+    OPEN: 'open',
+    TRIGGER_PENDING: 'trigger pending',
+    COMPLETE: 'complete',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled'
+};
+
+class PaperBroker {
+    constructor({ initialCash = 1000000, statePath = null } = {}) {
+        this.initialCash = initialCash;
+        this.statePath = statePath;
+        this.reset(false);
+        this.load();
+    }
+
+    // Restore persisted state so paper trading survives restarts
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) {
+            return;
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.cash = state.cash;
+            this.orders = state.orders || [];
+            this.positions = state.positions || {};
+            this.quotes = state.quotes || {};
+            this.nextOrderId = state.nextOrderId || 1;
+        } catch (error) {
+            console.error('Error loading paper trading state:', error);
+        }
+    }
+
+    save() {
+        if (!this.statePath) {
+            return;
+        }
+
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                cash: this.cash,
+                orders: this.orders,
+                positions: this.positions,
+                quotes: this.quotes,
+                nextOrderId: this.nextOrderId
+            }, null, 2));
+        } catch (error) {
+            console.error('Error saving paper trading state:', error);
+        }
+    }
+
+    // Clear all orders and positions and restore the starting cash
+    reset(persist = true) {
+        this.cash = this.initialCash;
+        this.orders = [];
+        this.positions = {};
+        this.quotes = {};
+        this.nextOrderId = 1;
+
+        if (persist) {
+            this.save();
+        }
+    }
+
+    // Accept an order into the simulated order book and try to fill it against the quote.
+    // With a bracket ({ stopLoss, target }) the exit legs are placed once the entry fills.
+    // A cover order (product CO) is a bracket whose only exit is its trigger price
+    placeOrder(orderRequest, quote, bracket = null) {
+        const order = this.createOrder(orderRequest);
+
+        if (!bracket && orderRequest.product === 'CO') {
+            bracket = { stopLoss: orderRequest.triggerPrice, target: null };
+        }
+
+        if (bracket && order.status !== ORDER_STATUS.REJECTED) {
+            order.bracket = { stop_loss: bracket.stopLoss, target: bracket.target };
+        }
+
+        if (quote) {
+            this.updateQuote(order.instrument_token, quote);
+        } else {
+            this.save();
+        }
+
+        return { order_id: order.order_id };
+    }
+
+    // Validate a new order and add it to the order book
+    createOrder(orderRequest, extra = {}) {
+        const { symbol, quantity, side, orderType, price, triggerPrice } = orderRequest;
+
+        const order = {
+            order_id: `PAPER-${String(this.nextOrderId++).padStart(8, '0')}`,
+            instrument_token: symbol,
+            transaction_type: side,
+            order_type: orderType,
+            product: orderRequest.product || 'D',
+            quantity,
+            disclosed_quantity: orderRequest.disclosedQuantity || 0,
+            price: price || 0,
+            trigger_price: triggerPrice || 0,
+            validity: orderRequest.validity || 'DAY',
+            is_amo: orderRequest.isAmo || false,
+            tag: orderRequest.tag || null,
+            status: ORDER_STATUS.OPEN,
+            status_message: null,
+            filled_quantity: 0,
+            average_price: 0,
+            order_timestamp: new Date().toISOString(),
+            exchange_timestamp: null,
+            ...extra
+        };
+
+        const rejection = this.validateOrder(order);
+        if (rejection) {
+            order.status = ORDER_STATUS.REJECTED;
+            order.status_message = rejection;
+        } else if (order.order_type === 'SL' || order.order_type === 'SL-M') {
+            order.status = ORDER_STATUS.TRIGGER_PENDING;
+        }
+
+        this.orders.push(order);
+        return order;
+    }
+
+    // Place the stop-loss and target legs of a filled bracket entry.
+    // The legs share an OCO group: when one fills the other is cancelled
+    placeExitLegs(entry) {
+        const exitSide = entry.transaction_type === 'BUY' ? 'SELL' : 'BUY';
+        const link = { parent_order_id: entry.order_id, oco_group: entry.order_id };
+
+        this.createOrder({
+            symbol: entry.instrument_token,
+            quantity: entry.quantity,
+            side: exitSide,
+            orderType: 'SL-M',
+            product: entry.product,
+            triggerPrice: entry.bracket.stop_loss
+        }, { ...link, leg: 'STOPLOSS' });
+
+        if (entry.bracket.target === null) {
+            return;
+        }
+
+        this.createOrder({
+            symbol: entry.instrument_token,
+            quantity: entry.quantity,
+            side: exitSide,
+            orderType: 'LIMIT',
+            product: entry.product,
+            price: entry.bracket.target
+        }, { ...link, leg: 'TARGET' });
+    }
+
+    // Cancel the other open legs of an OCO group once one leg has filled
+    cancelSiblings(filled) {
+        this.orders
+            .filter(order =>
+                order.oco_group === filled.oco_group &&
+                order.order_id !== filled.order_id &&
+                this.isPending(order)
+            )
+            .forEach(order => {
+                order.status = ORDER_STATUS.CANCELLED;
+                order.status_message = `OCO leg ${filled.order_id} filled`;
+            });
+    }
+
+    validateOrder(order) {
+        if (!order.instrument_token) {
+            return 'Symbol is required';
+        }
+        if (!Number.isInteger(order.quantity) || order.quantity <= 0) {
+            return 'Quantity must be a positive integer';
+        }
+        if (!['BUY', 'SELL'].includes(order.transaction_type)) {
+            return 'Side must be BUY or SELL';
+        }
+        if (!['MARKET', 'LIMIT', 'SL', 'SL-M'].includes(order.order_type)) {
+            return 'Order type must be MARKET, LIMIT, SL or SL-M';
+        }
+        if ((order.order_type === 'LIMIT' || order.order_type === 'SL') && !(order.price > 0)) {
+            return `${order.order_type} orders require a price`;
+        }
+        if ((order.order_type === 'SL' || order.order_type === 'SL-M') && !(order.trigger_price > 0)) {
+            return `${order.order_type} orders require a trigger price`;
+        }
+        if (order.disclosed_quantity > order.quantity) {
+            return 'Disclosed quantity cannot exceed quantity';
+        }
+        return null;
+    }
+
+    // Record the latest quote/candle for a symbol and fill any resting orders it reaches.
+    // quote: { lastPrice, high, low } where high/low are the candle extremes if known
+    updateQuote(symbol, quote) {
+        const lastPrice = quote.lastPrice;
+        const high = quote.high ?? lastPrice;
+        const low = quote.low ?? lastPrice;
+
+        this.quotes[symbol] = { lastPrice, high, low, updatedAt: new Date().toISOString() };
+
+        if (this.positions[symbol]) {
+            this.positions[symbol].lastPrice = lastPrice;
+        }
+
+        this.orders
+            .filter(order => order.instrument_token === symbol)
+            .forEach(order => this.matchOrder(order, { lastPrice, high, low }));
+
+        this.save();
+    }
+
+    matchOrder(order, { lastPrice, high, low }) {
+        const isBuy = order.transaction_type === 'BUY';
+
+        if (order.status === ORDER_STATUS.TRIGGER_PENDING) {
+            const triggered = isBuy ? high >= order.trigger_price : low <= order.trigger_price;
+            if (!triggered) {
+                return;
+            }
+            order.status = ORDER_STATUS.OPEN;
+        }
+
+        if (order.status !== ORDER_STATUS.OPEN) {
+            return;
+        }
+
+        let fillPrice = null;
+
+        if (order.order_type === 'MARKET' || order.order_type === 'SL-M') {
+            fillPrice = lastPrice;
+        } else if (isBuy && low <= order.price) {
+            // Marketable limits fill at the better of the limit and the last price
+            fillPrice = Math.min(order.price, lastPrice);
+        } else if (!isBuy && high >= order.price) {
+            fillPrice = Math.max(order.price, lastPrice);
+        }
+
+        if (fillPrice === null) {
+            return;
+        }
+
+        if (isBuy && this.cash < fillPrice * order.quantity && !this.reducesPosition(order)) {
+            order.status = ORDER_STATUS.REJECTED;
+            order.status_message = 'Insufficient funds';
+            return;
+        }
+
+        this.applyFill(order.instrument_token, order.transaction_type, order.quantity, fillPrice);
+
+        order.status = ORDER_STATUS.COMPLETE;
+        order.filled_quantity = order.quantity;
+        order.average_price = fillPrice;
+        order.exchange_timestamp = new Date().toISOString();
+
+        if (order.bracket) {
+            this.placeExitLegs(order);
+        }
+        if (order.oco_group) {
+            this.cancelSiblings(order);
+        }
+    }
+
+    reducesPosition(order) {
+        const position = this.positions[order.instrument_token];
+        return !!position && position.quantity < 0 && order.transaction_type === 'BUY';
+    }
+
+    // Update cash and the net position for an executed fill
+    applyFill(symbol, side, quantity, price) {
+        const position = this.positions[symbol] || {
+            quantity: 0,
+            averagePrice: 0,
+            realised: 0,
+            buyQuantity: 0,
+            buyValue: 0,
+            sellQuantity: 0,
+            sellValue: 0,
+            lastPrice: price
+        };
+
+        const signedQuantity = side === 'BUY' ? quantity : -quantity;
+
+        if (side === 'BUY') {
+            position.buyQuantity += quantity;
+            position.buyValue += quantity * price;
+        } else {
+            position.sellQuantity += quantity;
+            position.sellValue += quantity * price;
+        }
+
+        if (position.quantity === 0 || Math.sign(position.quantity) === Math.sign(signedQuantity)) {
+            // Opening or adding to a position
+            const totalQuantity = Math.abs(position.quantity) + quantity;
+            position.averagePrice = (Math.abs(position.quantity) * position.averagePrice + quantity * price) / totalQuantity;
+        } else {
+            // Reducing, closing or reversing a position
+            const closedQuantity = Math.min(quantity, Math.abs(position.quantity));
+            position.realised += closedQuantity * (price - position.averagePrice) * Math.sign(position.quantity);
+
+            if (quantity > Math.abs(position.quantity)) {
+                position.averagePrice = price;
+            } else if (quantity === Math.abs(position.quantity)) {
+                position.averagePrice = 0;
+            }
+        }
+
+        position.quantity += signedQuantity;
+        position.lastPrice = price;
+        this.cash -= signedQuantity * price;
+        this.positions[symbol] = position;
+    }
+
+    // Positions in the same shape as the Upstox positions response
+    getPositions() {
+        const data = Object.entries(this.positions).map(([symbol, position]) => {
+            const unrealised = position.quantity * (position.lastPrice - position.averagePrice);
+
+            return {
+                instrument_token: symbol,
+                trading_symbol: symbol,
+                product: 'D',
+                quantity: position.quantity,
+                average_price: position.averagePrice,
+                last_price: position.lastPrice,
+                value: position.quantity * position.lastPrice,
+                pnl: position.realised + unrealised,
+                realised: position.realised,
+                unrealised,
+                buy_price: position.buyQuantity > 0 ? position.buyValue / position.buyQuantity : 0,
+                sell_price: position.sellQuantity > 0 ? position.sellValue / position.sellQuantity : 0,
+                day_buy_quantity: position.buyQuantity,
+                day_buy_value: position.buyValue,
+                day_sell_quantity: position.sellQuantity,
+                day_sell_value: position.sellValue,
+                multiplier: 1
+            };
+        });
+
+        return { status: 'success', data };
+    }
+
+    getOrders() {
+        return this.orders;
+    }
+
+    getOrder(orderId) {
+        return this.orders.find(order => order.order_id === orderId) || null;
+    }
+
+    isPending(order) {
+        return order.status === ORDER_STATUS.OPEN || order.status === ORDER_STATUS.TRIGGER_PENDING;
+    }
+
+    // Change the quantity, price, trigger price, order type, validity or disclosed quantity of
+    // a pending order and match it again against the last quote. Returns null for an unknown
+    // order and throws a ValidationError when the order is no longer pending or the change is invalid
+    modifyOrder(orderId, { quantity, price, triggerPrice, orderType, validity, disclosedQuantity }) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            return null;
+        }
+        if (!this.isPending(order)) {
+            throw new ValidationError(`Order ${orderId} is ${order.status} and cannot be modified`);
+        }
+
+        const modified = {
+            ...order,
+            ...(quantity !== undefined && { quantity }),
+            ...(price !== undefined && { price }),
+            ...(triggerPrice !== undefined && { trigger_price: triggerPrice }),
+            ...(orderType !== undefined && { order_type: orderType }),
+            ...(validity !== undefined && { validity }),
+            ...(disclosedQuantity !== undefined && { disclosed_quantity: disclosedQuantity })
+        };
+
+        const rejection = this.validateOrder(modified);
+        if (rejection) {
+            throw new ValidationError(rejection);
+        }
+
+        // A new stop order type waits for its trigger again
+        if (modified.order_type !== order.order_type) {
+            modified.status = modified.order_type === 'SL' || modified.order_type === 'SL-M'
+                ? ORDER_STATUS.TRIGGER_PENDING
+                : ORDER_STATUS.OPEN;
+        }
+
+        Object.assign(order, modified);
+
+        // Only the last price counts: the stored candle range predates the change
+        const quote = this.quotes[order.instrument_token];
+        if (quote) {
+            this.matchOrder(order, { lastPrice: quote.lastPrice, high: quote.lastPrice, low: quote.lastPrice });
+        }
+        this.save();
+
+        return { order_id: order.order_id };
+    }
+
+    // Cancel a pending order. Returns null for an unknown order and throws a
+    // ValidationError when the order is no longer pending
+    cancelOrder(orderId) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            return null;
+        }
+        if (!this.isPending(order)) {
+            throw new ValidationError(`Order ${orderId} is ${order.status} and cannot be cancelled`);
+        }
+
+        order.status = ORDER_STATUS.CANCELLED;
+        order.status_message = 'Cancelled by user';
+        this.save();
+
+        return { order_id: order.order_id };
+    }
+
+    // Executed orders in the shape of the Upstox trade book. The simulated broker fills
+    // each order in one trade
+    getTrades() {
+        return this.orders
+            .filter(order => order.status === ORDER_STATUS.COMPLETE)
+            .map(order => ({
+                trade_id: `${order.order_id}-1`,
+                order_id: order.order_id,
+                instrument_token: order.instrument_token,
+                trading_symbol: order.instrument_token,
+                transaction_type: order.transaction_type,
+                order_type: order.order_type,
+                product: order.product || 'D',
+                quantity: order.filled_quantity,
+                average_price: order.average_price,
+                exchange_timestamp: order.exchange_timestamp
+            }));
+    }
+
+    // Cash held for pending entry orders, as estimateMargin would ask for them. Exit legs
+    // of brackets close positions and hold none
+    reservedCash() {
+        const pending = this.orders
+            .filter(order => this.isPending(order) && !order.parent_order_id)
+            .map(order => ({
+                symbol: order.instrument_token,
+                quantity: order.quantity,
+                side: order.transaction_type,
+                price: order.price || order.trigger_price
+            }));
+        return this.estimateMargin(pending).final_margin;
+    }
+
+    // Funds in the shape of the Upstox funds and margin response. The simulated
+    // account is one cash pool behind both segments, so each reports the cash not
+    // held for pending orders as available margin
+    getFunds() {
+        const reserved = this.reservedCash();
+        const segment = () => ({
+            used_margin: reserved,
+            payin_amount: 0,
+            span_margin: 0,
+            adhoc_margin: 0,
+            notional_cash: 0,
+            available_margin: this.cash - reserved,
+            exposure_margin: 0
+        });
+
+        return {
+            equity: segment(),
+            commodity: segment()
+        };
+    }
+
+    // Cash needed for orders ({ symbol, quantity, side, price }) in the shape of the
+    // Upstox margin response. Only the part of an order that opens or adds to a
+    // position needs cash; price falls back to the last quote
+    estimateMargin(orders) {
+        const margins = orders.map(order => {
+            const position = this.positions[order.symbol]?.quantity || 0;
+            const closesPosition = position !== 0 && (order.side === 'BUY') !== (position > 0);
+            const openingQuantity = closesPosition ? Math.max(0, order.quantity - Math.abs(position)) : order.quantity;
+            const price = order.price || this.quotes[order.symbol]?.lastPrice || 0;
+
+            return { equity_margin: openingQuantity * price, total_margin: openingQuantity * price };
+        });
+        const required = margins.reduce((sum, margin) => sum + margin.total_margin, 0);
+
+        return { margins, required_margin: required, final_margin: required };
+    }
+
+    getAccount() {
+        const marketValue = Object.values(this.positions)
+            .reduce((sum, position) => sum + position.quantity * position.lastPrice, 0);
+
+        return {
+            initialCash: this.initialCash,
+            cash: this.cash,
+            marketValue,
+            equity: this.cash + marketValue,
+            openOrders: this.orders.filter(order => this.isPending(order)).length
+        };
+    }
+
+    // Symbols that need fresh quotes to mark positions and match resting orders
+    getWatchedSymbols() {
+        const symbols = new Set(Object.keys(this.positions));
+        this.orders
+            .filter(order => this.isPending(order))
+            .forEach(order => symbols.add(order.instrument_token));
+        return [...symbols];
+    }
+}
+
+module.exports = {
+    ORDER_STATUS,
+    PaperBroker
+};
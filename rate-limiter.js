@@ -0,0 +1,125 @@
+// Token-bucket request scheduler for the Upstox API
+//
+// Every Upstox call goes through one shared scheduler so concurrent requests
+// stay within the account's rate limit together. Calls run concurrently up to
+// maxConcurrent while tokens are available; 429 and 5xx responses are retried
+// with exponential backoff (or the server's Retry-After) when retries are allowed.
+
+const DEFAULT_LIMITS = {
+    ratePerSecond: parseFloat(process.env.UPSTOX_RATE_LIMIT) || 20,
+    burst: parseFloat(process.env.UPSTOX_RATE_BURST) || 20,
+    maxConcurrent: parseInt(process.env.UPSTOX_MAX_CONCURRENCY) || 5,
+    maxRetries: process.env.UPSTOX_MAX_RETRIES !== undefined ? parseInt(process.env.UPSTOX_MAX_RETRIES) : 3,
+    baseDelayMs: 500
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP status of a failed SDK or axios call, if it has one
+function errorStatus(error) {
+    return error.status ?? error.response?.status;
+}
+
+function isRetryable(error) {
+    const status = errorStatus(error);
+    return status === 429 || (status >= 500 && status < 600);
+}
+
+// Delay before a retry: the Retry-After header when the server sent one,
+// otherwise exponential backoff with jitter
+function retryDelay(error, attempt, baseDelayMs) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    if (retryAfter >= 0) {
+        return retryAfter * 1000;
+    }
+    return baseDelayMs * Math.pow(2, attempt) * (0.5 + Math.random() / 2);
+}
+
+class RequestScheduler {
+    constructor(limits = {}) {
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.tokens = this.limits.burst;
+        this.lastRefill = Date.now();
+        this.active = 0;
+        this.queue = [];
+        this.timer = null;
+    }
+
+    // Run fn() when the rate limit allows and resolve to its result.
+    // retries: how many times to retry a 429/5xx failure (0 for calls that are
+    // not safe to repeat, such as placing an order)
+    async schedule(fn, { retries = this.limits.maxRetries } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let failure;
+            await this.acquire();
+
+            try {
+                return await fn();
+            } catch (error) {
+                if (attempt >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+                failure = error;
+            } finally {
+                this.release();
+            }
+
+            // Back off without holding a concurrency slot
+            await sleep(retryDelay(failure, attempt, this.limits.baseDelayMs));
+        }
+    }
+
+    // Wait for a concurrency slot and a token
+    acquire() {
+        return new Promise(resolve => {
+            this.queue.push(resolve);
+            this.dispatch();
+        });
+    }
+
+    release() {
+        this.active--;
+        this.dispatch();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.limits.burst, this.tokens + (now - this.lastRefill) / 1000 * this.limits.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    // Start queued calls while slots and tokens last, then wake up when the next token is due
+    dispatch() {
+        this.refill();
+
+        while (this.queue.length > 0 && this.active < this.limits.maxConcurrent && this.tokens >= 1) {
+            this.tokens--;
+            this.active++;
+            this.queue.shift()();
+        }
+
+        if (this.queue.length > 0 && this.active < this.limits.maxConcurrent && !this.timer) {
+            const wait = (1 - this.tokens) / this.limits.ratePerSecond * 1000;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.dispatch();
+            }, Math.max(wait, 1));
+        }
+    }
+
+    getStatus() {
+        this.refill();
+        return {
+            limits: this.limits,
+            tokens: Math.floor(this.tokens),
+            active: this.active,
+            queued: this.queue.length
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_LIMITS,
+    errorStatus,
+    RequestScheduler
+};
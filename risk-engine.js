@@ -0,0 +1,153 @@
+// Pre-trade risk checks and the global kill switch
+const fs = require('fs');
+const { RiskCheckError } = require('./errors');
+
+// Limit prices further than this fraction from the last price are treated as fat-finger errors
+const DEFAULT_PRICE_BAND = 0.05;
+
+// Positive number from an environment variable, or null when unset or not positive
+function positiveOrNull(value) {
+    const number = parseFloat(value);
+    return number > 0 ? number : null;
+}
+
+// Risk limits from the environment. A null limit is not checked;
+// PRICE_BAND=0 turns the fat-finger band off
+function riskLimitsFromEnv(env = process.env) {
+    const allowedSymbols = (env.ALLOWED_SYMBOLS || '')
+        .split(',')
+        .map(symbol => symbol.trim())
+        .filter(Boolean);
+
+    return {
+        maxOrderValue: positiveOrNull(env.MAX_ORDER_VALUE),
+        maxQuantityPerSymbol: positiveOrNull(env.MAX_QUANTITY_PER_SYMBOL),
+        maxOpenPositions: positiveOrNull(env.MAX_OPEN_POSITIONS),
+        dailyLossLimit: positiveOrNull(env.DAILY_LOSS_LIMIT),
+        allowedSymbols: allowedSymbols.length > 0 ? allowedSymbols : null,
+        priceBand: env.PRICE_BAND === undefined ? DEFAULT_PRICE_BAND : positiveOrNull(env.PRICE_BAND)
+    };
+}
+
+class RiskEngine {
+    constructor({ limits = riskLimitsFromEnv(), statePath = null } = {}) {
+        this.limits = limits;
+        this.statePath = statePath;
+        this.killSwitch = { enabled: false, reason: null, updatedAt: null };
+        this.load();
+    }
+
+    // Restore the kill switch so a halt survives restarts
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) {
+            return;
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.killSwitch = { ...this.killSwitch, ...state.killSwitch };
+        } catch (error) {
+            console.error('Error loading risk state:', error);
+        }
+    }
+
+    save() {
+        if (!this.statePath) {
+            return;
+        }
+
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify({ killSwitch: this.killSwitch }, null, 2));
+        } catch (error) {
+            console.error('Error saving risk state:', error);
+        }
+    }
+
+    setKillSwitch(enabled, reason = null) {
+        this.killSwitch = {
+            enabled,
+            reason: enabled ? reason : null,
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+        return this.killSwitch;
+    }
+
+    // Run every check against an order and return the failed ones (empty when the order may go through).
+    // positions: Upstox-shaped positions ({ instrument_token, quantity, pnl }); lastPrice: latest quote.
+    // Orders that shrink an existing position are exempt from the position and loss limits
+    // so risk can always be reduced
+    checkOrder(orderRequest, { lastPrice, positions = [] }) {
+        const { symbol, quantity, side, price } = orderRequest;
+        const limits = this.limits;
+        const violations = [];
+        const fail = (check, message) => violations.push({ check, message });
+
+        if (this.killSwitch.enabled) {
+            fail('killSwitch', `Kill switch is on${this.killSwitch.reason ? `: ${this.killSwitch.reason}` : ''}`);
+        }
+
+        if (limits.allowedSymbols && !limits.allowedSymbols.includes(symbol)) {
+            fail('allowedSymbols', `${symbol} is not in the allowed symbol list`);
+        }
+
+        const orderValue = quantity * (price > 0 ? price : lastPrice);
+        if (limits.maxOrderValue && orderValue > limits.maxOrderValue) {
+            fail('maxOrderValue', `Order value ${orderValue.toFixed(2)} exceeds the ${limits.maxOrderValue} limit`);
+        }
+
+        const currentQuantity = positions
+            .filter(position => position.instrument_token === symbol)
+            .reduce((sum, position) => sum + position.quantity, 0);
+        const resultingQuantity = currentQuantity + (side === 'BUY' ? quantity : -quantity);
+        const reducesPosition = Math.abs(resultingQuantity) < Math.abs(currentQuantity);
+
+        if (limits.maxQuantityPerSymbol && !reducesPosition && Math.abs(resultingQuantity) > limits.maxQuantityPerSymbol) {
+            fail('maxQuantityPerSymbol', `Position in ${symbol} would be ${Math.abs(resultingQuantity)}, above the ${limits.maxQuantityPerSymbol} limit`);
+        }
+
+        if (limits.maxOpenPositions && currentQuantity === 0) {
+            const openPositions = positions.filter(position => position.quantity !== 0).length;
+            if (openPositions >= limits.maxOpenPositions) {
+                fail('maxOpenPositions', `${openPositions} positions already open, the limit is ${limits.maxOpenPositions}`);
+            }
+        }
+
+        if (limits.dailyLossLimit && !reducesPosition) {
+            const dayPnl = positions.reduce((sum, position) => sum + (position.pnl || 0), 0);
+            if (dayPnl <= -limits.dailyLossLimit) {
+                fail('dailyLossLimit', `Day P&L ${dayPnl.toFixed(2)} has reached the ${limits.dailyLossLimit} daily loss limit`);
+            }
+        }
+
+        if (limits.priceBand && price > 0 && lastPrice > 0) {
+            const deviation = Math.abs(price - lastPrice) / lastPrice;
+            if (deviation > limits.priceBand) {
+                fail('priceBand', `Price ${price} is ${(deviation * 100).toFixed(2)}% from the last price ${lastPrice}, outside the ${limits.priceBand * 100}% band`);
+            }
+        }
+
+        return violations;
+    }
+
+    // Throw a RiskCheckError when any check fails
+    assertOrder(orderRequest, context) {
+        const violations = this.checkOrder(orderRequest, context);
+        if (violations.length > 0) {
+            throw new RiskCheckError(violations);
+        }
+    }
+
+    getStatus() {
+        return {
+            killSwitch: this.killSwitch,
+            limits: this.limits
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_PRICE_BAND,
+    riskLimitsFromEnv,
+    RiskEngine
+};
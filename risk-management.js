@@ -0,0 +1,102 @@
+// Stop-loss, take-profit and position sizing for strategy orders
+const indicators = require('./indicators');
+const { ValidationError } = require('./errors');
+
+// NSE equity tick size; bracket prices are rounded onto it
+const TICK_SIZE = 0.05;
+
+const DEFAULT_RISK_OPTIONS = {
+    riskPerTrade: parseFloat(process.env.RISK_PER_TRADE) || 0.01, // Fraction of capital lost if the stop is hit
+    stopAtrMultiple: 1, // Stop distance beyond the MCP level, in ATRs
+    rewardRiskRatio: 2 // Target distance when there is no next level, as a multiple of the risk
+};
+
+// Validate risk parameters from a request body, filling in defaults.
+// Throws a ValidationError describing the first invalid parameter
+function parseRiskOptions(params = {}) {
+    const options = { ...DEFAULT_RISK_OPTIONS };
+
+    ['riskPerTrade', 'stopAtrMultiple', 'rewardRiskRatio'].forEach(name => {
+        if (params[name] === undefined || params[name] === null || params[name] === '') {
+            return;
+        }
+
+        const value = Number(params[name]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new ValidationError(`${name} must be a positive number`);
+        }
+        options[name] = value;
+    });
+
+    if (options.riskPerTrade >= 1) {
+        throw new ValidationError('riskPerTrade is a fraction of capital and must be less than 1 (0.01 = 1%)');
+    }
+
+    return options;
+}
+
+// Round a price onto the tick grid in the given direction (1 = up, -1 = down)
+function roundToTick(price, direction) {
+    const ticks = price / TICK_SIZE;
+    const rounded = direction > 0 ? Math.ceil(ticks - 1e-9) : Math.floor(ticks + 1e-9);
+    return Number((rounded * TICK_SIZE).toFixed(2));
+}
+
+// Plan a bracket around a strategy entry.
+// The stop sits beyond the signal's level (the MCP for the MCP strategy; below it for
+// a BUY, above it for a SELL) by stopAtrMultiple ATRs; the target is the strategy's own
+// target when it sets one, else the next support/resistance level in the trade's
+// direction, or rewardRiskRatio times the risk when there is none.
+// Quantity risks riskPerTrade of capital at the stop, capped at what capital buys outright.
+// Stop and target are rounded onto the tick grid, the stop away from the entry and
+// the target towards it
+function planBracket({ action, entryPrice, levelPrice, target: strategyTarget = null, levels = [], dataPoints, capital, atrPeriod = 14, options = DEFAULT_RISK_OPTIONS }) {
+    const isBuy = action === 'BUY';
+    const direction = isBuy ? 1 : -1;
+    const atr = indicators.latestATR(dataPoints, atrPeriod);
+
+    const stopDistance = options.stopAtrMultiple * atr;
+    const stopLoss = roundToTick(isBuy
+        ? Math.min(levelPrice, entryPrice) - stopDistance
+        : Math.max(levelPrice, entryPrice) + stopDistance, -direction);
+    const riskPerUnit = Math.abs(entryPrice - stopLoss);
+
+    // Nearest level beyond both the entry and the signal's level itself
+    const boundary = isBuy ? Math.max(levelPrice, entryPrice) : Math.min(levelPrice, entryPrice);
+    const nextLevel = strategyTarget === null && levels
+        .filter(level => (level.price - boundary) * direction > 0)
+        .sort((a, b) => (a.price - b.price) * direction)[0];
+
+    const target = roundToTick(strategyTarget ?? (nextLevel
+        ? nextLevel.price
+        : entryPrice + direction * riskPerUnit * options.rewardRiskRatio), -direction);
+    const rewardPerUnit = Math.abs(target - entryPrice);
+
+    const riskAmount = capital * options.riskPerTrade;
+    const quantity = riskPerUnit > 0
+        ? Math.min(Math.floor(riskAmount / riskPerUnit), Math.floor(capital / entryPrice))
+        : 0;
+
+    return {
+        side: action,
+        quantity,
+        entryPrice,
+        stopLoss,
+        target,
+        targetSource: strategyTarget !== null ? 'strategy' : nextLevel ? 'level' : 'rewardRiskRatio',
+        atr,
+        riskPerUnit,
+        rewardPerUnit,
+        riskRewardRatio: riskPerUnit > 0 ? rewardPerUnit / riskPerUnit : null,
+        riskAmount: quantity * riskPerUnit,
+        potentialProfit: quantity * rewardPerUnit,
+        riskPerTrade: options.riskPerTrade
+    };
+}
+
+module.exports = {
+    TICK_SIZE,
+    DEFAULT_RISK_OPTIONS,
+    parseRiskOptions,
+    planBracket
+};
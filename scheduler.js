@@ -0,0 +1,237 @@
+// Scheduled strategy runner
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+const { marketStatus } = require('./market-hours');
+const { getStrategy, strategyNames } = require('./strategy-registry');
+
+// How often the scheduler looks for due jobs
+const TICK_INTERVAL_MS = 30 * 1000;
+
+class JobScheduler {
+    // runStrategy(job, symbol) runs the job's strategy for one symbol and resolves to its result;
+    // validateParams(params, strategy) throws a ValidationError for strategy parameters it cannot run with
+    constructor({ statePath = null, holidays = new Map(), runStrategy, validateParams = () => {} }) {
+        this.statePath = statePath;
+        this.holidays = holidays;
+        this.runStrategy = runStrategy;
+        this.validateParams = validateParams;
+        this.jobs = [];
+        this.nextJobId = 1;
+        this.running = new Set();
+        this.timer = null;
+        this.load();
+    }
+
+    // Restore job definitions and their last results
+    load() {
+        if (!this.statePath || !fs.existsSync(this.statePath)) {
+            return;
+        }
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+            this.jobs = state.jobs || [];
+            this.nextJobId = state.nextJobId || 1;
+        } catch (error) {
+            console.error('Error loading scheduled jobs:', error);
+        }
+    }
+
+    save() {
+        if (!this.statePath) {
+            return;
+        }
+
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify({
+                jobs: this.jobs,
+                nextJobId: this.nextJobId
+            }, null, 2));
+        } catch (error) {
+            console.error('Error saving scheduled jobs:', error);
+        }
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Scheduler error:', error.message));
+        }, TICK_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getMarketStatus(now = new Date()) {
+        return marketStatus(now, this.holidays);
+    }
+
+    // Run every due job, one after another. Nothing runs while the market is closed
+    async tick(now = new Date()) {
+        if (!this.getMarketStatus(now).open) {
+            return;
+        }
+
+        for (const job of this.jobs.filter(job => this.isDue(job, now))) {
+            await this.runJob(job.id, 'schedule');
+        }
+    }
+
+    isDue(job, now) {
+        if (!job.enabled || this.running.has(job.id)) {
+            return false;
+        }
+
+        return !job.lastRunAt || now - new Date(job.lastRunAt) >= job.everyMinutes * 60 * 1000;
+    }
+
+    // Run a job for each symbol on its watchlist and record the results as its last run.
+    // A failing symbol is recorded with its error and does not stop the others
+    async runJob(id, trigger = 'manual') {
+        const job = this.getJob(id);
+        if (!job) {
+            return null;
+        }
+
+        this.running.add(id);
+        const startedAt = new Date().toISOString();
+        job.lastRunAt = startedAt;
+
+        const results = [];
+        try {
+            for (const symbol of job.symbols) {
+                try {
+                    results.push({ symbol, ...await this.runStrategy(job, symbol) });
+                } catch (error) {
+                    results.push({ symbol, error: error.message });
+                }
+            }
+        } finally {
+            this.running.delete(id);
+        }
+
+        job.lastRun = { trigger, startedAt, finishedAt: new Date().toISOString(), results };
+        this.save();
+        return job.lastRun;
+    }
+
+    isRunning(id) {
+        return this.running.has(id);
+    }
+
+    listJobs() {
+        return this.jobs;
+    }
+
+    getJob(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    // owner is the id of the server user whose account the job trades on
+    createJob(definition, owner = null) {
+        const now = new Date().toISOString();
+        const job = this.buildJob(definition, {
+            id: `job-${this.nextJobId}`,
+            owner,
+            enabled: true,
+            strategy: 'mcp',
+            params: {},
+            createdAt: now,
+            lastRunAt: null,
+            lastRun: null
+        });
+
+        this.nextJobId++;
+        this.jobs.push(job);
+        this.save();
+        return job;
+    }
+
+    // Changes are applied to the job object itself, so a run in progress still records
+    // its result on the job
+    updateJob(id, changes) {
+        const job = this.getJob(id);
+        if (!job) {
+            return null;
+        }
+
+        Object.assign(job, this.buildJob(changes, job));
+        this.save();
+        return job;
+    }
+
+    deleteJob(id) {
+        const index = this.jobs.findIndex(job => job.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.jobs.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // Validate a job definition merged over an existing job (or the defaults for a new one).
+    // Throws a ValidationError describing the first invalid field
+    buildJob(definition = {}, base) {
+        const job = { ...base };
+
+        if (definition.symbols !== undefined) {
+            const symbols = typeof definition.symbols === 'string'
+                ? definition.symbols.split(',')
+                : definition.symbols;
+            if (!Array.isArray(symbols)) {
+                throw new ValidationError('symbols must be an array or a comma-separated string');
+            }
+            job.symbols = symbols.map(symbol => String(symbol).trim()).filter(Boolean);
+        }
+        if (!job.symbols || job.symbols.length === 0) {
+            throw new ValidationError('symbols must list at least one instrument');
+        }
+
+        if (definition.everyMinutes !== undefined) {
+            job.everyMinutes = Number(definition.everyMinutes);
+        }
+        if (!Number.isFinite(job.everyMinutes) || job.everyMinutes <= 0) {
+            throw new ValidationError('everyMinutes must be a positive number');
+        }
+
+        if (definition.strategy !== undefined) {
+            if (!getStrategy(definition.strategy)) {
+                throw new ValidationError(`strategy must be one of: ${strategyNames().join(', ')}`);
+            }
+            job.strategy = definition.strategy;
+        }
+
+        if (definition.enabled !== undefined) {
+            if (typeof definition.enabled !== 'boolean') {
+                throw new ValidationError('enabled must be true or false');
+            }
+            job.enabled = definition.enabled;
+        }
+
+        if (definition.params !== undefined) {
+            if (typeof definition.params !== 'object' || definition.params === null || Array.isArray(definition.params)) {
+                throw new ValidationError('params must be an object');
+            }
+            job.params = definition.params;
+        }
+        this.validateParams(job.params, job.strategy);
+
+        job.name = definition.name ?? job.name ?? `${getStrategy(job.strategy).label} ${job.symbols.join(', ')}`;
+        job.updatedAt = new Date().toISOString();
+
+        return job;
+    }
+}
+
+module.exports = {
+    TICK_INTERVAL_MS,
+    JobScheduler
+};
@@ -0,0 +1,159 @@
+// Secret stores: where the server keeps Upstox logins between restarts
+//
+// Every store has an async read() returning the saved object (null when nothing is
+// saved) and an async write(data), so a deployment can plug in its own backend
+// (a vault, a cloud secret manager) by passing one to UpstoxSessions
+const crypto = require('crypto');
+const fs = require('fs');
+const util = require('util');
+
+const ALGORITHM = 'aes-256-gcm';
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Encryption key derived from a passphrase and a per-file salt
+function deriveKey(passphrase, salt) {
+    return scrypt(String(passphrase), salt, 32);
+}
+
+function encrypt(data, key, salt) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return {
+        algorithm: ALGORITHM,
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+// Throws when the key is wrong or the file was tampered with
+function decrypt(envelope, key) {
+    const decipher = crypto.createDecipheriv(envelope.algorithm, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+// Whether filePath holds secrets that are not encrypted (anything but an envelope
+// written by EncryptedFileStore)
+function holdsPlaintext(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return false;
+    }
+
+    try {
+        return !JSON.parse(fs.readFileSync(filePath, 'utf8')).ciphertext;
+    } catch (error) {
+        return true;
+    }
+}
+
+// A JSON file encrypted with AES-256-GCM under a key derived from passphrase.
+// A plaintext file written before encryption is read once and rewritten encrypted.
+// The file keeps its salt across writes, so the key is derived once rather than on
+// every save. A file that cannot be read (wrong key, damaged) is never overwritten
+class EncryptedFileStore {
+    constructor({ filePath, passphrase }) {
+        this.filePath = filePath;
+        this.passphrase = passphrase;
+        this.salt = null;
+        this.derivedKey = null; // { salt, key } with salt in base64 and key a promise
+        this.readError = null; // Why the file could not be read, which blocks writes
+    }
+
+    keyFor(salt) {
+        const id = salt.toString('base64');
+        if (this.derivedKey?.salt !== id) {
+            this.derivedKey = { salt: id, key: deriveKey(this.passphrase, salt) };
+        }
+        return this.derivedKey.key;
+    }
+
+    async read() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            this.readError = `Cannot read ${this.filePath}: not valid JSON`;
+            throw new Error(this.readError);
+        }
+
+        if (data.ciphertext) {
+            try {
+                const salt = Buffer.from(data.salt, 'base64');
+                const secrets = decrypt(data, await this.keyFor(salt));
+                this.salt = salt;
+                this.readError = null;
+                return secrets;
+            } catch (error) {
+                this.readError = `Cannot decrypt ${this.filePath}: wrong key or damaged file`;
+                throw new Error(this.readError);
+            }
+        }
+
+        await this.write(data);
+        console.log(`Encrypted the plaintext secrets in ${this.filePath}`);
+        return data;
+    }
+
+    async write(data) {
+        if (this.readError) {
+            throw new Error(`Not overwriting secrets that could not be read. ${this.readError}`);
+        }
+
+        this.salt = this.salt || crypto.randomBytes(16);
+        const envelope = encrypt(data, await this.keyFor(this.salt), this.salt);
+        await fs.promises.writeFile(this.filePath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    }
+}
+
+// Keeps secrets in memory only; they are lost when the server stops
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async write(data) {
+        this.data = data;
+    }
+}
+
+// Secret store configured in the environment. TOKEN_STORE=memory keeps logins in memory
+// only. Otherwise they go to filePath, encrypted with TOKEN_ENCRYPTION_KEY; without a key
+// nothing is written to disk and the memory store is used. Throws when logins would be
+// kept in memory while a plaintext file from before encryption still holds live tokens
+function secretStoreFromEnv(filePath, env = process.env) {
+    const encrypted = env.TOKEN_STORE !== 'memory' && env.TOKEN_ENCRYPTION_KEY;
+    if (!encrypted && holdsPlaintext(filePath)) {
+        throw new Error(`${filePath} holds Upstox tokens in plaintext. Set TOKEN_ENCRYPTION_KEY (without TOKEN_STORE=memory) to encrypt it, or delete it`);
+    }
+
+    if (env.TOKEN_STORE === 'memory') {
+        return new MemoryStore();
+    }
+
+    if (!env.TOKEN_ENCRYPTION_KEY) {
+        console.warn('TOKEN_ENCRYPTION_KEY is not set: Upstox logins are kept in memory only and lost on restart');
+        return new MemoryStore();
+    }
+
+    return new EncryptedFileStore({ filePath, passphrase: env.TOKEN_ENCRYPTION_KEY });
+}
+
+module.exports = {
+    EncryptedFileStore,
+    MemoryStore,
+    secretStoreFromEnv
+};
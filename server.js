@@ -6,6 +6,33 @@ const dotenv = require('dotenv');
 const UpstoxClient = require('upstox-js-sdk');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { toDataPoints, parseMCPOptions, calculateMCP, calculateMCPLevels } = require('./mcp-calculator');
+const { getStrategy, listStrategies, parseStrategyParams, generateSignal } = require('./strategy-registry');
+const { INDICATORS, parseIndicatorSpec, computeIndicators } = require('./indicators');
+const { parseIndicatorFilters } = require('./indicator-filters');
+const { loadCandleFile, parseBacktestOptions, runBacktest } = require('./backtest');
+const { PaperBroker } = require('./paper-broker');
+const { ZONE_TOLERANCE, findConfluenceZones } = require('./confluence');
+const { OI_TOLERANCE, OI_WALLS, parseOptionChain, analyzeOptions } = require('./options-analysis');
+const { parseRiskOptions } = require('./risk-management');
+const { RiskEngine } = require('./risk-engine');
+const { ValidationError, RiskCheckError, StrategyError } = require('./errors');
+const { parseOrderRequest, parseOrderChanges, toPlaceOrderRequest } = require('./order-request');
+const { loadHolidays, holidaysFromUpstox, toIST } = require('./market-hours');
+const { JobScheduler } = require('./scheduler');
+const { TradeJournal } = require('./journal');
+const { CandleCache } = require('./candle-cache');
+const { RequestScheduler, errorStatus } = require('./rate-limiter');
+const { InstrumentMaster } = require('./instruments');
+const { PROXIMITY_BAND, UpstoxFeed, FakeFeed, MarketStream } = require('./market-stream');
+const { DeliveryLog, AlertEngine } = require('./alerts');
+const { destinationsFromEnv, notifiersFor } = require('./notifiers');
+const { createServerCaller, mountSSETransport } = require('./mcp-protocol-server');
+const { DEFAULT_USER_ID, ROLES, hasRole, UserStore } = require('./users');
+const { signToken, verifyToken } = require('./signed-tokens');
+const { UpstoxSessions } = require('./upstox-sessions');
+const { secretStoreFromEnv } = require('./secret-stores');
 
 // Load environment variables
 dotenv.config();
@@ -13,8 +40,15 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API: CORS_ORIGINS is a comma-separated list, or *
+// for any origin. Unset, no cross-origin browser access is allowed
+function corsOrigins() {
+    const origins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    return origins.includes('*') ? true : origins.length > 0 ? origins : false;
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins() }));
 app.use(express.json());
 
 // Upstox API credentials
@@ -28,54 +62,91 @@ const UPSTOX_AUTH_URL = 'https://api.upstox.com/v2/login/authorization/dialog';
 const UPSTOX_TOKEN_URL = 'https://api.upstox.com/v2/login/authorization/token';
 const UPSTOX_BASE_URL = 'https://api.upstox.com/v2';
 
-// Initialize Upstox SDK client
-let upstoxClient = new UpstoxClient.ApiClient();
-upstoxClient.basePath = UPSTOX_BASE_URL;
+// Api-Version header the Upstox v2 order, portfolio and user endpoints expect
+const UPSTOX_API_VERSION = '2.0';
 
-// Authentication state
-let authState = {
-    accessToken: null,
-    refreshToken: null,
-    expiresAt: null,
-    isAuthenticated: false
-};
+// Server users, each with their own API key and role. With no users configured the
+// server runs for a single default admin and needs no key
+const users = new UserStore({ statePath: process.env.USERS_FILE || path.join(__dirname, 'users.json') });
 
-// Load tokens from file if exists
-try {
-    if (fs.existsSync(TOKEN_FILE_PATH)) {
-        const tokenData = JSON.parse(fs.readFileSync(TOKEN_FILE_PATH, 'utf8'));
-        authState = {
-            ...tokenData,
-            isAuthenticated: !!tokenData.accessToken && new Date(tokenData.expiresAt) > new Date()
-        };
+// Anyone who can reach a server without users can trade as its admin, so a server started
+// without users only listens on localhost unless ALLOW_ANONYMOUS=true
+const ALLOW_ANONYMOUS = process.env.ALLOW_ANONYMOUS === 'true';
+const LISTEN_HOST = users.isEnabled() || ALLOW_ANONYMOUS ? undefined : '127.0.0.1';
 
-        // Set token for SDK client if valid
-        if (authState.isAuthenticated) {
-            upstoxClient.authentications['OAUTH2'].accessToken = authState.accessToken;
-        }
+// Session tokens from POST /login and the OAuth state of Upstox logins are signed with
+// SESSION_SECRET. Without one a random secret is used, so sessions end when the server
+// restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_SECONDS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 3600;
+
+// Each user's Upstox login and the SDK client that calls Upstox as that user. Logins are
+// saved to token.json encrypted with TOKEN_ENCRYPTION_KEY (see secretStoreFromEnv)
+const sessions = new UpstoxSessions({ store: secretStoreFromEnv(TOKEN_FILE_PATH), basePath: UPSTOX_BASE_URL });
+
+// Instrument master downloaded from Upstox, used to resolve and validate symbols
+const instrumentMaster = new InstrumentMaster({
+    filePath: process.env.INSTRUMENTS_FILE || path.join(__dirname, 'instruments', 'complete.json.gz')
+});
+instrumentMaster.load();
+
+// Shared rate limiter for every Upstox API call
+const upstoxLimiter = new RequestScheduler();
+
+// Historical candles are cached on disk so repeat requests only download missing dates.
+// The cache is shared by every user; downloads go through the requesting user's login
+const candleCache = new CandleCache({
+    dir: process.env.CANDLE_CACHE_DIR || path.join(__dirname, 'cache', 'candles'),
+    fetchCandles: async (symbol, interval, from, to, client) => {
+        const historicalDataApi = new UpstoxClient.HistoricalCandleDataApi(client);
+        const response = await upstoxLimiter.schedule(() => historicalDataApi.getHistoricalCandleData(symbol, interval, from, to));
+        return response.data.candles;
     }
-} catch (error) {
-    console.error('Error loading token file:', error);
-}
+});
 
-// Save token data to file
-function saveTokenData() {
-    try {
-        fs.writeFileSync(TOKEN_FILE_PATH, JSON.stringify(authState, null, 2));
-    } catch (error) {
-        console.error('Error saving token data:', error);
+// Paper trading: PAPER_TRADING=true routes every order to the simulated broker.
+// Each user has their own paper account; the default user's is kept in paper-state.json
+const PAPER_TRADING = process.env.PAPER_TRADING === 'true';
+const paperBrokers = new Map();
+
+function paperBrokerFor(userId) {
+    if (!paperBrokers.has(userId)) {
+        paperBrokers.set(userId, new PaperBroker({
+            initialCash: parseFloat(process.env.PAPER_INITIAL_CASH) || 1000000,
+            statePath: path.join(__dirname, userId === DEFAULT_USER_ID ? 'paper-state.json' : `paper-state-${userId}.json`)
+        }));
     }
+    return paperBrokers.get(userId);
+}
+
+// The Upstox client and paper broker that a user's requests and jobs trade with
+function accountFor(userId) {
+    return { userId, client: sessions.client(userId), paperBroker: paperBrokerFor(userId) };
+}
+
+// Owner of a job or alert rule; those created before per-user logins belong to the default user
+function ownerOf(item) {
+    return item.owner || DEFAULT_USER_ID;
 }
 
-// Check and refresh token if needed
-async function ensureValidToken() {
+// Pre-trade risk limits come from the environment; the kill switch is persisted
+const riskEngine = new RiskEngine({ statePath: path.join(__dirname, 'risk-state.json') });
+
+// Every order and strategy decision is appended to the trade journal
+const journal = new TradeJournal({ filePath: process.env.JOURNAL_FILE || path.join(__dirname, 'journal.jsonl') });
+
+// Check and refresh a user's Upstox token if needed
+async function ensureValidToken(userId) {
+    await sessions.ready;
+    const tokens = sessions.get(userId);
+
     // If no tokens or expired, return false
-    if (!authState.refreshToken || !authState.expiresAt) {
+    if (!tokens?.refreshToken || !tokens.expiresAt) {
         return false;
     }
 
     // Check if token is about to expire (within 5 minutes)
-    const expiresAt = new Date(authState.expiresAt);
+    const expiresAt = new Date(tokens.expiresAt);
     const now = new Date();
     const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
 
@@ -90,22 +161,11 @@ async function ensureValidToken() {
             client_id: UPSTOX_API_KEY,
             client_secret: UPSTOX_API_SECRET,
             grant_type: 'refresh_token',
-            refresh_token: authState.refreshToken
+            refresh_token: tokens.refreshToken
         });
 
-        // Update auth state with new tokens
-        authState = {
-            accessToken: response.data.access_token,
-            refreshToken: response.data.refresh_token,
-            expiresAt: new Date(Date.now() + response.data.expires_in * 1000).toISOString(),
-            isAuthenticated: true
-        };
-
-        // Update SDK client with new token
-        upstoxClient.authentications['OAUTH2'].accessToken = authState.accessToken;
-
-        // Save updated tokens
-        saveTokenData();
+        // Save the new tokens; the user's SDK client picks them up
+        sessions.set(userId, response.data);
         return true;
     } catch (error) {
         console.error('Token refresh error:', error.response?.data || error.message);
@@ -113,9 +173,70 @@ async function ensureValidToken() {
     }
 }
 
-// Middleware to check authentication
+// Routes reached without credentials: clients exchange their API key for a session at
+// /login, and Upstox redirects the browser to /callback, where the login's state
+// parameter identifies the user
+const PUBLIC_PATHS = ['/login', '/callback'];
+
+// API key or session token sent with a request, if any
+function credentialFrom(req) {
+    const authorization = req.get('Authorization');
+    return req.get('X-API-Key') || (authorization?.startsWith('Bearer ') ? authorization.slice(7) : null);
+}
+
+// The user a credential belongs to: a session token from /login (its user must still
+// exist, and has their current role) or an API key. Null when neither matches
+function authenticate(credential) {
+    const session = credential?.includes('.') ? verifyToken(credential, SESSION_SECRET) : null;
+    if (session) {
+        return session.typ === 'session' ? users.get(session.sub) : null;
+    }
+    return users.authenticate(credential);
+}
+
+// Middleware identifying the server user from the X-API-Key header or an
+// Authorization: Bearer header carrying an API key or session token. Sets req.user and
+// req.account (accountFor). Without configured users every request belongs to the
+// default user, who is an admin, as long as the server listens on localhost only or
+// ALLOW_ANONYMOUS=true
+function identifyUser(req, res, next) {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    let user = { id: DEFAULT_USER_ID, name: DEFAULT_USER_ID, role: 'admin' };
+    if (users.isEnabled()) {
+        user = authenticate(credentialFrom(req));
+
+        if (!user) {
+            res.set('WWW-Authenticate', 'Bearer realm="mcp-upstox-server"');
+            return res.status(401).json({ error: 'Missing or invalid API key or session token' });
+        }
+    } else if (!LISTEN_HOST && !ALLOW_ANONYMOUS) {
+        // Every user was removed while the server listens on all interfaces
+        return res.status(401).json({ error: 'No users are configured; add one with `node users.js add`' });
+    }
+
+    req.user = user;
+    req.account = accountFor(user.id);
+    next();
+}
+
+app.use(identifyUser);
+
+// Middleware refusing callers whose role is below role (see ROLES in users.js)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, role)) {
+            return res.status(403).json({ error: `This requires the ${role} role; you are ${req.user.role}` });
+        }
+        next();
+    };
+}
+
+// Middleware to check the caller's Upstox authentication
 async function requireAuth(req, res, next) {
-    const isValid = await ensureValidToken();
+    const isValid = await ensureValidToken(req.user.id);
 
     if (isValid) {
         next();
@@ -124,71 +245,394 @@ async function requireAuth(req, res, next) {
     }
 }
 
-// MCP calculation function
-function calculateMCP(dataPoints) {
-    if (!dataPoints || dataPoints.length === 0) {
-        return null;
+// Decide whether a request trades on paper. Server-wide paper mode cannot be
+// overridden per request; otherwise a request opts in with the
+// X-Trading-Mode: paper header or paper=true in the body or query string
+function isPaperTrading(req) {
+    if (PAPER_TRADING) {
+        return true;
+    }
+
+    const paper = req.body?.paper ?? req.query.paper;
+    return req.get('X-Trading-Mode') === 'paper' || paper === true || paper === 'true';
+}
+
+// Middleware to validate MCP calculation parameters from the query string or body
+function mcpOptionsFrom(source) {
+    return (req, res, next) => {
+        try {
+            req.mcpOptions = parseMCPOptions(req[source]);
+            next();
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    };
+}
+
+// The instrument key for a friendly symbol (see resolveInstruments), or null when the
+// instrument master does not know it. Without a master the symbol passes through
+function resolveSymbol(symbol) {
+    if (!instrumentMaster.isLoaded()) {
+        return String(symbol).trim();
     }
+    return instrumentMaster.resolve(String(symbol).trim())?.instrument_key || null;
+}
 
-    // Find the average price
-    const sum = dataPoints.reduce((acc, point) => acc + point.price, 0);
-    const avgPrice = sum / dataPoints.length;
+// Middleware replacing friendly symbols in req[source][field] (trading symbols such as
+// RELIANCE or NSE:SBIN, ISINs, or derivatives like "NIFTY 25JAN 22000 CE") with
+// instrument keys, rejecting unknown instruments with 400. A symbols field may be
+// an array or a comma-separated string. Without an instrument master, symbols pass through.
+// The result is also kept in req.resolved[field]: Express parses req.query afresh on
+// every read, so query handlers must read it from there
+function resolveInstruments(source, field) {
+    return (req, res, next) => {
+        const value = req[source]?.[field];
+        req.resolved = { ...req.resolved, [field]: value };
+
+        if (value === undefined || value === null || !instrumentMaster.isLoaded()) {
+            return next();
+        }
 
-    // Filter pivot points (points where price crosses the average)
-    const pivotPoints = [];
-    let aboveAvg = dataPoints[0].price > avgPrice;
+        const isList = field === 'symbols';
+        const symbols = Array.isArray(value) ? value : isList ? String(value).split(',') : [value];
+        const keys = symbols.map(resolveSymbol);
+        const unknown = symbols.filter((symbol, index) => keys[index] === null);
 
-    for (let i = 1; i < dataPoints.length; i++) {
-        const currentAboveAvg = dataPoints[i].price > avgPrice;
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: `Unknown instrument: ${unknown.join(', ')}`, unknown });
+        }
 
-        if (currentAboveAvg !== aboveAvg) {
-            // Crossover detected
-            pivotPoints.push({
-                timestamp: dataPoints[i].timestamp,
-                price: dataPoints[i].price
-            });
-            aboveAvg = currentAboveAvg;
+        req.resolved[field] = isList ? keys : keys[0];
+        if (source !== 'query') {
+            req[source][field] = req.resolved[field];
         }
+        next();
+    };
+}
+
+// Date range (YYYY-MM-DD) covering the last lookbackDays days
+function lookbackRange(lookbackDays) {
+    const to = new Date();
+    const from = new Date();
+    from.setDate(from.getDate() - lookbackDays);
+
+    return {
+        from: from.toISOString().split('T')[0],
+        to: to.toISOString().split('T')[0]
+    };
+}
+
+// Report how the candle cache served a request in the X-Candle-Cache header.
+// Several fetches in one request combine to PARTIAL when their statuses differ
+function recordCacheStatus(res, status) {
+    const current = res.get('X-Candle-Cache');
+    res.set('X-Candle-Cache', !current || current === status ? status : 'PARTIAL');
+}
+
+// Fetch historical candles for a symbol as data points (oldest first) through the
+// candle cache, downloading with the account's login. Pass res to report the cache
+// status on the response
+async function fetchDataPoints(account, symbol, interval, from, to, res = null) {
+    const { candles, status } = await candleCache.getCandles(symbol, interval, from, to, account.client);
+    if (res) {
+        recordCacheStatus(res, status);
     }
+    return toDataPoints(candles);
+}
 
-    // Count connections for each pivot point
-    const connections = pivotPoints.map(pivot => {
-        let connectionCount = 0;
+// Fetch the latest traded price for a symbol
+async function fetchQuote(account, symbol) {
+    const marketDataApi = new UpstoxClient.MarketQuoteApi(account.client);
+    const quoteResponse = await upstoxLimiter.schedule(() => marketDataApi.getMarketQuoteOHLC([symbol]));
+    return { lastPrice: quoteResponse.data[symbol].last_price };
+}
 
-        dataPoints.forEach(point => {
-            // Consider a point connected if price difference is within 0.1% of the pivot
-            const priceDiff = Math.abs(pivot.price - point.price) / pivot.price;
-            if (priceDiff <= 0.001) {
-                connectionCount++;
-            }
-        });
+// Option expiries (YYYY-MM-DD, soonest first) listed for an underlying
+async function fetchOptionExpiries(account, underlying) {
+    const optionsApi = new UpstoxClient.OptionsApi(account.client);
+    const response = await upstoxLimiter.schedule(() => optionsApi.getOptionContracts(underlying, {}));
+    return [...new Set(response.data.map(contract => contract.expiry))].sort();
+}
+
+// Option chain for an underlying and expiry. Without an expiry, the nearest one that
+// has not passed is used
+async function fetchOptionChain(account, underlying, expiry = null) {
+    let expiries = null;
+    if (!expiry) {
+        const today = toIST(new Date()).date;
+        expiries = await fetchOptionExpiries(account, underlying);
+        expiry = expiries.find(date => date >= today) || null;
+    }
+    if (!expiry) {
+        return { chain: null, expiry, expiries };
+    }
+
+    const optionsApi = new UpstoxClient.OptionsApi(account.client);
+    const response = await upstoxLimiter.schedule(() => optionsApi.getPutCallOptionChain(underlying, expiry));
+    return { chain: response.data?.length > 0 ? parseOptionChain(response.data) : null, expiry, expiries };
+}
+
+// Current positions as a list in the Upstox positions shape
+async function fetchPositionList(account, paper) {
+    if (paper) {
+        return account.paperBroker.getPositions().data;
+    }
+
+    const portfolioApi = new UpstoxClient.PortfolioApi(account.client);
+    const response = await upstoxLimiter.schedule(() => portfolioApi.getPositions(UPSTOX_API_VERSION));
+    return response.data;
+}
+
+// Funds segment an instrument trades against: commodity for MCX, equity otherwise
+function fundSegment(symbol) {
+    return String(symbol).startsWith('MCX') ? 'commodity' : 'equity';
+}
+
+// Margin available for new orders in the symbol's segment
+async function fetchAvailableMargin(account, symbol, paper) {
+    if (paper) {
+        return account.paperBroker.getFunds()[fundSegment(symbol)].available_margin;
+    }
+
+    const userApi = new UpstoxClient.UserApi(account.client);
+    const response = await upstoxLimiter.schedule(() => userApi.getUserFundMargin(UPSTOX_API_VERSION, {}));
+    return response.data[fundSegment(symbol)].available_margin;
+}
+
+// Margin the broker would block for an order ({ symbol, quantity, side, price, product })
+async function estimateMargin(account, order, paper) {
+    if (paper) {
+        return account.paperBroker.estimateMargin([order]);
+    }
+
+    const chargeApi = new UpstoxClient.ChargeApi(account.client);
+    const response = await upstoxLimiter.schedule(() => chargeApi.postMargin({
+        instruments: [{
+            instrument_key: order.symbol,
+            quantity: order.quantity,
+            product: order.product || 'D',
+            transaction_type: order.side,
+            ...(order.price > 0 && { price: order.price })
+        }]
+    }));
+    return response.data;
+}
+
+// Run the pre-trade risk checks against the account's positions and the last price.
+// Throws a RiskCheckError when the order is blocked
+async function checkPreTradeRisk(account, orderRequest, paper, quote) {
+    riskEngine.assertOrder(orderRequest, {
+        lastPrice: quote.lastPrice,
+        positions: await fetchPositionList(account, paper)
+    });
+}
+
+// Journal outcome for a failed order or strategy run
+function journalOutcome(error) {
+    if (error instanceof RiskCheckError) {
+        return 'blocked';
+    }
+    return error.status >= 400 && error.status < 500 ? 'rejected' : 'error';
+}
+
+// Journal fields describing a failure
+function journalError(error) {
+    return {
+        outcome: journalOutcome(error),
+        error: error.response?.data || error.message,
+        ...(error.violations && { violations: error.violations })
+    };
+}
+
+// Send an order to Upstox, or to the simulated broker when paper trading,
+// once it has passed the pre-trade risk checks
+async function placeOrder(account, orderRequest, paper, quote = null) {
+    const latestQuote = quote || await fetchQuote(account, orderRequest.symbol);
+    await checkPreTradeRisk(account, orderRequest, paper, latestQuote);
+
+    if (paper) {
+        return account.paperBroker.placeOrder(orderRequest, latestQuote);
+    }
+
+    const orderApi = new UpstoxClient.OrderApi(account.client);
+    // Never retried: a repeated request could place the order twice
+    const response = await upstoxLimiter.schedule(() => orderApi.placeOrder(toPlaceOrderRequest(orderRequest), UPSTOX_API_VERSION), { retries: 0 });
+    return response.data;
+}
+
+// Send an entry order with stop-loss and target legs. The paper broker holds the
+// legs until the entry fills; live brackets use an Upstox multi-leg GTT order so
+// the exchange cancels the remaining leg when one of them executes
+async function placeBracketOrder(account, orderRequest, bracket, paper, quote = null) {
+    const latestQuote = quote || await fetchQuote(account, orderRequest.symbol);
+    await checkPreTradeRisk(account, orderRequest, paper, latestQuote);
+
+    if (paper) {
+        return account.paperBroker.placeOrder(orderRequest, latestQuote, bracket);
+    }
+
+    // GTT orders only take intraday, delivery or MTF products
+    if (!['I', 'D', 'MTF'].includes(orderRequest.product)) {
+        throw new StrategyError(`Bracket orders need product I, D or MTF, not ${orderRequest.product}`, 400, { bracket });
+    }
+
+    const gttApi = new UpstoxClient.OrderApiV3(account.client);
+    const gttRequest = new UpstoxClient.GttPlaceOrderRequest(
+        'MULTIPLE',
+        orderRequest.quantity,
+        orderRequest.product,
+        [
+            new UpstoxClient.GttRule('ENTRY', 'IMMEDIATE', orderRequest.price ?? bracket.entryPrice),
+            new UpstoxClient.GttRule('TARGET', 'IMMEDIATE', bracket.target),
+            new UpstoxClient.GttRule('STOPLOSS', 'IMMEDIATE', bracket.stopLoss)
+        ],
+        orderRequest.symbol,
+        orderRequest.side
+    );
+    // Never retried: a repeated request could place the order twice
+    const response = await upstoxLimiter.schedule(() => gttApi.placeGTTOrder(gttRequest), { retries: 0 });
+    return response.data;
+}
 
-        return {
-            ...pivot,
-            connections: connectionCount
-        };
+// The OAuth state of an Upstox login is a signed token naming the user who started it,
+// so the callback knows which user logged in and rejects forged or stale logins.
+// Each state is accepted once; usedLoginStates remembers them until they expire
+const LOGIN_TTL_SECONDS = 10 * 60;
+const usedLoginStates = new Map(); // nonce -> expiry (seconds)
+
+// Upstox authorization URL for a user's login
+function upstoxLoginUrl(userId) {
+    const state = signToken({
+        typ: 'upstox-login',
+        sub: userId,
+        nonce: crypto.randomBytes(16).toString('hex')
+    }, SESSION_SECRET, LOGIN_TTL_SECONDS);
+
+    const params = new URLSearchParams({
+        client_id: UPSTOX_API_KEY,
+        redirect_uri: REDIRECT_URI,
+        response_type: 'code',
+        state
     });
+    return `${UPSTOX_AUTH_URL}?${params}`;
+}
 
-    // Sort by connection count (descending)
-    connections.sort((a, b) => b.connections - a.connections);
+// The user id from a valid, unused login state, or null
+function verifyLoginState(state) {
+    const login = verifyToken(state, SESSION_SECRET);
+    if (login?.typ !== 'upstox-login' || usedLoginStates.has(login.nonce)) {
+        return null;
+    }
 
-    // Return the most connected pivot(s)
-    return connections.length > 0 ? connections[0] : null;
+    const now = Date.now() / 1000;
+    for (const [nonce, exp] of usedLoginStates) {
+        if (exp <= now) {
+            usedLoginStates.delete(nonce);
+        }
+    }
+    usedLoginStates.set(login.nonce, login.exp);
+    return login.sub;
 }
 
-// Authentication endpoints
-app.get('/auth', (req, res) => {
-    const authUrl = `${UPSTOX_AUTH_URL}?client_id=${UPSTOX_API_KEY}&redirect_uri=${REDIRECT_URI}&response_type=code`;
-    res.redirect(authUrl);
+// Server login: exchange an API key for a session token to send as
+// Authorization: Bearer <token> until it expires
+app.post('/login', (req, res) => {
+    if (!users.isEnabled()) {
+        return res.status(400).json({ error: 'No users are configured; requests need no credentials' });
+    }
+
+    const user = users.authenticate(req.body?.apiKey);
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    res.json({
+        token: signToken({ typ: 'session', sub: user.id }, SESSION_SECRET, SESSION_TTL_SECONDS),
+        expiresAt: new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString(),
+        user
+    });
+});
+
+// The caller's server user
+app.get('/me', (req, res) => {
+    res.json({ user: req.user, roles: ROLES });
+});
+
+// User management. The default user of single-user mode needs no credentials, so the
+// first user is created from the command line, where it should be made an admin
+app.get('/users', requireRole('admin'), (req, res) => {
+    res.json(users.list());
+});
+
+app.post('/users', requireRole('admin'), (req, res) => {
+    if (req.user.id === DEFAULT_USER_ID) {
+        return res.status(403).json({ error: 'Create the first user with `node users.js add <id> --role=admin`' });
+    }
+
+    try {
+        const { id, name, role } = req.body || {};
+        // The API key is only shown in this response
+        res.status(201).json(users.add(id, name, role));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('User creation error:', error.message);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+app.put('/users/:id', requireRole('admin'), (req, res) => {
+    try {
+        const user = users.update(req.params.id, { name: req.body?.name, role: req.body?.role });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        res.json(user);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('User update error:', error.message);
+        res.status(500).json({ error: 'Failed to update user' });
+    }
+});
+
+// Removing a user ends their sessions and forgets their Upstox login
+app.delete('/users/:id', requireRole('admin'), async (req, res) => {
+    if (!users.remove(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    await sessions.ready;
+    sessions.clear(req.params.id);
+    res.json({ success: true, message: `User ${req.params.id} removed` });
+});
+
+// Upstox authentication endpoints
+app.get('/auth', requireRole('viewer'), (req, res) => {
+    res.redirect(upstoxLoginUrl(req.user.id));
+});
+
+// The login URL as JSON, for API clients that authenticate with their key and then
+// open the URL in a browser
+app.get('/auth/url', requireRole('viewer'), (req, res) => {
+    res.json({ user: req.user.id, url: upstoxLoginUrl(req.user.id) });
 });
 
 app.get('/callback', async (req, res) => {
-    const { code } = req.query;
+    const { code, state } = req.query;
 
     if (!code) {
         return res.status(400).json({ error: 'Authorization code not provided' });
     }
 
+    const userId = verifyLoginState(state);
+    if (!userId) {
+        return res.status(400).json({ error: 'Invalid, expired or reused login state, start again from /auth' });
+    }
+
     try {
         const response = await axios.post(UPSTOX_TOKEN_URL, {
             code,
@@ -198,80 +642,55 @@ app.get('/callback', async (req, res) => {
             grant_type: 'authorization_code'
         });
 
-        // Save token data
-        authState = {
-            accessToken: response.data.access_token,
-            refreshToken: response.data.refresh_token,
-            expiresAt: new Date(Date.now() + response.data.expires_in * 1000).toISOString(),
-            isAuthenticated: true
-        };
-
-        // Update SDK client with new token
-        upstoxClient.authentications['OAUTH2'].accessToken = authState.accessToken;
+        // Save the user's tokens
+        await sessions.ready;
+        sessions.set(userId, response.data);
 
-        // Save token to file
-        saveTokenData();
-
-        res.json({ success: true, message: 'Authentication successful' });
+        res.json({ success: true, message: 'Authentication successful', user: userId });
     } catch (error) {
         console.error('Token exchange error:', error.response?.data || error.message);
         res.status(500).json({ error: 'Failed to exchange authorization code for access token' });
     }
 });
 
-app.get('/logout', (req, res) => {
-    // Clear auth state
-    authState = {
-        accessToken: null,
-        refreshToken: null,
-        expiresAt: null,
-        isAuthenticated: false
-    };
+// Whether the caller is logged in to Upstox and when the login expires. The tokens
+// themselves are never returned
+app.get('/auth/status', requireRole('viewer'), async (req, res) => {
+    await sessions.ready;
+    res.json({ user: req.user.id, ...sessions.status(req.user.id) });
+});
 
-    // Clear token file
-    try {
-        fs.writeFileSync(TOKEN_FILE_PATH, JSON.stringify({}, null, 2));
-    } catch (error) {
-        console.error('Error clearing token file:', error);
+// Forget the caller's Upstox login; other users stay logged in. Admins can log out
+// another user with ?user=<id>
+app.get('/logout', requireRole('viewer'), async (req, res) => {
+    const userId = req.query.user ?? req.user.id;
+
+    if (userId !== req.user.id && !hasRole(req.user, 'admin')) {
+        return res.status(403).json({ error: 'Logging out another user requires the admin role' });
     }
 
-    res.json({ success: true, message: 'Logged out successfully' });
+    await sessions.ready;
+    sessions.clear(userId);
+    res.json({ success: true, message: 'Logged out successfully', user: userId });
 });
 
 // Market data endpoints
-app.get('/historical-data/:symbol/:interval', requireAuth, async (req, res) => {
+app.get('/historical-data/:symbol/:interval', requireRole('viewer'), requireAuth, resolveInstruments('params', 'symbol'), mcpOptionsFrom('query'), async (req, res) => {
     const { symbol, interval } = req.params;
     const { from, to } = req.query;
+    const { mcpOptions } = req;
 
     try {
-        // Create SDK instance for this API
-        const historicalDataApi = new UpstoxClient.HistoricalCandleDataApi(upstoxClient);
-
-        // Call SDK method
-        const response = await historicalDataApi.getHistoricalCandleData(
-            symbol,
-            interval,
-            from,
-            to
-        );
-
-        const dataPoints = response.data.candles.map(candle => ({
-            timestamp: new Date(candle[0]),
-            open: parseFloat(candle[1]),
-            high: parseFloat(candle[2]),
-            low: parseFloat(candle[3]),
-            close: parseFloat(candle[4]),
-            volume: parseFloat(candle[5]),
-            price: parseFloat(candle[4]) // Using close price
-        }));
+        const dataPoints = await fetchDataPoints(req.account, symbol, interval, from, to, res);
 
-        const mcp = calculateMCP(dataPoints);
+        const mcp = calculateMCP(dataPoints, mcpOptions);
 
         res.json({
             symbol,
             interval,
             dataPoints,
-            mcp
+            mcp,
+            ...(mcpOptions.levels && { levels: calculateMCPLevels(dataPoints, mcpOptions.levels, mcpOptions) })
         });
     } catch (error) {
         console.error('Historical data error:', error.response?.data || error.message);
@@ -279,73 +698,305 @@ app.get('/historical-data/:symbol/:interval', requireAuth, async (req, res) => {
     }
 });
 
+// Technical indicators over historical candles: ?indicators=rsi,ema:50,macd:12:26:9,
+// defaulting to every indicator with its default parameters
+app.get('/indicators/:symbol/:interval', requireRole('viewer'), requireAuth, resolveInstruments('params', 'symbol'), async (req, res) => {
+    const { symbol, interval } = req.params;
+    const lookbackDays = Number(req.query.lookbackDays || 90);
+    const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+
+    if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) {
+        return res.status(400).json({ error: 'lookbackDays must be a positive integer' });
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+    }
+
+    let specs;
+    try {
+        const names = req.query.indicators ? String(req.query.indicators).split(',') : Object.keys(INDICATORS);
+        const parsed = names.map(name => name.trim()).filter(Boolean).map(parseIndicatorSpec);
+        specs = [...new Map(parsed.map(spec => [spec.key, spec])).values()];
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const from = req.query.from || lookbackRange(lookbackDays).from;
+    const to = req.query.to || lookbackRange(lookbackDays).to;
+
+    try {
+        const dataPoints = await fetchDataPoints(req.account, symbol, interval, from, to, res);
+        const series = computeIndicators(dataPoints, specs);
+
+        // Indicators are calculated over the whole range before older bars are dropped
+        const bars = dataPoints.map(({ timestamp, open, high, low, close, volume }, i) => ({
+            timestamp,
+            open,
+            high,
+            low,
+            close,
+            volume,
+            indicators: Object.fromEntries(specs.map(spec => [spec.key, series[spec.key][i]]))
+        }));
+
+        res.json({
+            symbol,
+            interval,
+            from,
+            to,
+            indicators: specs.map(spec => spec.key),
+            latest: bars[bars.length - 1] || null,
+            bars: limit ? bars.slice(-limit) : bars
+        });
+    } catch (error) {
+        console.error('Indicators error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to calculate indicators' });
+    }
+});
+
 // Get MCP for multiple symbols
-app.post('/mcp/calculate', requireAuth, async (req, res) => {
-    const { symbols, interval, from, to } = req.body;
+app.post('/mcp/calculate', requireRole('viewer'), requireAuth, mcpOptionsFrom('body'), async (req, res) => {
+    const { interval, from, to } = req.body;
+    const { mcpOptions } = req;
+    const symbols = typeof req.body.symbols === 'string'
+        ? req.body.symbols.split(',').map(symbol => symbol.trim()).filter(Boolean)
+        : req.body.symbols;
 
     if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
         return res.status(400).json({ error: 'No symbols provided' });
     }
 
+    const results = {};
+
+    // Symbols run concurrently; the shared rate limiter keeps the candle downloads
+    // within the Upstox limits. Each symbol is resolved on its own, and a failing
+    // symbol gets an error entry instead of failing the whole batch. Results are keyed
+    // by the symbols as sent
+    await Promise.all(symbols.map(async symbol => {
+        const instrumentKey = resolveSymbol(symbol);
+        if (!instrumentKey) {
+            results[symbol] = { symbol, error: 'Unknown instrument', status: 400 };
+            return;
+        }
+
+        try {
+            const dataPoints = await fetchDataPoints(req.account, instrumentKey, interval, from, to, res);
+
+            const mcp = calculateMCP(dataPoints, mcpOptions);
+
+            results[symbol] = mcp && mcpOptions.levels
+                ? { ...mcp, levels: calculateMCPLevels(dataPoints, mcpOptions.levels, mcpOptions) }
+                : mcp;
+        } catch (error) {
+            console.error(`MCP calculation error for ${symbol}:`, error.response?.data || error.message);
+            results[symbol] = { symbol, error: 'Failed to calculate MCP', status: errorStatus(error) ?? null };
+        }
+    }));
+
+    // Keep the response in the order the symbols were requested
+    res.json(Object.fromEntries(symbols.map(symbol => [symbol, results[symbol]])));
+});
+
+// Multi-timeframe confluence: MCP levels from several intervals that coincide in price
+app.get('/mcp/confluence/:symbol', requireRole('viewer'), requireAuth, resolveInstruments('params', 'symbol'), mcpOptionsFrom('query'), async (req, res) => {
+    const { symbol } = req.params;
+    const intervals = (req.query.intervals || '1D,1H,15m').split(',').map(interval => interval.trim()).filter(Boolean);
+    const lookbackDays = Number(req.query.lookbackDays || 30);
+    const zoneTolerance = Number(req.query.zoneTolerance || ZONE_TOLERANCE);
+    // A single interval is its own confluence unless the caller asks for more
+    const minTimeframes = Number(req.query.minTimeframes || Math.min(2, intervals.length));
+    const mcpOptions = { ...req.mcpOptions, levels: req.mcpOptions.levels || 5 };
+
+    if (intervals.length === 0) {
+        return res.status(400).json({ error: 'intervals must list at least one interval' });
+    }
+    if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) {
+        return res.status(400).json({ error: 'lookbackDays must be a positive integer' });
+    }
+    if (!Number.isFinite(zoneTolerance) || zoneTolerance <= 0 || zoneTolerance >= 1) {
+        return res.status(400).json({ error: 'zoneTolerance must be a fraction of price between 0 and 1' });
+    }
+    if (!Number.isInteger(minTimeframes) || minTimeframes < 1 || minTimeframes > intervals.length) {
+        return res.status(400).json({ error: `minTimeframes must be between 1 and ${intervals.length}` });
+    }
+
+    const from = req.query.from || lookbackRange(lookbackDays).from;
+    const to = req.query.to || lookbackRange(lookbackDays).to;
+
+    const timeframes = {};
+    const levelsByInterval = {};
+    let latestPoint = null;
+
+    for (const interval of intervals) {
+        try {
+            const dataPoints = await fetchDataPoints(req.account, symbol, interval, from, to, res);
+            const levels = calculateMCPLevels(dataPoints, mcpOptions.levels, mcpOptions);
+            const lastPoint = dataPoints[dataPoints.length - 1];
+
+            if (lastPoint && (!latestPoint || lastPoint.timestamp > latestPoint.timestamp)) {
+                latestPoint = lastPoint;
+            }
+
+            levelsByInterval[interval] = levels;
+            timeframes[interval] = {
+                dataPoints: dataPoints.length,
+                lastPrice: lastPoint ? lastPoint.price : null,
+                mcp: calculateMCP(dataPoints, mcpOptions),
+                levels
+            };
+        } catch (error) {
+            console.error(`Confluence error for ${symbol} ${interval}:`, error.response?.data || error.message);
+            timeframes[interval] = { error: 'Failed to fetch historical data' };
+        }
+    }
+
+    if (!latestPoint) {
+        return res.status(500).json({ error: 'Failed to calculate MCP levels for any interval', timeframes });
+    }
+
+    res.json({
+        symbol,
+        from,
+        to,
+        lastPrice: latestPoint.price,
+        timeframes,
+        failedIntervals: intervals.filter(interval => timeframes[interval].error),
+        zones: findConfluenceZones(levelsByInterval, latestPoint.price, {
+            zoneTolerance,
+            minTimeframes,
+            requestedTimeframes: intervals.length
+        })
+    });
+});
+
+// Option chain for an underlying (index or stock instrument key), with greeks, IV and
+// open interest per strike. ?expiry=YYYY-MM-DD, defaulting to the nearest expiry
+app.get('/options/chain/:symbol', requireRole('viewer'), requireAuth, resolveInstruments('params', 'symbol'), async (req, res) => {
+    const { symbol } = req.params;
+    const { expiry } = req.query;
+
+    if (expiry && !/^\d{4}-\d{2}-\d{2}$/.test(expiry)) {
+        return res.status(400).json({ error: 'expiry must be a date in YYYY-MM-DD format' });
+    }
+
     try {
-        const results = {};
-        const historicalDataApi = new UpstoxClient.HistoricalCandleDataApi(upstoxClient);
+        const result = await fetchOptionChain(req.account, symbol, expiry);
+        if (!result.chain) {
+            return res.status(404).json({ error: `No option chain for ${symbol}${result.expiry ? ` expiring ${result.expiry}` : ''}` });
+        }
+
+        res.json(result.chain);
+    } catch (error) {
+        console.error('Option chain error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch option chain' });
+    }
+});
+
+// Options-aware MCP: MCP levels on the underlying matched to strikes of the option chain,
+// with greeks and IV per strike, open-interest concentration as extra evidence for each
+// level, and suggested contracts around the strongest levels
+app.get('/options/analysis/:symbol', requireRole('viewer'), requireAuth, resolveInstruments('params', 'symbol'), mcpOptionsFrom('query'), async (req, res) => {
+    const { symbol } = req.params;
+    const { expiry } = req.query;
+    const interval = req.query.interval || '1D';
+    const lookbackDays = Number(req.query.lookbackDays || 90);
+    const oiTolerance = Number(req.query.oiTolerance || OI_TOLERANCE);
+    const walls = Number(req.query.walls || OI_WALLS);
+    const mcpOptions = { ...req.mcpOptions, levels: req.mcpOptions.levels || 5 };
+
+    for (const [name, value] of Object.entries({ expiry, from: req.query.from, to: req.query.to })) {
+        if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return res.status(400).json({ error: `${name} must be a date in YYYY-MM-DD format` });
+        }
+    }
+    if (!Number.isInteger(lookbackDays) || lookbackDays <= 0) {
+        return res.status(400).json({ error: 'lookbackDays must be a positive integer' });
+    }
+    if (!Number.isFinite(oiTolerance) || oiTolerance <= 0 || oiTolerance >= 1) {
+        return res.status(400).json({ error: 'oiTolerance must be a fraction of price between 0 and 1' });
+    }
+    if (!Number.isInteger(walls) || walls <= 0) {
+        return res.status(400).json({ error: 'walls must be a positive integer' });
+    }
 
-        // Process symbols in sequence to avoid rate limiting
-        for (const symbol of symbols) {
-            const response = await historicalDataApi.getHistoricalCandleData(
-                symbol,
-                interval,
-                from,
-                to
-            );
+    const from = req.query.from || lookbackRange(lookbackDays).from;
+    const to = req.query.to || lookbackRange(lookbackDays).to;
 
-            const dataPoints = response.data.candles.map(candle => ({
-                timestamp: new Date(candle[0]),
-                price: parseFloat(candle[4]) // Using close price
-            }));
+    try {
+        const [dataPoints, result] = await Promise.all([
+            fetchDataPoints(req.account, symbol, interval, from, to, res),
+            fetchOptionChain(req.account, symbol, expiry)
+        ]);
 
-            results[symbol] = calculateMCP(dataPoints);
+        if (!result.chain) {
+            return res.status(404).json({ error: `No option chain for ${symbol}${result.expiry ? ` expiring ${result.expiry}` : ''}` });
+        }
+        if (result.chain.spot === null && dataPoints.length > 0) {
+            result.chain.spot = dataPoints[dataPoints.length - 1].price;
         }
 
-        res.json(results);
+        res.json({
+            symbol,
+            interval,
+            from,
+            to,
+            mcp: calculateMCP(dataPoints, mcpOptions),
+            ...analyzeOptions(calculateMCPLevels(dataPoints, mcpOptions.levels, mcpOptions), result.chain, { oiTolerance, walls })
+        });
     } catch (error) {
-        console.error('MCP calculation error:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Failed to calculate MCPs' });
+        console.error('Options analysis error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to analyze options' });
     }
 });
 
-// Trading execution endpoint
-app.post('/trade', requireAuth, async (req, res) => {
-    const { symbol, quantity, side, orderType, price } = req.body;
+// Trading execution endpoint. The body is checked against the order schema
+// (order-request.js); invalid fields and combinations are answered with 400
+app.post('/trade', requireRole('trader'), requireAuth, resolveInstruments('body', 'symbol'), async (req, res) => {
+    const paper = isPaperTrading(req);
+    const journalEntry = { type: 'trade', source: 'api', user: req.user.id, mode: paper ? 'paper' : 'live', symbol: req.body?.symbol, request: req.body };
 
     try {
-        const orderApi = new UpstoxClient.OrderApi(upstoxClient);
-        const orderRequest = {
-            symbol: symbol,
-            quantity: quantity,
-            side: side, // BUY or SELL
-            orderType: orderType, // MARKET, LIMIT, SL, SL-M
-            price: price || null,
-            validity: 'DAY',
-            disclosedQuantity: 0,
-            triggerPrice: null,
-            isAmo: false
-        };
+        const orderRequest = parseOrderRequest(req.body);
+        journalEntry.orderRequest = orderRequest;
 
-        const response = await orderApi.placeOrder(orderRequest);
-        res.json(response.data);
+        const order = await placeOrder(req.account, orderRequest, paper);
+        journal.record({ ...journalEntry, outcome: 'placed', response: order });
+
+        res.set('X-Trading-Mode', paper ? 'paper' : 'live');
+        res.json(order);
     } catch (error) {
+        journal.record({ ...journalEntry, ...journalError(error) });
+
+        if (error instanceof RiskCheckError) {
+            return res.status(error.status).json({ error: error.message, violations: error.violations });
+        }
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message, issues: error.issues });
+        }
         console.error('Order placement error:', error.response?.data || error.message);
         res.status(500).json({ error: 'Failed to place order' });
     }
 });
 
 // Get portfolio positions
-app.get('/positions', requireAuth, async (req, res) => {
+app.get('/positions', requireRole('analyst'), requireAuth, async (req, res) => {
     try {
-        const portfolioApi = new UpstoxClient.PortfolioApi(upstoxClient);
-        const response = await portfolioApi.getPositions();
+        if (isPaperTrading(req)) {
+            // Mark paper positions and match resting orders against fresh quotes
+            for (const symbol of req.account.paperBroker.getWatchedSymbols()) {
+                try {
+                    req.account.paperBroker.updateQuote(symbol, await fetchQuote(req.account, symbol));
+                } catch (error) {
+                    console.error(`Paper quote error for ${symbol}:`, error.response?.data || error.message);
+                }
+            }
+
+            res.set('X-Trading-Mode', 'paper');
+            return res.json(req.account.paperBroker.getPositions());
+        }
+
+        const portfolioApi = new UpstoxClient.PortfolioApi(req.account.client);
+        const response = await upstoxLimiter.schedule(() => portfolioApi.getPositions(UPSTOX_API_VERSION));
         res.json(response.data);
     } catch (error) {
         console.error('Positions error:', error.response?.data || error.message);
@@ -353,122 +1004,1185 @@ app.get('/positions', requireAuth, async (req, res) => {
     }
 });
 
-// Automated MCP trading strategy endpoint
-app.post('/strategy/mcp', requireAuth, async (req, res) => {
-    const { symbol, interval, lookbackDays, investmentAmount } = req.body;
+// Status history of a live order, oldest first; the last entry is its current state
+async function fetchOrderHistory(account, orderId) {
+    const orderApi = new UpstoxClient.OrderApi(account.client);
+    const response = await upstoxLimiter.schedule(() => orderApi.getOrderDetails(UPSTOX_API_VERSION, { orderId }));
+    return (Array.isArray(response.data) ? response.data : [response.data]).filter(Boolean);
+}
 
+// Order book for the day, newest last
+app.get('/orders', requireRole('analyst'), requireAuth, async (req, res) => {
     try {
-        // Calculate dates
-        const to = new Date();
-        const from = new Date();
-        from.setDate(from.getDate() - (lookbackDays || 30));
-
-        const toStr = to.toISOString().split('T')[0];
-        const fromStr = from.toISOString().split('T')[0];
+        if (isPaperTrading(req)) {
+            res.set('X-Trading-Mode', 'paper');
+            return res.json(req.account.paperBroker.getOrders());
+        }
 
-        // Fetch historical data using SDK
-        const historicalDataApi = new UpstoxClient.HistoricalCandleDataApi(upstoxClient);
-        const histResponse = await historicalDataApi.getHistoricalCandleData(
-            symbol,
-            interval,
-            fromStr,
-            toStr
-        );
+        const orderApi = new UpstoxClient.OrderApi(req.account.client);
+        const response = await upstoxLimiter.schedule(() => orderApi.getOrderBook(UPSTOX_API_VERSION));
+        res.set('X-Trading-Mode', 'live');
+        res.json(response.data);
+    } catch (error) {
+        console.error('Order book error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch order book' });
+    }
+});
 
-        const dataPoints = histResponse.data.candles.map(candle => ({
-            timestamp: new Date(candle[0]),
-            price: parseFloat(candle[4]) // Using close price
-        }));
+// One order with its status history (live) and the trades that filled it
+app.get('/orders/:id', requireRole('analyst'), requireAuth, async (req, res) => {
+    const { id } = req.params;
 
-        // Calculate MCP
-        const mcp = calculateMCP(dataPoints);
+    try {
+        if (isPaperTrading(req)) {
+            const order = req.account.paperBroker.getOrder(id);
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found' });
+            }
 
-        if (!mcp) {
-            return res.status(404).json({ error: 'No MCP found for given parameters' });
+            res.set('X-Trading-Mode', 'paper');
+            return res.json({ order, history: [order], trades: req.account.paperBroker.getTrades().filter(trade => trade.order_id === id) });
         }
 
-        // Get current market price using SDK
-        const marketDataApi = new UpstoxClient.MarketQuoteApi(upstoxClient);
-        const quoteResponse = await marketDataApi.getMarketQuoteOHLC([symbol]);
-        const currentPrice = quoteResponse.data[symbol].last_price;
-
-        // Determine trading action based on MCP analysis
-        let action = null;
-        let orderPrice = null;
-
-        const mcpDeviation = Math.abs(currentPrice - mcp.price) / mcp.price;
+        const orderApi = new UpstoxClient.OrderApi(req.account.client);
+        const [history, tradesResponse] = await Promise.all([
+            fetchOrderHistory(req.account, id),
+            upstoxLimiter.schedule(() => orderApi.getTradesByOrder(id, UPSTOX_API_VERSION))
+        ]);
+        if (history.length === 0) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
 
-        if (mcpDeviation <= 0.005) { // Within 0.5% of MCP
-            // We're at or near an MCP, evaluate trend direction
-            const recentPoints = dataPoints.slice(-10);
-            const avgRecentPrice = recentPoints.reduce((sum, p) => sum + p.price, 0) / recentPoints.length;
+        res.set('X-Trading-Mode', 'live');
+        res.json({ order: history[history.length - 1], history, trades: tradesResponse.data });
+    } catch (error) {
+        if (errorStatus(error) === 404) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        console.error('Order details error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
 
-            if (currentPrice > avgRecentPrice) {
-                action = 'BUY'; // Uptrend near MCP
-            } else {
-                action = 'SELL'; // Downtrend near MCP
-            }
+// Modify a pending order's quantity, price, trigger price, order type, validity or
+// disclosed quantity. Changes to quantity or price go through the pre-trade risk checks
+app.put('/orders/:id', requireRole('trader'), requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const paper = isPaperTrading(req);
+    const journalEntry = { type: 'modify', source: 'api', user: req.user.id, mode: paper ? 'paper' : 'live', orderId: id, request: req.body };
+
+    let changes;
+    try {
+        changes = parseOrderChanges(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message, issues: error.issues });
+    }
+    const { quantity, price, orderType } = changes;
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: 'Nothing to modify: provide quantity, price, triggerPrice, orderType, validity or disclosedQuantity' });
+    }
+
+    try {
+        const current = paper ? req.account.paperBroker.getOrder(id) : (await fetchOrderHistory(req.account, id)).pop();
+        if (!current) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        journalEntry.symbol = current.instrument_token;
+
+        if (quantity !== undefined || price !== undefined) {
+            await checkPreTradeRisk(req.account, {
+                symbol: current.instrument_token,
+                side: current.transaction_type,
+                orderType: orderType ?? current.order_type,
+                quantity: quantity ?? current.quantity,
+                price: price ?? current.price
+            }, paper, await fetchQuote(req.account, current.instrument_token));
+        }
+
+        let result;
+        if (paper) {
+            result = req.account.paperBroker.modifyOrder(id, changes);
+        } else {
+            const orderApi = new UpstoxClient.OrderApi(req.account.client);
+            // Upstox keeps the original order's values for fields not sent. Not retried:
+            // a late retry could undo a newer modification
+            const response = await upstoxLimiter.schedule(() => orderApi.modifyOrder({ orderId: id, ...changes }, UPSTOX_API_VERSION), { retries: 0 });
+            result = response.data;
+        }
+
+        journal.record({ ...journalEntry, outcome: 'placed', response: result });
+        res.set('X-Trading-Mode', paper ? 'paper' : 'live');
+        res.json(result);
+    } catch (error) {
+        journal.record({ ...journalEntry, ...journalError(error) });
+
+        if (error instanceof RiskCheckError) {
+            return res.status(error.status).json({ error: error.message, violations: error.violations });
+        }
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Order modification error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to modify order' });
+    }
+});
+
+// Cancel a pending order
+app.delete('/orders/:id', requireRole('trader'), requireAuth, async (req, res) => {
+    const { id } = req.params;
+    const paper = isPaperTrading(req);
+    const journalEntry = { type: 'cancel', source: 'api', user: req.user.id, mode: paper ? 'paper' : 'live', orderId: id };
 
-            orderPrice = currentPrice;
-        }
-
-        if (action) {
-            // Calculate quantity based on investment amount
-            const quantity = Math.floor(investmentAmount / currentPrice);
-
-            if (quantity > 0) {
-                // Place the order using SDK
-                const orderApi = new UpstoxClient.OrderApi(upstoxClient);
-                const orderRequest = {
-                    symbol,
-                    quantity,
-                    side: action,
-                    orderType: 'LIMIT',
-                    price: orderPrice,
-                    validity: 'DAY',
-                    disclosedQuantity: 0,
-                    triggerPrice: null,
-                    isAmo: false
-                };
-
-                const orderResponse = await orderApi.placeOrder(orderRequest);
-
-                res.json({
-                    strategy: 'MCP',
-                    action,
-                    order: orderResponse.data,
-                    mcp,
-                    currentPrice,
-                    analysis: {
-                        mcpDeviation: mcpDeviation * 100 + '%',
-                        connectionStrength: mcp.connections
-                    }
-                });
-            } else {
-                res.status(400).json({ error: 'Investment amount too small for minimum quantity' });
+    try {
+        let result;
+        if (paper) {
+            result = req.account.paperBroker.cancelOrder(id);
+            if (!result) {
+                return res.status(404).json({ error: 'Order not found' });
             }
         } else {
-            res.json({
-                strategy: 'MCP',
-                action: 'HOLD',
-                reason: 'Price not sufficiently close to MCP',
-                mcp,
-                currentPrice,
-                analysis: {
-                    mcpDeviation: mcpDeviation * 100 + '%',
-                    connectionStrength: mcp.connections
-                }
-            });
+            const orderApi = new UpstoxClient.OrderApi(req.account.client);
+            const response = await upstoxLimiter.schedule(() => orderApi.cancelOrder(id, UPSTOX_API_VERSION));
+            result = response.data;
         }
+
+        journal.record({ ...journalEntry, outcome: 'placed', response: result });
+        res.set('X-Trading-Mode', paper ? 'paper' : 'live');
+        res.json(result);
+    } catch (error) {
+        journal.record({ ...journalEntry, ...journalError(error) });
+
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Order cancellation error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to cancel order' });
+    }
+});
+
+// Trades executed today
+app.get('/trades', requireRole('analyst'), requireAuth, async (req, res) => {
+    try {
+        if (isPaperTrading(req)) {
+            res.set('X-Trading-Mode', 'paper');
+            return res.json(req.account.paperBroker.getTrades());
+        }
+
+        const orderApi = new UpstoxClient.OrderApi(req.account.client);
+        const response = await upstoxLimiter.schedule(() => orderApi.getTradeHistory(UPSTOX_API_VERSION));
+        res.set('X-Trading-Mode', 'live');
+        res.json(response.data);
+    } catch (error) {
+        console.error('Trade book error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch trades' });
+    }
+});
+
+// Long-term holdings in the demat account. The paper broker has no holdings:
+// its positions are all in GET /positions
+app.get('/holdings', requireRole('analyst'), requireAuth, async (req, res) => {
+    try {
+        if (isPaperTrading(req)) {
+            res.set('X-Trading-Mode', 'paper');
+            return res.json([]);
+        }
+
+        const portfolioApi = new UpstoxClient.PortfolioApi(req.account.client);
+        const response = await upstoxLimiter.schedule(() => portfolioApi.getHoldings(UPSTOX_API_VERSION));
+        res.set('X-Trading-Mode', 'live');
+        res.json(response.data);
+    } catch (error) {
+        console.error('Holdings error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch holdings' });
+    }
+});
+
+// Available and used margin for the equity and commodity segments.
+// ?segment=SEC (equity) or COM (commodity) returns one segment
+app.get('/funds', requireRole('analyst'), requireAuth, async (req, res) => {
+    const { segment } = req.query;
+
+    if (segment && !['SEC', 'COM'].includes(segment)) {
+        return res.status(400).json({ error: 'segment must be SEC or COM' });
+    }
+
+    try {
+        if (isPaperTrading(req)) {
+            const funds = req.account.paperBroker.getFunds();
+            const name = { SEC: 'equity', COM: 'commodity' }[segment];
+            res.set('X-Trading-Mode', 'paper');
+            return res.json(name ? { [name]: funds[name] } : funds);
+        }
+
+        const userApi = new UpstoxClient.UserApi(req.account.client);
+        const response = await upstoxLimiter.schedule(() => userApi.getUserFundMargin(UPSTOX_API_VERSION, { segment }));
+        res.set('X-Trading-Mode', 'live');
+        res.json(response.data);
+    } catch (error) {
+        console.error('Funds error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to fetch funds' });
+    }
+});
+
+// Estimate the margin an order would block and whether the account can fund it
+app.post('/margin', requireRole('analyst'), requireAuth, resolveInstruments('body', 'symbol'), async (req, res) => {
+    const { symbol, quantity, side, product, price } = req.body;
+    const paper = isPaperTrading(req);
+
+    if (!symbol || !Number.isInteger(quantity) || quantity <= 0) {
+        return res.status(400).json({ error: 'symbol and a positive integer quantity are required' });
+    }
+    if (!['BUY', 'SELL'].includes(side)) {
+        return res.status(400).json({ error: 'side must be BUY or SELL' });
+    }
+
+    try {
+        const order = { symbol, quantity, side, product: product || 'D', price };
+        if (paper && !(price > 0)) {
+            order.price = (await fetchQuote(req.account, symbol)).lastPrice;
+        }
+
+        const [margin, availableMargin] = await Promise.all([
+            estimateMargin(req.account, order, paper),
+            fetchAvailableMargin(req.account, symbol, paper)
+        ]);
+
+        res.set('X-Trading-Mode', paper ? 'paper' : 'live');
+        res.json({
+            symbol,
+            margin,
+            availableMargin,
+            sufficient: margin.final_margin <= availableMargin
+        });
+    } catch (error) {
+        console.error('Margin estimate error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to estimate margin' });
+    }
+});
+
+// Run a strategy for one symbol on an account (see accountFor) and journal the decision.
+// Shared by /strategy/:name and scheduled jobs; source says which one triggered the run,
+// and res (when given) receives the candle cache status
+async function runStrategy(params) {
+    const { account, strategy, symbol, interval, lookbackDays, investmentAmount, strategyParams, filters = [], mcpOptions, riskOptions, paper, source = 'api' } = params;
+    const journalEntry = {
+        type: 'strategy',
+        source,
+        user: account.userId,
+        mode: paper ? 'paper' : 'live',
+        strategy: strategy.name,
+        symbol,
+        request: {
+            interval,
+            lookbackDays,
+            investmentAmount,
+            strategyParams,
+            filters: filters.map(filter => filter.description),
+            mcpOptions,
+            riskOptions
+        }
+    };
+
+    try {
+        const result = await executeStrategy(params, journalEntry);
+        journal.record({
+            ...journalEntry,
+            outcome: result.action === 'HOLD' ? 'hold' : 'placed',
+            decision: result.action,
+            reason: result.reason,
+            analysis: result.analysis,
+            response: result.order
+        });
+        return result;
+    } catch (error) {
+        journal.record({ ...journalEntry, ...journalError(error) });
+        throw error;
+    }
+}
+
+// Evaluate the strategy on recent candles, the latest quote and the current position, and
+// place a bracket order when it signals. The MCP, quote, order request and bracket are added
+// to journalEntry as they are worked out
+async function executeStrategy({ account, strategy, symbol, interval, lookbackDays, investmentAmount, strategyParams, filters, mcpOptions, riskOptions, paper, res }, journalEntry) {
+    // Fetch historical data using SDK
+    const { from, to } = lookbackRange(lookbackDays || 30);
+    const dataPoints = await fetchDataPoints(account, symbol, interval, from, to, res);
+
+    // Get current market price, and the position for strategies that look at it
+    const [quote, positions] = await Promise.all([
+        fetchQuote(account, symbol),
+        strategy.usesPosition ? fetchPositionList(account, paper) : []
+    ]);
+    const currentPrice = quote.lastPrice;
+    const position = positions.find(item => item.instrument_token === symbol)?.quantity || 0;
+    journalEntry.currentPrice = currentPrice;
+
+    const signal = generateSignal(strategy, {
+        symbol,
+        dataPoints,
+        price: currentPrice,
+        position,
+        mcpOptions,
+        params: strategyParams,
+        filters,
+        capital: investmentAmount,
+        riskOptions
+    });
+
+    if (!signal) {
+        throw new StrategyError('No MCP found for given parameters', 404);
+    }
+
+    const { mcp, action, reason, analysis, bracket } = signal;
+    journalEntry.mcp = mcp;
+    journalEntry.decision = action || 'HOLD';
+
+    const levels = mcpOptions.levels ? calculateMCPLevels(dataPoints, mcpOptions.levels, mcpOptions) : undefined;
+
+    if (!action) {
+        return { strategy: strategy.label, action: 'HOLD', reason, mcp, levels, currentPrice, analysis };
+    }
+
+    // The signal sized the position and set stop-loss and target
+    journalEntry.bracket = bracket;
+
+    if (bracket.quantity === 0) {
+        throw new StrategyError('Investment amount too small to risk one unit at the stop-loss', 400, { bracket });
+    }
+
+    // Place the order using SDK (or the paper broker)
+    const orderRequest = {
+        symbol,
+        quantity: bracket.quantity,
+        side: action,
+        orderType: 'LIMIT',
+        product: 'D',
+        validity: 'DAY',
+        price: signal.price,
+        triggerPrice: null,
+        disclosedQuantity: 0,
+        isAmo: false,
+        tag: null
+    };
+    journalEntry.orderRequest = orderRequest;
+
+    // Refuse a position the account cannot margin instead of letting the broker reject it
+    const [margin, availableMargin] = await Promise.all([
+        estimateMargin(account, orderRequest, paper),
+        fetchAvailableMargin(account, symbol, paper)
+    ]);
+    journalEntry.margin = { required: margin.final_margin, available: availableMargin };
+
+    if (margin.final_margin > availableMargin) {
+        throw new StrategyError('Insufficient margin for the sized position', 400, { bracket, margin: journalEntry.margin });
+    }
+
+    const order = await placeBracketOrder(account, orderRequest, bracket, paper, quote);
+
+    return {
+        strategy: strategy.label,
+        action,
+        reason,
+        order,
+        bracket,
+        mcp,
+        levels,
+        currentPrice,
+        analysis: { ...analysis, riskRewardRatio: bracket.riskRewardRatio }
+    };
+}
+
+// Middleware looking up the strategy named in the path and validating its parameters
+// and indicator filters from the request body
+function strategyFrom(req, res, next) {
+    const strategy = getStrategy(req.params.name);
+    if (!strategy) {
+        return res.status(404).json({ error: `Unknown strategy: ${req.params.name}` });
+    }
+
+    try {
+        req.strategy = strategy;
+        req.strategyParams = parseStrategyParams(strategy, req.body);
+        req.strategyFilters = parseIndicatorFilters(req.body.filters);
+        next();
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+}
+
+// Registered strategies and their parameters
+app.get('/strategies', requireRole('viewer'), (req, res) => {
+    res.json(listStrategies());
+});
+
+// Automated strategy endpoint: /strategy/mcp, /strategy/mcp-mean-reversion, ...
+app.post('/strategy/:name', requireRole('trader'), requireAuth, strategyFrom, resolveInstruments('body', 'symbol'), mcpOptionsFrom('body'), async (req, res) => {
+    const { symbol, interval, lookbackDays, investmentAmount } = req.body;
+    const { strategy, strategyParams, strategyFilters: filters, mcpOptions } = req;
+    const paper = isPaperTrading(req);
+
+    let riskOptions;
+    try {
+        riskOptions = parseRiskOptions(req.body);
     } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        res.set('X-Trading-Mode', paper ? 'paper' : 'live');
+        res.json(await runStrategy({ account: req.account, strategy, symbol, interval, lookbackDays, investmentAmount, strategyParams, filters, mcpOptions, riskOptions, paper, res }));
+    } catch (error) {
+        if (error instanceof RiskCheckError) {
+            return res.status(error.status).json({ error: error.message, violations: error.violations });
+        }
+        if (error instanceof StrategyError) {
+            return res.status(error.status).json({ error: error.message, ...error.details });
+        }
         console.error('Strategy execution error:', error.response?.data || error.message);
-        res.status(500).json({ error: 'Failed to execute MCP strategy' });
+        res.status(500).json({ error: `Failed to execute ${strategy.label} strategy` });
     }
 });
 
-// Start the server
-app.listen(PORT, () => {
-    console.log(`MCP Server running on port ${PORT}`);
+// The caller's paper trading account summary and simulated order book
+app.get('/paper/account', requireRole('analyst'), (req, res) => {
+    const { paperBroker } = req.account;
+    res.json({
+        enabled: PAPER_TRADING,
+        account: paperBroker.getAccount(),
+        orders: paperBroker.getOrders()
+    });
 });
 
+// Reset the caller's paper trading account to its starting cash
+app.post('/paper/reset', requireRole('trader'), (req, res) => {
+    req.account.paperBroker.reset();
+    res.json({ success: true, message: 'Paper trading account reset', account: req.account.paperBroker.getAccount() });
+});
+
+// Pre-trade risk limits and kill switch state
+app.get('/risk', requireRole('analyst'), (req, res) => {
+    res.json(riskEngine.getStatus());
+});
+
+// Turn the kill switch on or off. While it is on every new order is rejected
+app.post('/risk/kill-switch', requireRole('admin'), (req, res) => {
+    const { enabled, reason } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const killSwitch = riskEngine.setKillSwitch(enabled, reason || null);
+    res.json({ success: true, killSwitch });
+});
+
+// Search the instrument master by trading symbol, name or ISIN
+app.get('/instruments/search', requireRole('viewer'), (req, res) => {
+    const { q, exchange, segment, type, limit } = req.query;
+
+    if (!q) {
+        return res.status(400).json({ error: 'Search query q is required' });
+    }
+    if (!instrumentMaster.isLoaded()) {
+        return res.status(503).json({ error: 'Instrument master not loaded' });
+    }
+
+    const results = instrumentMaster.search(q, {
+        exchange,
+        segment,
+        instrumentType: type,
+        limit: parseInt(limit) || 20
+    });
+    res.json({ query: q, count: results.length, results });
+});
+
+// Resolve a friendly symbol to its instrument
+app.get('/instruments/resolve', requireRole('viewer'), (req, res) => {
+    const { symbol } = req.query;
+
+    if (!symbol) {
+        return res.status(400).json({ error: 'symbol is required' });
+    }
+    if (!instrumentMaster.isLoaded()) {
+        return res.status(503).json({ error: 'Instrument master not loaded' });
+    }
+
+    const instrument = instrumentMaster.resolve(symbol);
+    if (!instrument) {
+        return res.status(404).json({ error: `Unknown instrument: ${symbol}` });
+    }
+
+    res.json(instrument);
+});
+
+// Instrument master status, and reloading it after downloading a fresh copy
+app.get('/instruments', requireRole('viewer'), (req, res) => {
+    res.json(instrumentMaster.getStatus());
+});
+
+app.post('/instruments/reload', requireRole('admin'), (req, res) => {
+    if (!instrumentMaster.load()) {
+        return res.status(500).json({ error: 'Failed to load instrument master', ...instrumentMaster.getStatus() });
+    }
+
+    res.json({ success: true, ...instrumentMaster.getStatus() });
+});
+
+// Cached instruments and intervals with the date ranges they cover
+app.get('/cache/candles', requireRole('viewer'), (req, res) => {
+    res.json({ entries: candleCache.list() });
+});
+
+// Purge cached candles, optionally only for ?symbol= and/or ?interval=
+app.delete('/cache/candles', requireRole('admin'), (req, res) => {
+    const { symbol, interval } = req.query;
+
+    try {
+        const purged = candleCache.purge({ symbol, interval });
+        res.json({ success: true, purged });
+    } catch (error) {
+        console.error('Candle cache purge error:', error.message);
+        res.status(500).json({ error: 'Failed to purge candle cache' });
+    }
+});
+
+// Longest history a cache warm may download, in days
+const MAX_WARM_LOOKBACK_DAYS = 3650;
+
+// Download candles for a watchlist into the cache ahead of time
+app.post('/cache/candles/warm', requireRole('analyst'), requireAuth, resolveInstruments('body', 'symbols'), async (req, res) => {
+    const { symbols, intervals } = req.body;
+    const lookbackDays = Number(req.body.lookbackDays ?? 30);
+    const intervalList = typeof intervals === 'string' ? intervals.split(',') : intervals;
+
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+        return res.status(400).json({ error: 'No symbols provided' });
+    }
+    if (!Array.isArray(intervalList) || intervalList.length === 0) {
+        return res.status(400).json({ error: 'No intervals provided' });
+    }
+    if (!intervalList.every(interval => typeof interval === 'string' && interval.trim())) {
+        return res.status(400).json({ error: 'intervals must be non-empty strings' });
+    }
+    if (!Number.isInteger(lookbackDays) || lookbackDays <= 0 || lookbackDays > MAX_WARM_LOOKBACK_DAYS) {
+        return res.status(400).json({ error: `lookbackDays must be a whole number of days from 1 to ${MAX_WARM_LOOKBACK_DAYS}` });
+    }
+
+    const range = lookbackRange(lookbackDays);
+    const from = req.body.from || range.from;
+    const to = req.body.to || range.to;
+
+    const results = {};
+    for (const symbol of symbols) {
+        results[symbol] = {};
+
+        for (const interval of intervalList.map(value => value.trim())) {
+            try {
+                const { candles, status } = await candleCache.getCandles(symbol, interval, from, to, req.account.client);
+                results[symbol][interval] = { status, candles: candles.length };
+            } catch (error) {
+                console.error(`Candle cache warm error for ${symbol} ${interval}:`, error.response?.data || error.message);
+                results[symbol][interval] = { error: 'Failed to fetch candles' };
+            }
+        }
+    }
+
+    res.json({ from, to, results });
+});
+
+// Query the caller's trade journal, newest first
+app.get('/journal', requireRole('analyst'), (req, res) => {
+    const { symbol, type, outcome, from, to, limit } = req.query;
+
+    try {
+        const entries = journal.query({ user: req.user.id, symbol, type, outcome, from, to, limit });
+        res.json({ count: entries.length, entries });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Journal query error:', error.message);
+        res.status(500).json({ error: 'Failed to read trade journal' });
+    }
+});
+
+// Strategy parameters a scheduled job needs, checked when the job is saved
+function validateJobParams(params, strategyName) {
+    if (!params.interval) {
+        throw new ValidationError('params.interval is required');
+    }
+    if (!(Number(params.investmentAmount) > 0)) {
+        throw new ValidationError('params.investmentAmount must be a positive number');
+    }
+    if (params.lookbackDays !== undefined && !(Number.isInteger(Number(params.lookbackDays)) && Number(params.lookbackDays) > 0)) {
+        throw new ValidationError('params.lookbackDays must be a positive integer');
+    }
+    parseStrategyParams(getStrategy(strategyName), params);
+    parseIndicatorFilters(params.filters);
+    parseMCPOptions(params);
+    parseRiskOptions(params);
+}
+
+// Run one watchlist symbol of a scheduled job through the job's strategy, trading on
+// the account of the user who owns the job
+async function runScheduledStrategy(job, symbol) {
+    if (!await ensureValidToken(ownerOf(job))) {
+        throw new Error('Not authenticated or session expired');
+    }
+
+    const { params } = job;
+    const strategy = getStrategy(job.strategy);
+    return runStrategy({
+        account: accountFor(ownerOf(job)),
+        strategy,
+        symbol,
+        interval: params.interval,
+        lookbackDays: params.lookbackDays,
+        investmentAmount: Number(params.investmentAmount),
+        strategyParams: parseStrategyParams(strategy, params),
+        filters: parseIndicatorFilters(params.filters),
+        mcpOptions: parseMCPOptions(params),
+        riskOptions: parseRiskOptions(params),
+        paper: PAPER_TRADING || params.paper === true,
+        source: `job:${job.id}`
+    });
+}
+
+// Scheduled strategy jobs, run during market hours and skipping exchange holidays
+const scheduler = new JobScheduler({
+    statePath: path.join(__dirname, 'jobs.json'),
+    holidays: loadHolidays(process.env.MARKET_HOLIDAYS_FILE || path.join(__dirname, 'market-holidays.json')),
+    runStrategy: runScheduledStrategy,
+    validateParams: validateJobParams
+});
+
+// Add the exchange's published holidays to the calendar file's. The holidays API needs
+// no login; the file still covers the days when Upstox cannot be reached
+const HOLIDAY_REFRESH_MS = 24 * 60 * 60 * 1000;
+
+async function refreshHolidays() {
+    try {
+        const holidaysApi = new UpstoxClient.MarketHolidaysAndTimingsApi(new UpstoxClient.ApiClient());
+        const response = await upstoxLimiter.schedule(() => new Promise((resolve, reject) =>
+            holidaysApi.getHolidays((error, data) => error ? reject(error) : resolve(data))));
+
+        for (const [date, description] of holidaysFromUpstox(response.data || [])) {
+            scheduler.holidays.set(date, description);
+        }
+    } catch (error) {
+        console.error('Market holidays error:', error.response?.body || error.message);
+    }
+}
+
+// The job named in the path, when it belongs to the caller
+function callerJob(req) {
+    const job = scheduler.getJob(req.params.id);
+    return job && ownerOf(job) === req.user.id ? job : null;
+}
+
+// List the caller's scheduled jobs with their last results and the current market status
+app.get('/jobs', requireRole('analyst'), (req, res) => {
+    res.json({
+        market: scheduler.getMarketStatus(),
+        jobs: scheduler.listJobs().filter(job => ownerOf(job) === req.user.id)
+    });
+});
+
+app.post('/jobs', requireRole('trader'), resolveInstruments('body', 'symbols'), (req, res) => {
+    try {
+        res.status(201).json(scheduler.createJob(req.body, req.user.id));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Job creation error:', error.message);
+        res.status(500).json({ error: 'Failed to create job' });
+    }
+});
+
+app.get('/jobs/:id', requireRole('analyst'), (req, res) => {
+    const job = callerJob(req);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+});
+
+app.put('/jobs/:id', requireRole('trader'), resolveInstruments('body', 'symbols'), (req, res) => {
+    if (!callerJob(req)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    try {
+        const job = scheduler.updateJob(req.params.id, req.body);
+
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(job);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Job update error:', error.message);
+        res.status(500).json({ error: 'Failed to update job' });
+    }
+});
+
+app.delete('/jobs/:id', requireRole('trader'), (req, res) => {
+    if (!callerJob(req) || !scheduler.deleteJob(req.params.id)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, message: 'Job deleted' });
+});
+
+// Run a job now, whether or not the market is open
+app.post('/jobs/:id/run', requireRole('trader'), async (req, res) => {
+    if (!callerJob(req)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (scheduler.isRunning(req.params.id)) {
+        return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    try {
+        res.json(await scheduler.runJob(req.params.id, 'manual'));
+    } catch (error) {
+        console.error('Job run error:', error.message);
+        res.status(500).json({ error: 'Failed to run job' });
+    }
+});
+
+// Live market data: the watchlist streams from the Upstox market data WebSocket,
+// or from a local random-walk feed when MARKET_FEED=fake. One stream is shared by every
+// user. It belongs to the server and always connects with the Upstox login of the
+// STREAM_USER_ID user (default: the default user), whoever adds the symbols
+const STREAM_USER_ID = process.env.STREAM_USER_ID || DEFAULT_USER_ID;
+const marketFeed = process.env.MARKET_FEED === 'fake'
+    ? new FakeFeed({
+        intervalMs: parseInt(process.env.FAKE_FEED_INTERVAL_MS) || 1000,
+        seedPrice: async symbol => (await fetchQuote(accountFor(STREAM_USER_ID), symbol)).lastPrice
+    })
+    : new UpstoxFeed({ getAccessToken: () => sessions.get(STREAM_USER_ID)?.accessToken });
+
+const STREAM_EVENTS = ['tick', 'proximity', 'status'];
+
+// MCP levels a streamed symbol is watched against, from the symbol's recent candles
+// downloaded as the user who added it
+async function loadStreamLevels(symbol, { userId, interval, from, to, mcpOptions }) {
+    const dataPoints = await fetchDataPoints(accountFor(userId), symbol, interval, from, to);
+    return calculateMCPLevels(dataPoints, mcpOptions.levels || 5, mcpOptions);
+}
+
+const marketStream = new MarketStream({
+    feed: marketFeed,
+    loadLevels: loadStreamLevels,
+    proximity: parseFloat(process.env.STREAM_PROXIMITY) || PROXIMITY_BAND
+});
+// One listener per event for every connected SSE client
+marketStream.setMaxListeners(0);
+
+// Watchlist, latest ticks and the MCP levels each symbol is near
+app.get('/stream', requireRole('viewer'), (req, res) => {
+    res.json({
+        feed: process.env.MARKET_FEED === 'fake' ? 'fake' : 'upstox',
+        clients: marketStream.listenerCount('status'),
+        ...marketStream.getStatus()
+    });
+});
+
+// Add symbols to the streaming watchlist. Posting a watched symbol again
+// recomputes its MCP levels
+app.post('/stream/watch', requireRole('analyst'), requireAuth, resolveInstruments('body', 'symbols'), mcpOptionsFrom('body'), async (req, res) => {
+    const { symbols, interval, lookbackDays } = req.body;
+    const range = lookbackRange(lookbackDays || 30);
+
+    if (!Array.isArray(symbols) || symbols.length === 0) {
+        return res.status(400).json({ error: 'No symbols provided' });
+    }
+
+    if (marketFeed instanceof UpstoxFeed && !await ensureValidToken(STREAM_USER_ID)) {
+        return res.status(503).json({ error: 'The market stream account is not logged in to Upstox' });
+    }
+
+    try {
+        const watched = await marketStream.watch(symbols, {
+            userId: req.user.id,
+            interval: interval || '1D',
+            from: req.body.from || range.from,
+            to: req.body.to || range.to,
+            mcpOptions: req.mcpOptions
+        });
+        res.json({ success: true, symbols: watched });
+    } catch (error) {
+        console.error('Market stream watch error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to start market stream' });
+    }
+});
+
+// Remove ?symbols= from the watchlist; the feed disconnects when it is empty
+app.delete('/stream/watch', requireRole('analyst'), resolveInstruments('query', 'symbols'), (req, res) => {
+    const { symbols } = req.resolved;
+
+    if (!symbols || symbols.length === 0) {
+        return res.status(400).json({ error: 'No symbols provided' });
+    }
+
+    const list = Array.isArray(symbols) ? symbols : String(symbols).split(',').map(symbol => symbol.trim());
+    res.json({ success: true, removed: marketStream.unwatch(list) });
+});
+
+// Server-sent events for the watchlist. ?events= picks from tick, proximity and
+// status (default proximity,status); ?symbols= limits events to some symbols
+app.get('/stream/events', requireRole('viewer'), resolveInstruments('query', 'symbols'), (req, res) => {
+    const events = (req.query.events || 'proximity,status').split(',').map(event => event.trim());
+    const invalid = events.filter(event => !STREAM_EVENTS.includes(event));
+    const { symbols } = req.resolved;
+    const symbolFilter = !symbols ? null : Array.isArray(symbols) ? symbols : String(symbols).split(',').map(symbol => symbol.trim());
+
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown stream event: ${invalid.join(', ')}` });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Status is always subscribed so GET /stream can count connected clients
+    const listeners = Object.fromEntries(STREAM_EVENTS.map(event => [event, data => {
+        if (events.includes(event) && (!symbolFilter || !data.symbol || symbolFilter.includes(data.symbol))) {
+            send(event, data);
+        }
+    }]));
+    Object.entries(listeners).forEach(([event, listener]) => marketStream.on(event, listener));
+
+    send('snapshot', marketStream.getStatus());
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        Object.entries(listeners).forEach(([event, listener]) => marketStream.off(event, listener));
+    });
+});
+
+// Inject a tick into the fake feed, e.g. to move a price into an MCP level's band
+app.post('/stream/fake-tick', requireRole('admin'), resolveInstruments('body', 'symbol'), (req, res) => {
+    const { symbol, price } = req.body;
+
+    if (!(marketFeed instanceof FakeFeed)) {
+        return res.status(400).json({ error: 'Fake ticks need MARKET_FEED=fake' });
+    }
+    if (!symbol || !(Number(price) > 0)) {
+        return res.status(400).json({ error: 'symbol and a positive price are required' });
+    }
+    if (!marketStream.getSymbol(symbol)) {
+        return res.status(404).json({ error: 'Symbol is not on the streaming watchlist' });
+    }
+
+    marketFeed.push(symbol, Number(price));
+    res.json({ success: true, ...marketStream.getSymbol(symbol) });
+});
+
+// Latest price for an alert rule's symbol: the live stream's tick when the symbol is
+// streaming, otherwise a fresh quote through the rule owner's login
+async function latestPrice(symbol, rule) {
+    const tick = marketStream.status === 'connected' ? marketStream.getSymbol(symbol)?.lastTick : null;
+    if (tick) {
+        return tick.lastPrice;
+    }
+
+    if (!await ensureValidToken(ownerOf(rule))) {
+        throw new Error('Not authenticated or session expired');
+    }
+    return (await fetchQuote(accountFor(ownerOf(rule)), symbol)).lastPrice;
+}
+
+// MCP levels an alert rule watches, from its params (interval, lookbackDays and MCP options)
+async function loadAlertLevels(rule) {
+    if (!await ensureValidToken(ownerOf(rule))) {
+        throw new Error('Not authenticated or session expired');
+    }
+
+    const mcpOptions = parseMCPOptions(rule.params);
+    const { from, to } = lookbackRange(rule.params.lookbackDays || 30);
+    const dataPoints = await fetchDataPoints(accountFor(ownerOf(rule)), rule.symbol, rule.params.interval || '1D', from, to);
+
+    if (rule.levelSource === 'levels') {
+        return calculateMCPLevels(dataPoints, mcpOptions.levels || 5, mcpOptions);
+    }
+
+    const mcp = calculateMCP(dataPoints, mcpOptions);
+    return mcp ? [mcp] : [];
+}
+
+// Where a user's alerts are delivered. Each configured user sets their own destinations;
+// the ones in the environment are only used by the default user of single-user mode
+function alertDestinationsFor(userId) {
+    if (!users.isEnabled()) {
+        return userId === DEFAULT_USER_ID ? destinationsFromEnv() : {};
+    }
+    return users.get(userId)?.alertDestinations || {};
+}
+
+// Alert rules, checked every minute during market hours, notify their owner's destinations.
+// ALERT_NOTIFIERS=mock records alerts in memory instead of sending them
+const alertEngine = new AlertEngine({
+    statePath: path.join(__dirname, 'alerts.json'),
+    log: new DeliveryLog({ filePath: process.env.ALERT_LOG_FILE || path.join(__dirname, 'alert-deliveries.jsonl') }),
+    notifiersFor: owner => notifiersFor(alertDestinationsFor(owner || DEFAULT_USER_ID)),
+    holidays: scheduler.holidays,
+    loadLevels: loadAlertLevels,
+    getPrice: latestPrice,
+    validateParams: parseMCPOptions
+});
+
+// The caller's alert rules
+function callerRules(req) {
+    return alertEngine.listRules().filter(rule => ownerOf(rule) === req.user.id);
+}
+
+// The alert rule named in the path, when it belongs to the caller
+function callerRule(req) {
+    const rule = alertEngine.getRule(req.params.id);
+    return rule && ownerOf(rule) === req.user.id ? rule : null;
+}
+
+// The caller's rules with their last check and trigger, plus the caller's notifier channels
+app.get('/alerts/rules', requireRole('analyst'), (req, res) => {
+    res.json({
+        notifiers: alertEngine.listNotifiers(req.user.id),
+        rules: callerRules(req)
+    });
+});
+
+// The caller's alert destinations and the channels they enable
+app.get('/alerts/destinations', requireRole('analyst'), (req, res) => {
+    res.json({
+        destinations: alertDestinationsFor(req.user.id),
+        notifiers: alertEngine.listNotifiers(req.user.id)
+    });
+});
+
+// Set the caller's destinations: { webhook: url, email: address, telegram: chat id }.
+// null or '' removes one; channels left out are unchanged
+app.put('/alerts/destinations', requireRole('analyst'), (req, res) => {
+    if (!users.isEnabled()) {
+        return res.status(400).json({ error: 'With no users configured, alert destinations come from ALERT_WEBHOOK_URL, ALERT_EMAIL_TO and TELEGRAM_CHAT_ID' });
+    }
+
+    try {
+        users.update(req.user.id, { alertDestinations: req.body });
+        res.json({
+            destinations: alertDestinationsFor(req.user.id),
+            notifiers: alertEngine.listNotifiers(req.user.id)
+        });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Alert destinations error:', error.message);
+        res.status(500).json({ error: 'Failed to save alert destinations' });
+    }
+});
+
+app.post('/alerts/rules', requireRole('analyst'), resolveInstruments('body', 'symbol'), (req, res) => {
+    try {
+        res.status(201).json(alertEngine.createRule(req.body, req.user.id));
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Alert rule creation error:', error.message);
+        res.status(500).json({ error: 'Failed to create alert rule' });
+    }
+});
+
+// Check the caller's enabled rules now, whether or not the market is open. Waits for a
+// scheduled check in progress rather than overlapping it
+app.post('/alerts/check', requireRole('analyst'), async (req, res) => {
+    try {
+        res.json({ results: await alertEngine.checkAll(new Date(), callerRules(req)) });
+    } catch (error) {
+        console.error('Alert check error:', error.message);
+        res.status(500).json({ error: 'Failed to check alert rules' });
+    }
+});
+
+app.get('/alerts/rules/:id', requireRole('analyst'), (req, res) => {
+    const rule = callerRule(req);
+
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json(rule);
+});
+
+app.put('/alerts/rules/:id', requireRole('analyst'), resolveInstruments('body', 'symbol'), (req, res) => {
+    if (!callerRule(req)) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    try {
+        const rule = alertEngine.updateRule(req.params.id, req.body);
+
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        res.json(rule);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Alert rule update error:', error.message);
+        res.status(500).json({ error: 'Failed to update alert rule' });
+    }
+});
+
+app.delete('/alerts/rules/:id', requireRole('analyst'), (req, res) => {
+    if (!callerRule(req) || !alertEngine.deleteRule(req.params.id)) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+
+    res.json({ success: true, message: 'Alert rule deleted' });
+});
+
+// Dry-run a rule, optionally against a given price instead of the live one.
+// The cooldown is ignored and notifications are only sent with notify: true
+app.post('/alerts/rules/:id/test', requireRole('analyst'), async (req, res) => {
+    const rule = callerRule(req);
+    const { price, notify } = req.body || {};
+
+    if (!rule) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    if (price !== undefined && !(Number(price) > 0)) {
+        return res.status(400).json({ error: 'price must be a positive number' });
+    }
+
+    try {
+        res.json(await alertEngine.checkRule(rule, {
+            price: price !== undefined ? Number(price) : null,
+            test: true,
+            notify: notify === true
+        }));
+    } catch (error) {
+        console.error('Alert rule test error:', error.response?.data || error.message);
+        res.status(500).json({ error: 'Failed to test alert rule' });
+    }
+});
+
+// Notification attempts for the caller's rules, newest first
+app.get('/alerts/deliveries', requireRole('analyst'), (req, res) => {
+    const { ruleId, channel, status, limit } = req.query;
+
+    try {
+        const ruleIds = callerRules(req).map(rule => rule.id);
+        const entries = alertEngine.log.query({ ruleId, ruleIds, channel, status, limit });
+        res.json({ count: entries.length, entries });
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Alert delivery log error:', error.message);
+        res.status(500).json({ error: 'Failed to read alert deliveries' });
+    }
+});
+
+// Backtest a strategy against a local candle file: /backtest/mcp, /backtest/mcp-breakout, ...
+app.post('/backtest/:name', requireRole('analyst'), strategyFrom, mcpOptionsFrom('body'), (req, res) => {
+    const { candleFile, candles, allowShort } = req.body;
+
+    if (!candleFile && !Array.isArray(candles)) {
+        return res.status(400).json({ error: 'Provide a candleFile or a candles array' });
+    }
+
+    let options;
+    try {
+        options = parseBacktestOptions(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    let rawCandles;
+    try {
+        rawCandles = candleFile ? loadCandleFile(candleFile) : candles;
+    } catch (error) {
+        // The error names paths on the server, so it is only logged
+        console.error('Candle file error:', error.message);
+        return res.status(400).json({ error: `Failed to load candle file ${candleFile}` });
+    }
+
+    const dataPoints = toDataPoints(rawCandles);
+    const lookbackBars = options.lookback || 30;
+
+    if (dataPoints.length <= lookbackBars) {
+        return res.status(400).json({ error: `Need more than ${lookbackBars} candles to backtest` });
+    }
+
+    try {
+        const result = runBacktest(dataPoints, req.strategy, {
+            params: req.strategyParams,
+            filters: req.strategyFilters,
+            ...options,
+            lookback: lookbackBars,
+            allowShort,
+            mcpOptions: req.mcpOptions
+        });
+
+        res.json({
+            strategy: req.strategy.label,
+            candleFile: candleFile || null,
+            bars: dataPoints.length,
+            from: dataPoints[0].timestamp,
+            to: dataPoints[dataPoints.length - 1].timestamp,
+            ...result
+        });
+    } catch (error) {
+        console.error('Backtest error:', error.message);
+        res.status(500).json({ error: 'Failed to run backtest' });
+    }
+});
+
+// Model Context Protocol over HTTP/SSE; tool calls are forwarded to this server's own
+// routes with the connecting client's credentials, so their role applies
+mountSSETransport(app, req => createServerCaller(`http://127.0.0.1:${PORT}`, credentialFrom(req)));
+
+// Start the server
+// Listen once the saved Upstox logins are read. When they cannot be (a wrong
+// TOKEN_ENCRYPTION_KEY or a damaged token.json), stop instead of running without them
+sessions.ready
+    .then(() => app.listen(PORT, LISTEN_HOST, () => {
+        console.log(`MCP Server running on ${LISTEN_HOST || 'all interfaces'}, port ${PORT}`);
+        if (LISTEN_HOST) {
+            console.warn(`No users configured: listening on ${LISTEN_HOST} only, where every request runs as the default admin. Add users with \`node users.js add\` or set ALLOW_ANONYMOUS=true to listen on all interfaces`);
+        } else if (!users.isEnabled()) {
+            console.warn('No users configured and ALLOW_ANONYMOUS=true: every request runs as the default admin without credentials. Add users with `node users.js add`');
+        }
+        scheduler.start();
+        refreshHolidays();
+        setInterval(refreshHolidays, HOLIDAY_REFRESH_MS).unref();
+        alertEngine.start();
+    }))
+    .catch(error => {
+        console.error('Error loading Upstox logins:', error.message);
+        console.error(`Fix TOKEN_ENCRYPTION_KEY, or move ${TOKEN_FILE_PATH} aside to start without the saved logins`);
+        process.exit(1);
+    });
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Signed tokens: compact HS256 JSON Web Tokens signed with a server secret. They carry
+// their own expiry, so the server can hand them out without storing them
+const crypto = require('crypto');
+
+const HEADER = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+
+function signature(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest();
+}
+
+// Sign payload as a token that expires ttlSeconds from now
+function signToken(payload, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const body = Buffer.from(JSON.stringify({ ...payload, iat: now, exp: now + ttlSeconds })).toString('base64url');
+    return `${HEADER}.${body}.${signature(`${HEADER}.${body}`, secret).toString('base64url')}`;
+}
+
+// The payload of a token signed with secret, or null when the token is malformed,
+// signed with another secret or expired
+function verifyToken(token, secret) {
+    const [header, body, sig, ...rest] = String(token).split('.');
+    if (header !== HEADER || !body || !sig || rest.length > 0) {
+        return null;
+    }
+
+    const expected = signature(`${header}.${body}`, secret);
+    const actual = Buffer.from(sig, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    return Number.isFinite(payload.exp) && payload.exp > Date.now() / 1000 ? payload : null;
+}
+
+module.exports = {
+    signToken,
+    verifyToken
+};
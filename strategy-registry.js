@@ -0,0 +1,124 @@
+// Strategy registry: trading rules that turn candles, a quote and positions into a signal
+//
+// A strategy module exports { name, label, description, params, usesPosition, evaluate }:
+//   params    numeric parameters as { default, integer, max, description }
+//   usesPosition  true when evaluate reads position; otherwise positions are not fetched
+//             and position is 0
+//   evaluate  ({ symbol, dataPoints, price, position, mcpOptions, params }) -> signal, where
+//             dataPoints are the candles before the decision (oldest first), price is the
+//             current price and position the net quantity held in the symbol. The signal is
+//             { action: 'BUY' | 'SELL' | null, price, level, target, reason, analysis, mcp },
+//             or null when the candles give the strategy nothing to work with (no MCP).
+//             level is the price the stop-loss sits beyond; target is optional
+//
+// The same modules drive /strategy/:name, backtests and scheduled jobs
+const { calculateMCPLevels } = require('./mcp-calculator');
+const { planBracket } = require('./risk-management');
+const { checkIndicatorFilters } = require('./indicator-filters');
+const { ValidationError } = require('./errors');
+
+const strategies = new Map();
+
+function registerStrategy(strategy) {
+    strategies.set(strategy.name, strategy);
+}
+
+function getStrategy(name) {
+    return strategies.get(name) || null;
+}
+
+function strategyNames() {
+    return [...strategies.keys()];
+}
+
+// Registered strategies and their parameters, for discovery
+function listStrategies() {
+    return [...strategies.values()].map(({ name, label, description, params }) => ({ name, label, description, params }));
+}
+
+// Validate a strategy's parameters from a request body or job params, filling in defaults.
+// Fields that are not strategy parameters are ignored. Throws a ValidationError
+// describing the first invalid parameter
+function parseStrategyParams(strategy, params = {}) {
+    return Object.fromEntries(Object.entries(strategy.params).map(([name, spec]) => {
+        if (params[name] === undefined || params[name] === null || params[name] === '') {
+            return [name, spec.default];
+        }
+
+        const value = Number(params[name]);
+        if (!Number.isFinite(value) || value <= 0 || (spec.integer && !Number.isInteger(value))) {
+            throw new ValidationError(`${name} must be a positive ${spec.integer ? 'integer' : 'number'}`);
+        }
+        if (spec.max !== undefined && value > spec.max) {
+            throw new ValidationError(`${name} must be at most ${spec.max}`);
+        }
+        return [name, value];
+    }));
+}
+
+// Evaluate a strategy and hold back a BUY or SELL that fails the context's indicator
+// filters (see parseIndicatorFilters). Filter indicators are calculated over
+// context.history when given, so they can warm up on more candles than the strategy sees,
+// and otherwise over context.dataPoints; context.filterSeries passes series calculated
+// beforehand as { series, index } (see checkIndicatorFilters)
+function evaluateStrategy(strategy, context) {
+    const { dataPoints, history = dataPoints, price, filters = [], filterSeries = null } = context;
+    const signal = strategy.evaluate(context);
+
+    if (!signal?.action || filters.length === 0) {
+        return signal;
+    }
+
+    const check = checkIndicatorFilters(filters, signal.action, history, price, filterSeries);
+    const analysis = { ...signal.analysis, filters: check.results };
+
+    if (check.passed) {
+        return { ...signal, analysis };
+    }
+
+    const failed = check.results.filter(result => !result.passed).map(result => result.filter);
+    return { action: null, reason: `${signal.action} held back by filters: ${failed.join('; ')}`, mcp: signal.mcp, analysis };
+}
+
+// Evaluate a strategy with its filters and, for a BUY or SELL with capital to invest, size
+// the position with a stop-loss and target (see planBracket). Returns null when the strategy
+// has no MCP to work with; a HOLD comes back with action null and a reason
+function generateSignal(strategy, context) {
+    const { dataPoints, mcpOptions, capital, riskOptions } = context;
+    const signal = evaluateStrategy(strategy, context);
+
+    if (!signal || !signal.action || !capital) {
+        return signal;
+    }
+
+    return {
+        ...signal,
+        bracket: planBracket({
+            action: signal.action,
+            entryPrice: signal.price,
+            levelPrice: signal.level,
+            target: signal.target ?? null,
+            levels: calculateMCPLevels(dataPoints, 10, mcpOptions),
+            dataPoints,
+            capital,
+            atrPeriod: mcpOptions.atrPeriod,
+            options: riskOptions
+        })
+    };
+}
+
+[
+    require('./mcp-strategy'),
+    require('./mean-reversion-strategy'),
+    require('./breakout-strategy')
+].forEach(registerStrategy);
+
+module.exports = {
+    registerStrategy,
+    getStrategy,
+    strategyNames,
+    listStrategies,
+    parseStrategyParams,
+    evaluateStrategy,
+    generateSignal
+};
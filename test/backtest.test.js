@@ -0,0 +1,132 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError } = require('../errors');
+
+// Candle files are read from a temporary CANDLE_DATA_DIR, fixed when backtest.js loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-test-'));
+process.env.CANDLE_DATA_DIR = dataDir;
+const { loadCandleFile, parseBacktestOptions, runBacktest } = require('../backtest');
+
+// Bars opening at 100, 101, 102, ... and closing half a point higher
+function risingBars(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        timestamp: new Date(Date.UTC(2025, 0, 1 + i)),
+        open: 100 + i,
+        high: 101 + i,
+        low: 99 + i,
+        close: 100.5 + i,
+        volume: 1000
+    }));
+}
+
+// Strategy that returns the action scripted for the current price, recording what it saw
+function scriptedStrategy(actions) {
+    const seen = [];
+    return {
+        seen,
+        evaluate: ({ dataPoints, price, position }) => {
+            seen.push({ dataPoints, price, position });
+            return actions[price] ? { action: actions[price] } : { action: null };
+        }
+    };
+}
+
+describe('loadCandleFile', () => {
+    before(() => {
+        fs.writeFileSync(path.join(dataDir, 'bars.csv'), 'timestamp,open,high,low,close,volume\n2025-01-01,1,2,0.5,1.5,10\n\n2025-01-02,1.5,3,1,2.5,20\n');
+        fs.writeFileSync(path.join(dataDir, 'bars.json'), JSON.stringify({ status: 'success', data: { candles: [['2025-01-01', 1, 2, 0.5, 1.5, 10, 0]] } }));
+    });
+
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    test('reads a CSV without its header and blank lines', () => {
+        assert.deepEqual(loadCandleFile('bars.csv'), [
+            ['2025-01-01', '1', '2', '0.5', '1.5', '10'],
+            ['2025-01-02', '1.5', '3', '1', '2.5', '20']
+        ]);
+    });
+
+    test('reads the Upstox historical candle response', () => {
+        assert.deepEqual(loadCandleFile('bars.json'), [['2025-01-01', 1, 2, 0.5, 1.5, 10, 0]]);
+    });
+
+    test('refuses files outside the candle data directory', () => {
+        assert.throws(() => loadCandleFile('../secrets.json'), /must be inside/);
+    });
+});
+
+describe('parseBacktestOptions', () => {
+    test('converts the numeric options and leaves out the rest', () => {
+        assert.deepEqual(parseBacktestOptions({ lookback: '20', commissionRate: 0, initialCapital: '', periodsPerYear: null }), {
+            lookback: 20,
+            commissionRate: 0
+        });
+    });
+
+    test('rejects invalid options with a ValidationError', () => {
+        const invalid = [
+            { lookback: 2.5 },
+            { lookback: 0 },
+            { initialCapital: -1 },
+            { investmentAmount: 'all' },
+            { periodsPerYear: Infinity },
+            { commissionRate: 1 },
+            { commissionRate: -0.1 }
+        ];
+
+        invalid.forEach(body => assert.throws(() => parseBacktestOptions(body), ValidationError, JSON.stringify(body)));
+    });
+});
+
+describe('runBacktest', () => {
+    test('shows the strategy only the bars before the current one', () => {
+        const bars = risingBars(6);
+        const strategy = scriptedStrategy({});
+
+        runBacktest(bars, strategy, { lookback: 2 });
+
+        assert.equal(strategy.seen.length, 4);
+        strategy.seen.forEach(({ dataPoints, price }, i) => {
+            assert.equal(dataPoints.length, 2);
+            assert.equal(price, bars[i + 2].open);
+            assert.ok(dataPoints.every(point => point.timestamp < bars[i + 2].timestamp));
+        });
+    });
+
+    test('fills at the bar open and closes on the opposite signal', () => {
+        const strategy = scriptedStrategy({ 102: 'BUY', 104: 'SELL' });
+        const { summary, trades } = runBacktest(risingBars(6), strategy, { lookback: 2, initialCapital: 1000 });
+
+        assert.equal(trades.length, 1);
+        assert.deepEqual(
+            { side: trades[0].side, quantity: trades[0].quantity, entryPrice: trades[0].entryPrice, exitPrice: trades[0].exitPrice, exitReason: trades[0].exitReason, pnl: trades[0].pnl },
+            { side: 'BUY', quantity: 9, entryPrice: 102, exitPrice: 104, exitReason: 'signal', pnl: 18 }
+        );
+        assert.equal(summary.finalEquity, 1018);
+        assert.equal(summary.totalTrades, 1);
+        assert.equal(summary.winRatePct, 100);
+        assert.equal(strategy.seen.find(call => call.price === 103).position, 9);
+    });
+
+    test('opens shorts only with allowShort', () => {
+        const longOnly = runBacktest(risingBars(6), scriptedStrategy({ 102: 'SELL' }), { lookback: 2, initialCapital: 1000 });
+        const short = runBacktest(risingBars(6), scriptedStrategy({ 102: 'SELL' }), { lookback: 2, initialCapital: 1000, allowShort: true });
+
+        assert.equal(longOnly.trades.length, 0);
+        assert.equal(short.trades.length, 1);
+        assert.equal(short.trades[0].side, 'SELL');
+        assert.equal(short.trades[0].exitReason, 'end');
+        assert.equal(short.trades[0].exitPrice, 105.5);
+        assert.equal(short.trades[0].pnl, 9 * (102 - 105.5));
+    });
+
+    test('charges commission on entry and exit', () => {
+        const strategy = scriptedStrategy({ 102: 'BUY', 104: 'SELL' });
+        const { trades } = runBacktest(risingBars(6), strategy, { lookback: 2, initialCapital: 1000, commissionRate: 0.01 });
+
+        assert.equal(trades[0].pnl, 18 - 9 * 102 * 0.01 - 9 * 104 * 0.01);
+    });
+});
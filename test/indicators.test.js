@@ -0,0 +1,129 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../errors');
+const indicators = require('../indicators');
+
+// Compare floating point results to a few decimal places
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} is not close to ${expected}`);
+}
+
+function bar(high, low, close, volume = 100) {
+    return { high, low, close, open: close, volume };
+}
+
+describe('moving averages', () => {
+    test('sma averages the last period values', () => {
+        assert.deepEqual(indicators.sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+    });
+
+    test('ema is seeded with the sma of the first period values', () => {
+        assert.deepEqual(indicators.ema([2, 4, 6, 8, 12], 3), [null, null, 4, 6, 9]);
+    });
+});
+
+describe('true range and atr', () => {
+    const bars = [bar(10, 8, 9), bar(12, 10, 11), bar(11, 7, 8)];
+
+    test('trueRange includes gaps from the previous close', () => {
+        assert.deepEqual(indicators.trueRange(bars), [2, 3, 4]);
+    });
+
+    test('atr uses Wilder smoothing', () => {
+        assert.deepEqual(indicators.atr(bars, 2), [null, 2.5, 3.25]);
+        assert.equal(indicators.latestATR(bars, 2), 3.25);
+    });
+
+    test('latestATR falls back to the mean true range for short data', () => {
+        assert.equal(indicators.latestATR(bars, 5), 3);
+    });
+});
+
+describe('rsi', () => {
+    test('follows Wilder smoothing of gains and losses', () => {
+        assert.deepEqual(indicators.rsi([1, 2, 1, 2, 1], 2), [null, null, 50, 75, 37.5]);
+    });
+
+    test('is 100 without losses and 50 when flat', () => {
+        assert.equal(indicators.rsi([1, 2, 3, 4], 2)[3], 100);
+        assert.equal(indicators.rsi([5, 5, 5, 5], 2)[3], 50);
+    });
+});
+
+describe('macd', () => {
+    test('starts the signal line where the macd line starts', () => {
+        const result = indicators.macd([1, 2, 3, 4, 5, 6], 2, 3, 2);
+
+        assert.equal(result[1], null);
+        assertClose(result[2].macd, 0.5);
+        assert.equal(result[2].signal, null);
+        assert.equal(result[2].histogram, null);
+        assertClose(result[5].signal, 0.5);
+        assertClose(result[5].histogram, 0);
+    });
+});
+
+describe('bollinger', () => {
+    test('puts the bands stdDev population deviations from the sma', () => {
+        const bands = indicators.bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+
+        assert.equal(bands[6], null);
+        assert.deepEqual(bands[7], { upper: 9, middle: 5, lower: 1 });
+    });
+});
+
+describe('supertrend', () => {
+    test('trails an uptrend and flips when price closes through the band', () => {
+        const bars = [];
+        for (let i = 0; i < 8; i++) {
+            bars.push(bar(101 + i, 99 + i, 100.8 + i));
+        }
+        bars.push(bar(100, 90, 90.5), bar(91, 85, 85.5));
+
+        const result = indicators.supertrend(bars, 3, 1);
+
+        assert.equal(result[1], null);
+        assert.equal(result[7].direction, 1);
+        assert.ok(result[7].value < bars[7].close);
+        assert.equal(result[9].direction, -1);
+        assert.ok(result[9].value > bars[9].close);
+    });
+});
+
+describe('vwap and median', () => {
+    test('vwap weights typical prices by volume from the first bar', () => {
+        const result = indicators.vwap([bar(12, 6, 9, 100), bar(15, 9, 12, 300)]);
+
+        assert.deepEqual(result, [9, (9 * 100 + 12 * 300) / 400]);
+    });
+
+    test('median handles odd and even counts', () => {
+        assert.equal(indicators.median([3, 1, 2]), 2);
+        assert.equal(indicators.median([4, 1, 3, 2]), 2.5);
+    });
+});
+
+describe('parseIndicatorSpec', () => {
+    test('fills in default parameters', () => {
+        assert.deepEqual(indicators.parseIndicatorSpec(' RSI '), { key: 'rsi:14', name: 'rsi', params: [14] });
+        assert.equal(indicators.parseIndicatorSpec('macd:5').key, 'macd:5:26:9');
+        assert.equal(indicators.parseIndicatorSpec('bollinger:20:2.5').key, 'bollinger:20:2.5');
+    });
+
+    test('rejects unknown indicators and invalid parameters', () => {
+        ['foo', 'rsi:14:2', 'rsi:2.5', 'sma:0', 'macd:26:12'].forEach(spec =>
+            assert.throws(() => indicators.parseIndicatorSpec(spec), ValidationError, spec));
+    });
+});
+
+describe('computeIndicators', () => {
+    test('returns one series per spec key', () => {
+        const bars = [bar(10, 8, 9), bar(12, 10, 11), bar(11, 7, 8)];
+        const specs = ['sma:2', 'atr:2'].map(indicators.parseIndicatorSpec);
+
+        assert.deepEqual(indicators.computeIndicators(bars, specs), {
+            'sma:2': [null, 10, 9.5],
+            'atr:2': [null, 2.5, 3.25]
+        });
+    });
+});
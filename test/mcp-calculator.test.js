@@ -0,0 +1,129 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../errors');
+const {
+    DEFAULT_MCP_OPTIONS,
+    toDataPoints,
+    parseMCPOptions,
+    calculateMCP,
+    calculateMCPLevels
+} = require('../mcp-calculator');
+
+// Data points closing at the given prices, one day apart
+function pointsFor(closes) {
+    return closes.map((close, i) => ({
+        timestamp: new Date(Date.UTC(2025, 0, 1 + i)),
+        open: close,
+        high: close + 1,
+        low: close - 1,
+        close,
+        volume: 1000,
+        price: close
+    }));
+}
+
+// Swings between 95 and 105 around a mean of 100, crossing it on every bar after the first
+const SWINGS = [100, 105, 95, 105, 95, 105, 95, 105];
+
+describe('toDataPoints', () => {
+    test('parses Upstox candles and sorts them oldest first', () => {
+        const points = toDataPoints([
+            ['2025-01-02T00:00:00+05:30', '10', '12', '9', '11', '500', '0'],
+            ['2025-01-01T00:00:00+05:30', '8', '10', '7', '9', '400', '0']
+        ]);
+
+        assert.deepEqual(points.map(point => point.close), [9, 11]);
+        assert.equal(points[1].high, 12);
+        assert.equal(points[1].volume, 500);
+        assert.equal(points[1].price, points[1].close);
+    });
+});
+
+describe('parseMCPOptions', () => {
+    test('returns the defaults when nothing is set', () => {
+        assert.deepEqual(parseMCPOptions({}), DEFAULT_MCP_OPTIONS);
+    });
+
+    test('accepts string values from a query string', () => {
+        const options = parseMCPOptions({ toleranceType: 'ATR', tolerance: '0.5', atrPeriod: '10', levels: '3' });
+
+        assert.equal(options.toleranceType, 'atr');
+        assert.equal(options.tolerance, 0.5);
+        assert.equal(options.atrPeriod, 10);
+        assert.equal(options.levels, 3);
+    });
+
+    test('gives the ema reference line a default period', () => {
+        assert.equal(parseMCPOptions({ reference: 'ema' }).referencePeriod, 20);
+    });
+
+    test('rejects invalid parameters with a ValidationError', () => {
+        const invalid = [
+            { toleranceType: 'percent' },
+            { toleranceType: 'absolute' },
+            { tolerance: 1.5 },
+            { tolerance: -1 },
+            { reference: 'vwap', referencePeriod: 10 },
+            { referencePeriod: 2.5 },
+            { halfLife: 10 },
+            { levels: 0 }
+        ];
+
+        invalid.forEach(params => assert.throws(() => parseMCPOptions(params), ValidationError, JSON.stringify(params)));
+    });
+});
+
+describe('calculateMCP', () => {
+    test('returns null without data', () => {
+        assert.equal(calculateMCP([]), null);
+        assert.equal(calculateMCP(null), null);
+    });
+
+    test('picks the pivot price with the most connected closes', () => {
+        const mcp = calculateMCP(pointsFor(SWINGS));
+
+        assert.equal(mcp.price, 105);
+        assert.equal(mcp.connections, 4);
+        assert.deepEqual(mcp.timestamp, new Date(Date.UTC(2025, 0, 2)));
+    });
+
+    test('adds a weighted score under volume scoring', () => {
+        const points = pointsFor(SWINGS);
+        points.forEach((point, i) => {
+            point.volume = point.close === 95 ? 10000 : i === 0 ? 1000 : 100;
+        });
+
+        const mcp = calculateMCP(points, parseMCPOptions({ scoring: 'volume' }));
+
+        assert.equal(mcp.price, 95);
+        assert.equal(mcp.connections, 3);
+        assert.equal(mcp.scoring, 'volume');
+        assert.ok(mcp.score > 3);
+    });
+});
+
+describe('calculateMCPLevels', () => {
+    test('ranks distinct levels by strength with their side and touches', () => {
+        const levels = calculateMCPLevels(pointsFor(SWINGS), 5);
+
+        assert.deepEqual(levels.map(level => level.price), [105, 95]);
+        assert.deepEqual(levels.map(level => level.strength), [100, 75]);
+        assert.deepEqual(levels.map(level => level.pivots), [4, 3]);
+        assert.deepEqual(levels[0].touches, { support: 0, resistance: 4 });
+        assert.deepEqual(levels[1].touches, { support: 3, resistance: 0 });
+        assert.equal(levels[0].side, 'support');
+        assert.equal(levels[1].side, 'support');
+    });
+
+    test('merges pivots within the tolerance into one level', () => {
+        const levels = calculateMCPLevels(pointsFor([100, 105, 95, 105.05, 95, 105]), 5);
+
+        assert.equal(levels.length, 2);
+        assert.equal(levels.find(level => level.price >= 105).pivots, 3);
+    });
+
+    test('returns at most count levels', () => {
+        assert.equal(calculateMCPLevels(pointsFor(SWINGS), 1).length, 1);
+        assert.deepEqual(calculateMCPLevels([], 5), []);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError } = require('../errors');
+const { MAX_TAG_LENGTH, parseOrderRequest, parseOrderChanges, toPlaceOrderRequest } = require('../order-request');
+
+function order(changes = {}) {
+    return { symbol: 'NSE_EQ|A', quantity: 10, side: 'BUY', orderType: 'MARKET', ...changes };
+}
+
+// Fields named by the ValidationError a body fails with
+function invalidFields(body) {
+    try {
+        parseOrderRequest(body);
+    } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        return error.issues.map(issue => issue.field);
+    }
+    assert.fail(`${JSON.stringify(body)} was accepted`);
+}
+
+describe('parseOrderRequest', () => {
+    test('fills in defaults and nulls prices that do not apply', () => {
+        assert.deepEqual(parseOrderRequest(order({ symbol: ' NSE_EQ|A ' })), {
+            symbol: 'NSE_EQ|A',
+            quantity: 10,
+            side: 'BUY',
+            orderType: 'MARKET',
+            product: 'D',
+            validity: 'DAY',
+            price: null,
+            triggerPrice: null,
+            disclosedQuantity: 0,
+            isAmo: false,
+            tag: null
+        });
+    });
+
+    test('requires a price for LIMIT and SL orders and none for MARKET and SL-M', () => {
+        assert.deepEqual(invalidFields(order({ orderType: 'LIMIT' })), ['price']);
+        assert.deepEqual(invalidFields(order({ price: 100 })), ['price']);
+        assert.deepEqual(invalidFields(order({ orderType: 'SL-M', price: 100, triggerPrice: 99 })), ['price']);
+        assert.equal(parseOrderRequest(order({ orderType: 'LIMIT', price: 100 })).price, 100);
+    });
+
+    test('checks the trigger price of stop orders against the side', () => {
+        assert.deepEqual(invalidFields(order({ orderType: 'SL-M' })), ['triggerPrice']);
+        assert.deepEqual(invalidFields(order({ orderType: 'SL', price: 100, triggerPrice: 101 })), ['triggerPrice']);
+        assert.deepEqual(invalidFields(order({ orderType: 'SL', side: 'SELL', price: 100, triggerPrice: 99 })), ['triggerPrice']);
+        assert.deepEqual(invalidFields(order({ triggerPrice: 99 })), ['triggerPrice']);
+        assert.equal(parseOrderRequest(order({ orderType: 'SL', price: 100, triggerPrice: 99 })).triggerPrice, 99);
+    });
+
+    test('requires a stop-loss trigger on cover orders', () => {
+        assert.deepEqual(invalidFields(order({ product: 'CO' })), ['triggerPrice']);
+        assert.deepEqual(invalidFields(order({ product: 'CO', triggerPrice: 95, isAmo: true })), ['isAmo']);
+        assert.deepEqual(invalidFields(order({ product: 'CO', orderType: 'SL-M', triggerPrice: 95 })), ['orderType']);
+        assert.equal(parseOrderRequest(order({ product: 'CO', triggerPrice: 95 })).triggerPrice, 95);
+    });
+
+    test('limits the disclosed quantity and the tag', () => {
+        assert.deepEqual(invalidFields(order({ disclosedQuantity: 11 })), ['disclosedQuantity']);
+        assert.deepEqual(invalidFields(order({ disclosedQuantity: 5, validity: 'IOC' })), ['disclosedQuantity']);
+        assert.deepEqual(invalidFields(order({ tag: 'x'.repeat(MAX_TAG_LENGTH + 1) })), ['tag']);
+    });
+
+    test('lists every invalid field in the error', () => {
+        assert.deepEqual(invalidFields({ symbol: '', quantity: 1.5, side: 'HOLD', orderType: 'MARKET' }).sort(), ['quantity', 'side', 'symbol']);
+        assert.throws(() => parseOrderRequest(undefined), /^ValidationError: Invalid order: /);
+    });
+});
+
+describe('parseOrderChanges', () => {
+    test('keeps only the fields given', () => {
+        assert.deepEqual(parseOrderChanges({ price: 101.5 }), { price: 101.5 });
+        assert.deepEqual(parseOrderChanges(undefined), {});
+    });
+
+    test('rejects invalid changes', () => {
+        assert.throws(() => parseOrderChanges({ quantity: 0 }), ValidationError);
+        assert.throws(() => parseOrderChanges({ orderType: 'STOP' }), ValidationError);
+    });
+});
+
+describe('toPlaceOrderRequest', () => {
+    test('maps an order request to the SDK fields with zero for unused prices', () => {
+        assert.deepEqual(toPlaceOrderRequest(parseOrderRequest(order())), {
+            instrumentToken: 'NSE_EQ|A',
+            transactionType: 'BUY',
+            orderType: 'MARKET',
+            quantity: 10,
+            product: 'D',
+            validity: 'DAY',
+            price: 0,
+            triggerPrice: 0,
+            disclosedQuantity: 0,
+            isAmo: false
+        });
+    });
+
+    test('passes the prices and tag through', () => {
+        const request = toPlaceOrderRequest(parseOrderRequest(order({
+            orderType: 'SL',
+            side: 'SELL',
+            price: 99,
+            triggerPrice: 100,
+            product: 'I',
+            tag: 'mcp'
+        })));
+
+        assert.equal(request.price, 99);
+        assert.equal(request.triggerPrice, 100);
+        assert.equal(request.product, 'I');
+        assert.equal(request.tag, 'mcp');
+    });
+});
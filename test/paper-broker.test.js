@@ -0,0 +1,185 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ValidationError } = require('../errors');
+const { ORDER_STATUS, PaperBroker } = require('../paper-broker');
+
+const SYMBOL = 'NSE_EQ|A';
+
+function order(changes = {}) {
+    return { symbol: SYMBOL, quantity: 10, side: 'BUY', orderType: 'MARKET', ...changes };
+}
+
+function place(broker, orderRequest, quote, bracket) {
+    return broker.getOrder(broker.placeOrder(orderRequest, quote, bracket).order_id);
+}
+
+describe('PaperBroker orders', () => {
+    test('fills market orders at the last price and tracks the position', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const filled = place(broker, order(), { lastPrice: 100 });
+
+        assert.equal(filled.status, ORDER_STATUS.COMPLETE);
+        assert.equal(filled.average_price, 100);
+        assert.equal(broker.cash, 9000);
+
+        broker.updateQuote(SYMBOL, { lastPrice: 110 });
+        const [position] = broker.getPositions().data;
+        assert.equal(position.instrument_token, SYMBOL);
+        assert.equal(position.quantity, 10);
+        assert.equal(position.unrealised, 100);
+        assert.equal(broker.getAccount().equity, 10100);
+    });
+
+    test('rests limit orders until the price reaches them and fills at the better price', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const limit = place(broker, order({ orderType: 'LIMIT', price: 95 }), { lastPrice: 100 });
+
+        assert.equal(limit.status, ORDER_STATUS.OPEN);
+        broker.updateQuote(SYMBOL, { lastPrice: 96, high: 97, low: 94 });
+        assert.equal(limit.status, ORDER_STATUS.COMPLETE);
+        assert.equal(limit.average_price, 95);
+
+        const marketable = place(broker, order({ orderType: 'LIMIT', price: 99 }), { lastPrice: 97 });
+        assert.equal(marketable.average_price, 97);
+    });
+
+    test('waits for the trigger of stop orders', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const stop = place(broker, order({ orderType: 'SL-M', triggerPrice: 105 }), { lastPrice: 100 });
+
+        assert.equal(stop.status, ORDER_STATUS.TRIGGER_PENDING);
+        broker.updateQuote(SYMBOL, { lastPrice: 106 });
+        assert.equal(stop.status, ORDER_STATUS.COMPLETE);
+        assert.equal(stop.average_price, 106);
+    });
+
+    test('rejects invalid orders and buys the cash cannot cover', () => {
+        const broker = new PaperBroker({ initialCash: 500 });
+
+        assert.equal(place(broker, order({ orderType: 'LIMIT' }), { lastPrice: 100 }).status_message, 'LIMIT orders require a price');
+        assert.equal(place(broker, order({ quantity: 1.5 }), { lastPrice: 100 }).status, ORDER_STATUS.REJECTED);
+
+        const tooBig = place(broker, order(), { lastPrice: 100 });
+        assert.equal(tooBig.status, ORDER_STATUS.REJECTED);
+        assert.equal(tooBig.status_message, 'Insufficient funds');
+        assert.equal(broker.cash, 500);
+    });
+
+    test('realises profit when a position is closed', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        place(broker, order(), { lastPrice: 100 });
+        place(broker, order({ side: 'SELL' }), { lastPrice: 120 });
+
+        const [position] = broker.getPositions().data;
+        assert.equal(position.quantity, 0);
+        assert.equal(position.realised, 200);
+        assert.equal(broker.cash, 10200);
+        assert.equal(broker.getTrades().length, 2);
+    });
+});
+
+describe('PaperBroker brackets', () => {
+    test('places OCO exit legs once the entry fills and cancels the other leg', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const entry = place(broker, order(), { lastPrice: 100 }, { stopLoss: 95, target: 110 });
+        const legs = broker.getOrders().filter(candidate => candidate.parent_order_id === entry.order_id);
+
+        assert.deepEqual(legs.map(leg => [leg.leg, leg.transaction_type, leg.status]), [
+            ['STOPLOSS', 'SELL', ORDER_STATUS.TRIGGER_PENDING],
+            ['TARGET', 'SELL', ORDER_STATUS.OPEN]
+        ]);
+
+        broker.updateQuote(SYMBOL, { lastPrice: 111 });
+        assert.equal(legs[1].status, ORDER_STATUS.COMPLETE);
+        assert.equal(legs[0].status, ORDER_STATUS.CANCELLED);
+        assert.equal(broker.getPositions().data[0].quantity, 0);
+    });
+
+    test('gives a cover order a stop-loss leg only', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const entry = place(broker, order({ product: 'CO', triggerPrice: 95 }), { lastPrice: 100 });
+        const legs = broker.getOrders().filter(candidate => candidate.parent_order_id === entry.order_id);
+
+        assert.deepEqual(legs.map(leg => leg.leg), ['STOPLOSS']);
+    });
+});
+
+describe('PaperBroker modify and cancel', () => {
+    test('modifies a pending order and matches it again', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const limit = place(broker, order({ orderType: 'LIMIT', price: 90 }), { lastPrice: 100 });
+
+        broker.modifyOrder(limit.order_id, { price: 100 });
+        assert.equal(limit.status, ORDER_STATUS.COMPLETE);
+        assert.throws(() => broker.modifyOrder(limit.order_id, { price: 95 }), ValidationError);
+        assert.equal(broker.modifyOrder('PAPER-UNKNOWN', { price: 95 }), null);
+    });
+
+    test('rejects invalid changes without touching the order', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const limit = place(broker, order({ orderType: 'LIMIT', price: 90 }), { lastPrice: 100 });
+
+        assert.throws(() => broker.modifyOrder(limit.order_id, { quantity: 0 }), ValidationError);
+        assert.equal(limit.quantity, 10);
+    });
+
+    test('cancels pending orders only', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        const limit = place(broker, order({ orderType: 'LIMIT', price: 90 }), { lastPrice: 100 });
+
+        broker.cancelOrder(limit.order_id);
+        assert.equal(limit.status, ORDER_STATUS.CANCELLED);
+        assert.throws(() => broker.cancelOrder(limit.order_id), ValidationError);
+    });
+});
+
+describe('PaperBroker funds', () => {
+    test('holds cash for pending entry orders in both segments', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        place(broker, order({ orderType: 'LIMIT', price: 90 }), { lastPrice: 100 });
+
+        const funds = broker.getFunds();
+        assert.equal(funds.equity.used_margin, 900);
+        assert.equal(funds.equity.available_margin, 9100);
+        assert.deepEqual(funds.commodity, funds.equity);
+    });
+
+    test('asks no margin for the part of an order that closes a position', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        place(broker, order(), { lastPrice: 100 });
+
+        const margin = broker.estimateMargin([{ symbol: SYMBOL, quantity: 15, side: 'SELL' }]);
+        assert.equal(margin.final_margin, 500);
+    });
+
+    test('holds no cash for bracket exit legs', () => {
+        const broker = new PaperBroker({ initialCash: 10000 });
+        place(broker, order(), { lastPrice: 100 }, { stopLoss: 95, target: 110 });
+
+        assert.equal(broker.getFunds().equity.used_margin, 0);
+    });
+});
+
+describe('PaperBroker persistence', () => {
+    test('restores orders, positions and cash from the state file', () => {
+        const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'paper-test-')), 'paper-state.json');
+
+        try {
+            const broker = new PaperBroker({ initialCash: 10000, statePath });
+            place(broker, order(), { lastPrice: 100 });
+
+            const restored = new PaperBroker({ initialCash: 10000, statePath });
+            assert.equal(restored.cash, 9000);
+            assert.equal(restored.getOrders().length, 1);
+            assert.equal(restored.getPositions().data[0].quantity, 10);
+
+            restored.reset();
+            assert.equal(new PaperBroker({ initialCash: 10000, statePath }).cash, 10000);
+        } finally {
+            fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+        }
+    });
+});
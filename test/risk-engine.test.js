@@ -0,0 +1,135 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RiskCheckError } = require('../errors');
+const { DEFAULT_PRICE_BAND, riskLimitsFromEnv, RiskEngine } = require('../risk-engine');
+
+const NO_LIMITS = riskLimitsFromEnv({ PRICE_BAND: '0' });
+
+function engineWith(limits) {
+    return new RiskEngine({ limits: { ...NO_LIMITS, ...limits } });
+}
+
+function order(changes = {}) {
+    return { symbol: 'NSE_EQ|A', quantity: 10, side: 'BUY', price: 0, ...changes };
+}
+
+// Names of the checks an order fails
+function failedChecks(engine, orderRequest, context) {
+    return engine.checkOrder(orderRequest, context).map(violation => violation.check);
+}
+
+describe('riskLimitsFromEnv', () => {
+    test('leaves unset limits unchecked and applies the default price band', () => {
+        assert.deepEqual(riskLimitsFromEnv({}), {
+            maxOrderValue: null,
+            maxQuantityPerSymbol: null,
+            maxOpenPositions: null,
+            dailyLossLimit: null,
+            allowedSymbols: null,
+            priceBand: DEFAULT_PRICE_BAND
+        });
+    });
+
+    test('parses limits and the allowed symbol list', () => {
+        const limits = riskLimitsFromEnv({ MAX_ORDER_VALUE: '50000', MAX_OPEN_POSITIONS: '-1', ALLOWED_SYMBOLS: ' NSE_EQ|A, NSE_EQ|B ,', PRICE_BAND: '0' });
+
+        assert.equal(limits.maxOrderValue, 50000);
+        assert.equal(limits.maxOpenPositions, null);
+        assert.deepEqual(limits.allowedSymbols, ['NSE_EQ|A', 'NSE_EQ|B']);
+        assert.equal(limits.priceBand, null);
+    });
+});
+
+describe('RiskEngine.checkOrder', () => {
+    test('passes an order when no limit is set', () => {
+        assert.deepEqual(engineWith({}).checkOrder(order(), { lastPrice: 100 }), []);
+    });
+
+    test('values market orders at the last price and limit orders at their price', () => {
+        const engine = engineWith({ maxOrderValue: 1000 });
+
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 100 }), []);
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 101 }), ['maxOrderValue']);
+        assert.deepEqual(failedChecks(engine, order({ price: 99 }), { lastPrice: 101 }), []);
+    });
+
+    test('blocks symbols outside the allowed list', () => {
+        const engine = engineWith({ allowedSymbols: ['NSE_EQ|B'] });
+
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 100 }), ['allowedSymbols']);
+    });
+
+    test('limits the resulting position but lets it be reduced', () => {
+        const engine = engineWith({ maxQuantityPerSymbol: 15 });
+        const positions = [{ instrument_token: 'NSE_EQ|A', quantity: 20, pnl: 0 }];
+
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 100 }), []);
+        assert.deepEqual(failedChecks(engine, order({ quantity: 16 }), { lastPrice: 100 }), ['maxQuantityPerSymbol']);
+        assert.deepEqual(failedChecks(engine, order({ side: 'SELL', quantity: 1 }), { lastPrice: 100, positions }), []);
+        assert.deepEqual(failedChecks(engine, order({ quantity: 1 }), { lastPrice: 100, positions }), ['maxQuantityPerSymbol']);
+    });
+
+    test('only counts open positions against new symbols', () => {
+        const engine = engineWith({ maxOpenPositions: 1 });
+        const positions = [{ instrument_token: 'NSE_EQ|B', quantity: 5 }, { instrument_token: 'NSE_EQ|C', quantity: 0 }];
+
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 100, positions }), ['maxOpenPositions']);
+        assert.deepEqual(failedChecks(engine, order({ symbol: 'NSE_EQ|B' }), { lastPrice: 100, positions }), []);
+    });
+
+    test('stops new risk once the day loss limit is reached', () => {
+        const engine = engineWith({ dailyLossLimit: 500 });
+        const positions = [{ instrument_token: 'NSE_EQ|A', quantity: 10, pnl: -300 }, { instrument_token: 'NSE_EQ|B', quantity: 0, pnl: -200 }];
+
+        assert.deepEqual(failedChecks(engine, order(), { lastPrice: 100, positions }), ['dailyLossLimit']);
+        assert.deepEqual(failedChecks(engine, order({ side: 'SELL' }), { lastPrice: 100, positions }), []);
+    });
+
+    test('rejects limit prices outside the band around the last price', () => {
+        const engine = engineWith({ priceBand: 0.05 });
+
+        assert.deepEqual(failedChecks(engine, order({ price: 105 }), { lastPrice: 100 }), []);
+        assert.deepEqual(failedChecks(engine, order({ price: 106 }), { lastPrice: 100 }), ['priceBand']);
+        assert.deepEqual(failedChecks(engine, order({ price: 0 }), { lastPrice: 100 }), []);
+    });
+
+    test('blocks every order while the kill switch is on', () => {
+        const engine = engineWith({});
+        engine.setKillSwitch(true, 'maintenance');
+
+        const violations = engine.checkOrder(order({ side: 'SELL' }), { lastPrice: 100 });
+        assert.deepEqual(violations, [{ check: 'killSwitch', message: 'Kill switch is on: maintenance' }]);
+    });
+});
+
+describe('RiskEngine.assertOrder', () => {
+    test('throws a RiskCheckError listing the violations', () => {
+        const engine = engineWith({ maxOrderValue: 100 });
+
+        assert.throws(() => engine.assertOrder(order(), { lastPrice: 100 }), error =>
+            error instanceof RiskCheckError && error.status === 403 && error.violations[0].check === 'maxOrderValue');
+        assert.doesNotThrow(() => engine.assertOrder(order({ quantity: 1 }), { lastPrice: 100 }));
+    });
+});
+
+describe('kill switch persistence', () => {
+    test('restores the kill switch from the state file', () => {
+        const statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'risk-test-')), 'risk-state.json');
+
+        try {
+            new RiskEngine({ limits: NO_LIMITS, statePath }).setKillSwitch(true, 'drawdown');
+            const restored = new RiskEngine({ limits: NO_LIMITS, statePath });
+
+            assert.equal(restored.getStatus().killSwitch.enabled, true);
+            assert.equal(restored.getStatus().killSwitch.reason, 'drawdown');
+
+            restored.setKillSwitch(false, 'ignored');
+            assert.equal(restored.killSwitch.reason, null);
+        } finally {
+            fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EncryptedFileStore, MemoryStore, secretStoreFromEnv } = require('../secret-stores');
+const { UpstoxSessions } = require('../upstox-sessions');
+
+const SECRETS = { users: { alice: { accessToken: 'access', refreshToken: 'refresh', expiresAt: '2030-01-01T00:00:00.000Z' } } };
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-stores-test-'));
+    filePath = path.join(dir, 'token.json');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe('EncryptedFileStore', () => {
+    test('reads back what it wrote without keeping it in plaintext', async () => {
+        await new EncryptedFileStore({ filePath, passphrase: 'right' }).write(SECRETS);
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        assert.ok(!content.includes('access'));
+        assert.equal(JSON.parse(content).algorithm, 'aes-256-gcm');
+        assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+        assert.deepEqual(await new EncryptedFileStore({ filePath, passphrase: 'right' }).read(), SECRETS);
+    });
+
+    test('reads nothing when there is no file', async () => {
+        assert.equal(await new EncryptedFileStore({ filePath, passphrase: 'right' }).read(), null);
+    });
+
+    test('keeps the salt of the file across writes', async () => {
+        const store = new EncryptedFileStore({ filePath, passphrase: 'right' });
+        await store.write(SECRETS);
+        const { salt } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        await store.write({ users: {} });
+        assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).salt, salt);
+    });
+
+    test('encrypts a plaintext file on first read', async () => {
+        fs.writeFileSync(filePath, JSON.stringify(SECRETS));
+
+        assert.deepEqual(await new EncryptedFileStore({ filePath, passphrase: 'right' }).read(), SECRETS);
+        assert.ok(JSON.parse(fs.readFileSync(filePath, 'utf8')).ciphertext);
+    });
+
+    test('fails with the wrong key and never overwrites the file', async () => {
+        await new EncryptedFileStore({ filePath, passphrase: 'right' }).write(SECRETS);
+        const saved = fs.readFileSync(filePath, 'utf8');
+        const store = new EncryptedFileStore({ filePath, passphrase: 'wrong' });
+
+        await assert.rejects(store.read(), /wrong key or damaged file/);
+        await assert.rejects(store.write({ users: {} }), /Not overwriting/);
+        assert.equal(fs.readFileSync(filePath, 'utf8'), saved);
+    });
+
+    test('never overwrites a damaged file', async () => {
+        fs.writeFileSync(filePath, '{ not json');
+        const store = new EncryptedFileStore({ filePath, passphrase: 'right' });
+
+        await assert.rejects(store.read(), /not valid JSON/);
+        await assert.rejects(store.write({ users: {} }), /Not overwriting/);
+        assert.equal(fs.readFileSync(filePath, 'utf8'), '{ not json');
+    });
+});
+
+describe('secretStoreFromEnv', () => {
+    test('encrypts to the file when a key is set', () => {
+        assert.ok(secretStoreFromEnv(filePath, { TOKEN_ENCRYPTION_KEY: 'right' }) instanceof EncryptedFileStore);
+    });
+
+    test('keeps logins in memory without a key or with TOKEN_STORE=memory', t => {
+        t.mock.method(console, 'warn', () => {});
+
+        assert.ok(secretStoreFromEnv(filePath, {}) instanceof MemoryStore);
+        assert.ok(secretStoreFromEnv(filePath, { TOKEN_STORE: 'memory', TOKEN_ENCRYPTION_KEY: 'right' }) instanceof MemoryStore);
+    });
+
+    test('refuses to leave a plaintext file on disk unencrypted', () => {
+        fs.writeFileSync(filePath, JSON.stringify(SECRETS));
+
+        assert.throws(() => secretStoreFromEnv(filePath, {}), /plaintext/);
+        assert.throws(() => secretStoreFromEnv(filePath, { TOKEN_STORE: 'memory', TOKEN_ENCRYPTION_KEY: 'right' }), /plaintext/);
+    });
+});
+
+describe('UpstoxSessions with an encrypted store', () => {
+    test('loads the saved logins', async () => {
+        await new EncryptedFileStore({ filePath, passphrase: 'right' }).write(SECRETS);
+        const sessions = new UpstoxSessions({ store: new EncryptedFileStore({ filePath, passphrase: 'right' }) });
+
+        await sessions.ready;
+        assert.equal(sessions.get('alice').accessToken, 'access');
+        assert.equal(sessions.client('alice').authentications['OAUTH2'].accessToken, 'access');
+    });
+
+    test('fails to load with the wrong key and keeps the saved logins after a new login', async t => {
+        t.mock.method(console, 'error', () => {});
+        await new EncryptedFileStore({ filePath, passphrase: 'right' }).write(SECRETS);
+        const saved = fs.readFileSync(filePath, 'utf8');
+        const sessions = new UpstoxSessions({ store: new EncryptedFileStore({ filePath, passphrase: 'wrong' }) });
+
+        await assert.rejects(sessions.ready, /wrong key/);
+        sessions.set('bob', { access_token: 'new', refresh_token: 'r', expires_in: 3600 });
+        await sessions.writes;
+        assert.equal(fs.readFileSync(filePath, 'utf8'), saved);
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('../signed-tokens');
+
+const SECRET = 'test-secret';
+
+// Token with any header and payload, signed with secret
+function forge(header, payload, secret = SECRET) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const data = `${encode(header)}.${encode(payload)}`;
+    return `${data}.${crypto.createHmac('sha256', secret).update(data).digest('base64url')}`;
+}
+
+describe('signed tokens', () => {
+    test('round-trip the payload with issue and expiry times', () => {
+        const before = Math.floor(Date.now() / 1000);
+        const payload = verifyToken(signToken({ sub: 'alice', typ: 'session' }, SECRET, 60), SECRET);
+
+        assert.equal(payload.sub, 'alice');
+        assert.equal(payload.typ, 'session');
+        assert.ok(payload.iat >= before);
+        assert.equal(payload.exp, payload.iat + 60);
+    });
+
+    test('are rejected with another secret', () => {
+        assert.equal(verifyToken(signToken({ sub: 'alice' }, SECRET, 60), 'other-secret'), null);
+    });
+
+    test('are rejected once expired', () => {
+        assert.equal(verifyToken(signToken({ sub: 'alice' }, SECRET, -1), SECRET), null);
+    });
+
+    test('are rejected when the payload is changed', () => {
+        const [header, , sig] = signToken({ sub: 'alice' }, SECRET, 60).split('.');
+        const body = Buffer.from(JSON.stringify({ sub: 'admin', exp: Date.now() / 1000 + 60 })).toString('base64url');
+
+        assert.equal(verifyToken(`${header}.${body}.${sig}`, SECRET), null);
+    });
+
+    test('are rejected with another algorithm or no expiry', () => {
+        const exp = Math.floor(Date.now() / 1000) + 60;
+
+        assert.equal(verifyToken(forge({ alg: 'none', typ: 'JWT' }, { sub: 'alice', exp }), SECRET), null);
+        assert.equal(verifyToken(forge({ alg: 'HS256', typ: 'JWT' }, { sub: 'alice' }), SECRET), null);
+        assert.equal(verifyToken(forge({ alg: 'HS256', typ: 'JWT' }, { sub: 'alice', exp }), SECRET).sub, 'alice');
+    });
+
+    test('are rejected when malformed', () => {
+        const token = signToken({ sub: 'alice' }, SECRET, 60);
+
+        ['', 'abc', `${token}.extra`, token.slice(0, -2), null, undefined].forEach(value =>
+            assert.equal(verifyToken(value, SECRET), null, String(value)));
+    });
+});
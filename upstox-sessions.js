@@ -0,0 +1,103 @@
+// Upstox logins of the server's users: the OAuth tokens of each user, persisted to a
+// secret store (see secret-stores.js), and an SDK client per user that carries that
+// user's access token
+const UpstoxClient = require('upstox-js-sdk');
+const { DEFAULT_USER_ID } = require('./users');
+const { MemoryStore } = require('./secret-stores');
+
+class UpstoxSessions {
+    // basePath is the Upstox API base URL the SDK clients call. Logins are read from the
+    // store in the background; await ready before relying on them
+    constructor({ store = new MemoryStore(), basePath }) {
+        this.store = store;
+        this.basePath = basePath;
+        this.tokens = {}; // user id -> { accessToken, refreshToken, expiresAt }
+        this.clients = new Map();
+        this.writes = Promise.resolve();
+        this.ready = this.load();
+    }
+
+    // Rejects when the store cannot be read, e.g. with the wrong encryption key, rather
+    // than start with no logins and replace the saved ones at the next login
+    async load() {
+        const data = await this.store.read();
+
+        // Saved logins from before per-user logins hold one login: the default user's
+        if (data?.users) {
+            this.tokens = data.users;
+        } else if (data?.accessToken) {
+            const { accessToken, refreshToken, expiresAt } = data;
+            this.tokens = { [DEFAULT_USER_ID]: { accessToken, refreshToken, expiresAt } };
+        }
+
+        for (const [userId, client] of this.clients) {
+            client.authentications['OAUTH2'].accessToken = this.get(userId)?.accessToken || null;
+        }
+    }
+
+    // Writes are queued so an older login never overwrites a newer one
+    save() {
+        const data = { users: this.tokens };
+        this.writes = this.writes
+            .then(() => this.store.write(data))
+            .catch(error => console.error('Error saving Upstox logins:', error.message));
+        return this.writes;
+    }
+
+    // The user's tokens, or null when the user has not logged in to Upstox
+    get(userId) {
+        return this.tokens[userId] || null;
+    }
+
+    // Whether the user has an access token that has not expired
+    isAuthenticated(userId) {
+        const tokens = this.get(userId);
+        return !!tokens?.accessToken && new Date(tokens.expiresAt) > new Date();
+    }
+
+    // The state of a user's login without the tokens themselves
+    status(userId) {
+        const tokens = this.get(userId);
+        const expiresAt = tokens?.expiresAt || null;
+
+        return {
+            authenticated: this.isAuthenticated(userId),
+            expiresAt,
+            expiresInSeconds: expiresAt ? Math.max(0, Math.round((new Date(expiresAt) - Date.now()) / 1000)) : null,
+            refreshable: !!tokens?.refreshToken
+        };
+    }
+
+    // Store a user's tokens from an Upstox token response
+    // ({ access_token, refresh_token, expires_in } in seconds)
+    set(userId, tokenResponse) {
+        this.tokens[userId] = {
+            accessToken: tokenResponse.access_token,
+            refreshToken: tokenResponse.refresh_token,
+            expiresAt: new Date(Date.now() + tokenResponse.expires_in * 1000).toISOString()
+        };
+        this.client(userId).authentications['OAUTH2'].accessToken = this.tokens[userId].accessToken;
+        this.save();
+    }
+
+    clear(userId) {
+        delete this.tokens[userId];
+        this.client(userId).authentications['OAUTH2'].accessToken = null;
+        this.save();
+    }
+
+    // SDK client authenticated as the user
+    client(userId) {
+        if (!this.clients.has(userId)) {
+            const client = new UpstoxClient.ApiClient();
+            client.basePath = this.basePath;
+            client.authentications['OAUTH2'].accessToken = this.get(userId)?.accessToken || null;
+            this.clients.set(userId, client);
+        }
+        return this.clients.get(userId);
+    }
+}
+
+module.exports = {
+    UpstoxSessions
+};
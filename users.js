@@ -0,0 +1,225 @@
+// Server users: each API client authenticates with its own API key and trades on its
+// own Upstox login. Keys are stored as SHA-256 hashes. Each user has a role (see ROLES)
+// limiting the routes they can call. With no users configured the server runs for a
+// single default admin and asks for no key. The users file is read again whenever it
+// changes, so users managed from the command line apply to a running server
+//
+// Manage users from the command line:
+//   node users.js add <id> [name] [--role=<role>]   create a user and print its API key (shown once)
+//   node users.js list
+//   node users.js role <id> <role>
+//   node users.js remove <id>
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./errors');
+const { parseDestinations } = require('./notifiers');
+
+// The user every request belongs to when no users are configured
+const DEFAULT_USER_ID = 'default';
+
+// User ids name files (per-user paper accounts), so they are kept simple
+const USER_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Roles from least to most access; each role may do everything the roles before it can:
+//   viewer   market data, instruments, indicators, options and the live stream
+//   analyst  account views (positions, orders, funds), journal, backtests, alerts, watchlist
+//   trader   orders, strategy runs, scheduled jobs and the paper account reset
+//   admin    users, the risk kill switch, instrument reloads and cache clearing
+const ROLES = ['viewer', 'analyst', 'trader', 'admin'];
+
+// Role of users created without one, and of users saved before roles existed
+const DEFAULT_ROLE = 'trader';
+
+function hasRole(user, role) {
+    return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+}
+
+function parseRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`role must be one of: ${ROLES.join(', ')}`);
+    }
+    return role;
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+class UserStore {
+    constructor({ statePath = null } = {}) {
+        this.statePath = statePath;
+        this.users = [];
+        this.loadedMtime = null;
+        this.load();
+    }
+
+    // Modification time of the users file, or null when there is none
+    fileMtime() {
+        return this.statePath && fs.existsSync(this.statePath) ? fs.statSync(this.statePath).mtimeMs : null;
+    }
+
+    // Read the users file. A missing file means no users; a damaged one keeps the users
+    // read before, so a bad edit cannot open the server up
+    load() {
+        if (!this.statePath) {
+            return;
+        }
+
+        this.loadedMtime = this.fileMtime();
+        if (this.loadedMtime === null) {
+            this.users = [];
+            return;
+        }
+
+        try {
+            this.users = JSON.parse(fs.readFileSync(this.statePath, 'utf8'))
+                .map(user => ({ ...user, role: user.role ?? DEFAULT_ROLE }));
+        } catch (error) {
+            console.error('Error loading users:', error);
+        }
+    }
+
+    // Read the users file again when it changed since it was last read
+    refresh() {
+        if (this.statePath && this.fileMtime() !== this.loadedMtime) {
+            this.load();
+        }
+    }
+
+    save() {
+        if (!this.statePath) {
+            return;
+        }
+
+        try {
+            fs.writeFileSync(this.statePath, JSON.stringify(this.users, null, 2));
+            this.loadedMtime = this.fileMtime();
+        } catch (error) {
+            console.error('Error saving users:', error);
+        }
+    }
+
+    // Whether API keys are required: true once any user is configured
+    isEnabled() {
+        this.refresh();
+        return this.users.length > 0;
+    }
+
+    // Users without their key hashes
+    list() {
+        this.refresh();
+        return this.users.map(({ apiKeyHash, ...user }) => user);
+    }
+
+    get(id) {
+        return this.list().find(user => user.id === id) || null;
+    }
+
+    // Create a user with a new random API key. Returns { user, apiKey }; only the
+    // key's hash is stored, so the key cannot be shown again
+    add(id, name = id, role = DEFAULT_ROLE) {
+        if (!USER_ID_PATTERN.test(String(id))) {
+            throw new ValidationError('User id must be 1-32 lowercase letters, digits, - or _, starting with a letter or digit');
+        }
+        if (id === DEFAULT_USER_ID) {
+            throw new ValidationError(`"${DEFAULT_USER_ID}" is reserved for single-user mode`);
+        }
+        parseRole(role);
+
+        this.load();
+        if (this.users.some(user => user.id === id)) {
+            throw new ValidationError(`User ${id} already exists`);
+        }
+
+        const apiKey = crypto.randomBytes(24).toString('hex');
+        const user = { id, name, role, apiKeyHash: hashApiKey(apiKey), createdAt: new Date().toISOString() };
+        this.users.push(user);
+        this.save();
+
+        return { user: this.get(id), apiKey };
+    }
+
+    // Change a user's name, role or alert destinations (see parseDestinations in
+    // notifiers.js). Returns the updated user, or null for an unknown id
+    update(id, { name, role, alertDestinations } = {}) {
+        this.load();
+        const user = this.users.find(candidate => candidate.id === id);
+        if (!user) {
+            return null;
+        }
+
+        if (role !== undefined) {
+            user.role = parseRole(role);
+        }
+        if (name !== undefined) {
+            user.name = String(name);
+        }
+        if (alertDestinations !== undefined) {
+            user.alertDestinations = parseDestinations(alertDestinations, user.alertDestinations);
+        }
+        this.save();
+        return this.get(id);
+    }
+
+    remove(id) {
+        this.load();
+        const index = this.users.findIndex(user => user.id === id);
+        if (index === -1) {
+            return false;
+        }
+
+        this.users.splice(index, 1);
+        this.save();
+        return true;
+    }
+
+    // The user an API key belongs to, or null
+    authenticate(apiKey) {
+        if (!apiKey) {
+            return null;
+        }
+
+        this.refresh();
+        const hash = Buffer.from(hashApiKey(apiKey), 'hex');
+        const user = this.users.find(candidate =>
+            crypto.timingSafeEqual(Buffer.from(candidate.apiKeyHash, 'hex'), hash));
+        return user ? this.get(user.id) : null;
+    }
+}
+
+// Command-line user management against the server's users file
+if (require.main === module) {
+    const store = new UserStore({ statePath: process.env.USERS_FILE || path.join(__dirname, 'users.json') });
+    const args = process.argv.slice(2);
+    const roleFlag = args.find(arg => arg.startsWith('--role='));
+    const [command, id, name] = args.filter(arg => arg !== roleFlag);
+
+    try {
+        if (command === 'add' && id) {
+            const { user, apiKey } = store.add(id, name, roleFlag ? roleFlag.slice('--role='.length) : DEFAULT_ROLE);
+            console.log(`Created ${user.role} ${user.id}. API key (shown only once):\n${apiKey}`);
+        } else if (command === 'list') {
+            store.list().forEach(user => console.log(`${user.id}\t${user.role}\t${user.name}\t${user.createdAt}`));
+        } else if (command === 'role' && id && name) {
+            const user = store.update(id, { role: name });
+            console.log(user ? `${user.id} is now ${user.role}` : `No user ${id}`);
+        } else if (command === 'remove' && id) {
+            console.log(store.remove(id) ? `Removed user ${id}` : `No user ${id}`);
+        } else {
+            console.log('Usage: node users.js add <id> [name] [--role=<role>] | list | role <id> <role> | remove <id>');
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    DEFAULT_USER_ID,
+    ROLES,
+    hasRole,
+    hashApiKey,
+    UserStore
+};